@@ -17,10 +17,25 @@ export const AlertProvider = ({ children }) => {
 
   // Listen for real-time alert events
   useEffect(() => {
-    const handleNewAlert = (data) => {
-      setActiveAlerts((prev) => [data.alert, ...prev]);
+    const handleNewAlert = async (data) => {
+      // Replayed events carry only a summary of the alert, so load the full one
+      let { alert: newAlert } = data;
+      if (data.replayed) {
+        try {
+          const response = await alertService.getAlertById(newAlert.id || newAlert._id);
+          newAlert = response.data.alert;
+        } catch (err) {
+          // Already closed, or no longer visible: nothing to show
+          return;
+        }
+      }
+
+      // The server also sends the alert back to its creator, so skip duplicates
+      setActiveAlerts((prev) =>
+        prev.some((alert) => alert.id === newAlert.id) ? prev : [newAlert, ...prev]
+      );
       // Show browser notification if permitted
-      showNotification('New Alert!', data.alert.title);
+      showNotification('New Alert!', newAlert.title);
     };
 
     const handleAlertAcknowledged = (data) => {
@@ -42,11 +57,15 @@ export const AlertProvider = ({ children }) => {
     on('alert:new', handleNewAlert);
     on('alert:acknowledged', handleAlertAcknowledged);
     on('alert:resolved', handleAlertResolved);
+    on('alert:cancelled', handleAlertResolved);
+    on('alert:false-alarm', handleAlertResolved);
 
     return () => {
       off('alert:new', handleNewAlert);
       off('alert:acknowledged', handleAlertAcknowledged);
       off('alert:resolved', handleAlertResolved);
+      off('alert:cancelled', handleAlertResolved);
+      off('alert:false-alarm', handleAlertResolved);
     };
   }, [on, off]);
 
@@ -66,7 +85,11 @@ export const AlertProvider = ({ children }) => {
     try {
       setError(null);
       const response = await alertService.createAlert(alertData);
-      setActiveAlerts((prev) => [response.data.alert, ...prev]);
+      const newAlert = response.data.alert;
+      // alert:new may have arrived over the socket before the response did
+      setActiveAlerts((prev) =>
+        prev.some((alert) => alert.id === newAlert.id) ? prev : [newAlert, ...prev]
+      );
       return response;
     } catch (err) {
       setError(err.message);
@@ -96,6 +119,19 @@ export const AlertProvider = ({ children }) => {
     }
   };
 
+  // password is needed once a duress PIN is set; the duress PIN looks just like a success
+  const cancelAlert = async (alertId, reason, password) => {
+    try {
+      setError(null);
+      const result = await alertService.cancelAlert(alertId, reason, password);
+      setActiveAlerts((prev) => prev.filter((alert) => alert.id !== alertId));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
   const showNotification = (title, body) => {
     if ('Notification' in window && Notification.permission === 'granted') {
       new Notification(title, { body, icon: '/logo.png' });
@@ -110,7 +146,8 @@ export const AlertProvider = ({ children }) => {
     fetchMyAlerts,
     triggerAlert,
     acknowledgeAlert,
-    resolveAlert
+    resolveAlert,
+    cancelAlert
   };
 
   return <AlertContext.Provider value={value}>{children}</AlertContext.Provider>;
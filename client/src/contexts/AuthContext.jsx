@@ -54,6 +54,25 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       setIsLoading(true);
       const response = await authService.login(credentials);
+      // Two-factor accounts are signed in by verifyTwoFactor
+      if (!response.data.twoFactorRequired) {
+        setUser(response.data.user);
+        setIsAuthenticated(true);
+      }
+      return response;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      setError(null);
+      setIsLoading(true);
+      const response = await authService.verifyTwoFactor(challengeToken, code);
       setUser(response.data.user);
       setIsAuthenticated(true);
       return response;
@@ -109,6 +128,7 @@ export const AuthProvider = ({ children }) => {
     isLoading,
     error,
     login,
+    verifyTwoFactor,
     logout,
     signup,
     updateProfile,
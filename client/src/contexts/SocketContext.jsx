@@ -7,28 +7,107 @@ import { io } from 'socket.io-client';
 
 export const SocketContext = createContext();
 
+// localStorage key for the last sequence number seen in each circle
+const CURSORS_KEY = 'socketEventCursors';
+// Number of sequence numbers remembered per circle to skip duplicate replays
+const SEEN_LIMIT = 500;
+
+const loadCursors = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CURSORS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  // Presence of circle members keyed by user ID ({ status, devices, lastSeen })
+  const [presence, setPresence] = useState({});
   const socketRef = useRef(null);
+  const cursorsRef = useRef(loadCursors());
+  const seenRef = useRef(new Map());
 
   useEffect(() => {
+    let isClosed = false;
+
+    // Record a sequenced circle event as seen and ack it if required.
+    // Returns false if the event was already seen.
+    const trackEvent = (socketInstance, payload) => {
+      if (!payload || !payload.circleId || !payload.seq) {
+        return true;
+      }
+
+      const circleId = payload.circleId.toString();
+      const seen = seenRef.current.get(circleId) || new Set();
+
+      if (seen.has(payload.seq)) {
+        return false;
+      }
+
+      seen.add(payload.seq);
+      if (seen.size > SEEN_LIMIT) {
+        seen.delete(seen.values().next().value);
+      }
+      seenRef.current.set(circleId, seen);
+
+      if (!(cursorsRef.current[circleId] >= payload.seq)) {
+        cursorsRef.current[circleId] = payload.seq;
+        localStorage.setItem(CURSORS_KEY, JSON.stringify(cursorsRef.current));
+      }
+
+      if (payload.requiresAck) {
+        socketInstance.emit('event:ack', { circleId, seq: payload.seq });
+      }
+
+      return true;
+    };
+
+    // Request the events of a circle after a sequence number and replay them
+    // to the registered listeners, page by page
+    const syncCircle = (socketInstance, circleId, since) => {
+      socketInstance.emit('sync:since', { circleId, since }, (response) => {
+        if (!response || !response.success) {
+          console.error('Socket sync failed:', response && response.message);
+          return;
+        }
+
+        const { events, hasMore, truncated } = response.data;
+
+        if (truncated) {
+          console.warn(`Some events for circle ${circleId} expired before they could be replayed`);
+        }
+
+        events.forEach(({ event, data }) => {
+          if (trackEvent(socketInstance, data)) {
+            socketInstance
+              .listeners(event)
+              .forEach((listener) => listener({ ...data, replayed: true }));
+          }
+        });
+
+        if (hasMore && events.length > 0) {
+          syncCircle(socketInstance, circleId, events[events.length - 1].data.seq);
+        }
+      });
+    };
+
     // Initialize socket connection
     const initSocket = () => {
-      const token = localStorage.getItem('accessToken');
-
-      if (!token) {
+      if (!localStorage.getItem('accessToken')) {
         return;
       }
 
       const newSocket = io(
         import.meta.env.VITE_APP_SOCKET_URL || 'http://localhost:5000',
         {
-          auth: { token },
+          // Read the token on every attempt so reconnects pick up refreshed tokens
+          auth: (callback) => callback({ token: localStorage.getItem('accessToken') }),
           reconnection: true,
           reconnectionDelay: 1000,
-          reconnectionDelayMax: 5000,
-          reconnectionAttempts: 5
+          reconnectionDelayMax: 10000,
+          reconnectionAttempts: Infinity
         }
       );
 
@@ -45,6 +124,55 @@ export const SocketProvider = ({ children }) => {
       newSocket.on('connect_error', (error) => {
         console.error('Socket connection error:', error.message);
         setIsConnected(false);
+
+        // The client does not retry when the server rejects the handshake
+        // (e.g. expired token), so keep trying while the user is logged in,
+        // unless this device was signed out
+        if (!newSocket.active && error.message !== 'Authentication error: Session revoked') {
+          setTimeout(() => {
+            if (!isClosed && !newSocket.active && localStorage.getItem('accessToken')) {
+              newSocket.connect();
+            }
+          }, 5000);
+        }
+      });
+
+      // Track sequenced circle events as they arrive
+      newSocket.onAny((event, payload) => {
+        trackEvent(newSocket, payload);
+      });
+
+      // Presence of every circle member, sent on every (re)connection
+      newSocket.on('presence:snapshot', ({ circles }) => {
+        const snapshot = {};
+        circles.forEach(({ members }) => {
+          members.forEach(({ userId, ...memberPresence }) => {
+            snapshot[userId] = memberPresence;
+          });
+        });
+        setPresence(snapshot);
+      });
+
+      newSocket.on('user:status-changed', ({ userId, ...memberPresence }) => {
+        setPresence((current) => ({
+          ...current,
+          [userId]: { ...current[userId], ...memberPresence }
+        }));
+      });
+
+      // Sent by the server on every (re)connection: replay anything missed
+      newSocket.on('sync:state', ({ circles }) => {
+        circles.forEach(({ circleId, seq }) => {
+          const cursor = cursorsRef.current[circleId];
+
+          if (cursor === undefined) {
+            // First connection on this device; current state is loaded through the API
+            cursorsRef.current[circleId] = seq;
+            localStorage.setItem(CURSORS_KEY, JSON.stringify(cursorsRef.current));
+          } else if (seq > cursor) {
+            syncCircle(newSocket, circleId, cursor);
+          }
+        });
       });
 
       socketRef.current = newSocket;
@@ -55,6 +183,7 @@ export const SocketProvider = ({ children }) => {
 
     // Cleanup on unmount
     return () => {
+      isClosed = true;
       if (socketRef.current) {
         socketRef.current.disconnect();
       }
@@ -85,6 +214,7 @@ export const SocketProvider = ({ children }) => {
   const value = {
     socket,
     isConnected,
+    presence,
     emit,
     on,
     off
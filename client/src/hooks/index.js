@@ -155,10 +155,11 @@ export const useCheckIns = () => {
     }
   };
 
-  const completeCheckIn = async (checkInId, notes) => {
+  // password is needed once a duress PIN is set; the duress PIN looks just like a success
+  const completeCheckIn = async (checkInId, notes, password) => {
     try {
       setError(null);
-      const response = await checkInService.completeCheckIn(checkInId, notes);
+      const response = await checkInService.completeCheckIn(checkInId, notes, password);
       setActiveCheckIns((prev) => prev.filter((c) => c.id !== checkInId));
       return response;
     } catch (err) {
@@ -167,6 +168,20 @@ export const useCheckIns = () => {
     }
   };
 
+  // An overdue check-in becomes active again once extended
+  const extendCheckIn = async (checkInId, minutes, reason) => {
+    try {
+      setError(null);
+      const response = await checkInService.extendCheckIn(checkInId, minutes, reason);
+      const { checkIn } = response.data;
+      setActiveCheckIns((prev) => [checkIn, ...prev.filter((c) => c.id !== checkInId)]);
+      return response;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
   useEffect(() => {
     fetchActiveCheckIns();
   }, [fetchActiveCheckIns]);
@@ -178,6 +193,7 @@ export const useCheckIns = () => {
     error,
     fetchCheckIns,
     createCheckIn,
-    completeCheckIn
+    completeCheckIn,
+    extendCheckIn
   };
 };
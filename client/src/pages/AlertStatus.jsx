@@ -0,0 +1,144 @@
+// File: client/src/pages/AlertStatus.jsx
+// Purpose: Public alert status page opened by emergency contacts from their notification link
+// Dependencies: React, React Router, publicAlertService
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import publicAlertService from '../services/publicAlertService';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+
+const AlertStatus = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState('');
+  const [responding, setResponding] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await publicAlertService.getAlertStatus(token);
+      setStatus(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchStatus();
+    // Keep the page reasonably fresh while the contact has it open
+    const interval = setInterval(fetchStatus, 30000);
+    return () => clearInterval(interval);
+  }, [fetchStatus]);
+
+  const handleRespond = async () => {
+    try {
+      setResponding(true);
+      await publicAlertService.respond(token, message);
+      setMessage('');
+      await fetchStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  if (error && !status) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-6">
+        <Card className="max-w-md text-center">
+          <h1 className="text-xl font-bold text-neutral-800">Alert unavailable</h1>
+          <p className="text-neutral-600 mt-2">{error}</p>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!status) {
+    return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
+  }
+
+  const { alert, contact } = status;
+  const [longitude, latitude] = alert.location.coordinates;
+  const isOpen = ['active', 'acknowledged'].includes(alert.status);
+
+  return (
+    <div className="min-h-screen bg-gradient-safe p-6">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <Card>
+          <p className="text-sm text-neutral-500">Hi {contact.name},</p>
+          <h1 className="text-2xl font-black text-primary-700 mt-1">{alert.title}</h1>
+          <p className="text-neutral-700 mt-2">
+            {alert.triggeredBy.name} raised a {alert.severity} alert on{' '}
+            {new Date(alert.createdAt).toLocaleString()}.
+          </p>
+          {alert.message && <p className="text-neutral-600 mt-2">{alert.message}</p>}
+          <p className="mt-4 font-semibold">Status: {alert.status}</p>
+        </Card>
+
+        <Card>
+          <h2 className="text-lg font-bold">Location</h2>
+          {alert.location.address && <p className="text-neutral-700">{alert.location.address}</p>}
+          <a
+            className="text-primary-600 underline"
+            href={`https://maps.google.com/?q=${latitude},${longitude}`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Open in maps ({latitude.toFixed(5)}, {longitude.toFixed(5)})
+          </a>
+        </Card>
+
+        <Card>
+          <h2 className="text-lg font-bold">Responses from the circle</h2>
+          {alert.acknowledgments.length === 0 ? (
+            <p className="text-neutral-600">No one has responded yet.</p>
+          ) : (
+            <ul className="mt-2 space-y-1">
+              {alert.acknowledgments.map((ack, index) => (
+                <li key={index}>
+                  {ack.name}: {ack.response} ({new Date(ack.acknowledgedAt).toLocaleTimeString()})
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        {alert.resolution && (
+          <Card>
+            <h2 className="text-lg font-bold">Resolved: {alert.resolution.status}</h2>
+            {alert.resolution.notes && <p className="text-neutral-700">{alert.resolution.notes}</p>}
+          </Card>
+        )}
+
+        {isOpen && (
+          <Card>
+            {contact.respondedAt ? (
+              <p className="font-semibold text-success-600">
+                The circle knows you are responding.
+              </p>
+            ) : (
+              <>
+                <textarea
+                  className="w-full border rounded-xl p-3"
+                  placeholder="Optional message (e.g. ETA)"
+                  maxLength={500}
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                />
+                <Button className="mt-3" onClick={handleRespond} loading={responding}>
+                  I'm responding
+                </Button>
+              </>
+            )}
+            {error && <p className="text-danger-600 mt-2">{error}</p>}
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertStatus;
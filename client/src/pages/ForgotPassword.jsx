@@ -0,0 +1,76 @@
+// File: client/src/pages/ForgotPassword.jsx
+// Purpose: Request a password reset link by email
+// Dependencies: React, React Router, authService
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../services/authService';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Could not send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-safe flex items-center justify-center p-6">
+      <Card className="max-w-md w-full">
+        <h1 className="text-2xl font-black text-primary-700 text-center">Forgot your password?</h1>
+
+        {sent ? (
+          <p className="text-neutral-700 mt-4 text-center">
+            If an account exists for <strong>{email}</strong>, we've emailed a link to reset
+            your password. The link expires soon and can only be used once.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-6">
+            <Input
+              label="Email"
+              type="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              error={error}
+              placeholder="your.email@example.com"
+              required
+            />
+            <Button type="submit" variant="primary" fullWidth loading={loading}>
+              Send reset link
+            </Button>
+          </form>
+        )}
+
+        <p className="text-center mt-6">
+          <Link className="text-primary-600 font-semibold" to="/login">
+            Back to sign in
+          </Link>
+        </p>
+      </Card>
+    </div>
+  );
+};
+
+export default ForgotPassword;
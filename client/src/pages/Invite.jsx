@@ -0,0 +1,61 @@
+// File: client/src/pages/Invite.jsx
+// Purpose: Invite link landing page - shows the circle and asks the invitee to sign up or log in
+// Dependencies: React, React Router, circleService
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import circleService from '../services/circleService';
+import Card from '../components/common/Card';
+
+const Invite = () => {
+  const { token } = useParams();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    circleService
+      .getInvitePreview(token)
+      .then((response) => setInvite(response.data.invite))
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-safe flex items-center justify-center p-6">
+      <Card className="max-w-md w-full text-center">
+        {error && (
+          <>
+            <h1 className="text-xl font-bold text-neutral-800">Invitation unavailable</h1>
+            <p className="text-neutral-600 mt-2">{error}</p>
+          </>
+        )}
+
+        {!error && !invite && <p>Loading...</p>}
+
+        {invite && (
+          <>
+            <h1 className="text-2xl font-black text-primary-700">
+              Join {invite.circle.name}
+            </h1>
+            <p className="text-neutral-700 mt-2">
+              {invite.invitedBy ? `${invite.invitedBy.name} invited you` : 'You were invited'} to
+              this safety circle ({invite.circle.memberCount} members).
+            </p>
+            <p className="text-sm text-neutral-500 mt-2">
+              Sign up or log in as <strong>{invite.email}</strong> and you will be added automatically.
+            </p>
+            <div className="flex gap-3 justify-center mt-6">
+              <Link className="text-primary-600 font-semibold" to="/signup">
+                Sign up
+              </Link>
+              <Link className="text-primary-600 font-semibold" to="/login">
+                Log in
+              </Link>
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default Invite;
@@ -15,8 +15,11 @@ const Login = () => {
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Set when the password was accepted but a two-factor code is still needed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -30,6 +33,25 @@ const Login = () => {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setErrors({ code: 'Code is required' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setErrors({});
+      await verifyTwoFactor(challengeToken, code.trim());
+      navigate('/dashboard');
+    } catch (error) {
+      setErrors({ general: error.message || 'Verification failed. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     const newErrors = {};
@@ -44,7 +66,11 @@ const Login = () => {
     try {
       setLoading(true);
       setErrors({});
-      await login(formData);
+      const response = await login(formData);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
       navigate('/dashboard');
     } catch (error) {
       setErrors({ general: error.message || 'Login failed. Please try again.' });
@@ -82,81 +108,129 @@ const Login = () => {
 
         {/* Login Card */}
         <Card padding="spacious" shadow="strong">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <Input
-              label="Email"
-              type="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              error={errors.email}
-              placeholder="your.email@example.com"
-              required
-              icon={
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
-                </svg>
-              }
-            />
-
-            <Input
-              label="Password"
-              type="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              error={errors.password}
-              placeholder="Enter your password"
-              required
-              icon={
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                </svg>
-              }
-            />
-
-            <div className="flex items-center justify-between">
-              <label className="flex items-center gap-2 cursor-pointer group">
-                <input
-                  type="checkbox"
-                  name="rememberMe"
-                  checked={formData.rememberMe}
-                  onChange={handleChange}
-                  className="w-5 h-5 rounded-md border-2 border-neutral-300 text-primary-600 focus:ring-4 focus:ring-primary-200 transition-all"
-                />
-                <span className="text-sm text-neutral-700 group-hover:text-primary-600 transition-colors">
-                  Remember me
-                </span>
-              </label>
-              
-              <Link 
-                to="/forgot-password"
-                className="text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors"
+          {challengeToken ? (
+            <form onSubmit={handleVerifyCode} className="space-y-6">
+              <p className="text-neutral-700">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+
+              <Input
+                label="Authentication code"
+                type="text"
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                error={errors.code}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                required
+              />
+
+              {errors.general && (
+                <div className="p-4 bg-danger-50 border-2 border-danger-200 rounded-xl text-danger-700 text-sm font-medium">
+                  {errors.general}
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                loading={loading}
+                size="large"
               >
-                Forgot password?
-              </Link>
-            </div>
+                Verify
+              </Button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null);
+                  setCode('');
+                  setErrors({});
+                }}
+                className="w-full text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <Input
+                label="Email"
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                error={errors.email}
+                placeholder="your.email@example.com"
+                required
+                icon={
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
+                  </svg>
+                }
+              />
+
+              <Input
+                label="Password"
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                error={errors.password}
+                placeholder="Enter your password"
+                required
+                icon={
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                  </svg>
+                }
+              />
+
+              <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 cursor-pointer group">
+                  <input
+                    type="checkbox"
+                    name="rememberMe"
+                    checked={formData.rememberMe}
+                    onChange={handleChange}
+                    className="w-5 h-5 rounded-md border-2 border-neutral-300 text-primary-600 focus:ring-4 focus:ring-primary-200 transition-all"
+                  />
+                  <span className="text-sm text-neutral-700 group-hover:text-primary-600 transition-colors">
+                    Remember me
+                  </span>
+                </label>
+              
+                <Link 
+                  to="/forgot-password"
+                  className="text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors"
+                >
+                  Forgot password?
+                </Link>
+              </div>
+
+              {errors.general && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.95 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className="p-4 bg-danger-50 border-2 border-danger-200 rounded-xl text-danger-700 text-sm font-medium"
+                >
+                  {errors.general}
+                </motion.div>
+              )}
 
-            {errors.general && (
-              <motion.div
-                initial={{ opacity: 0, scale: 0.95 }}
-                animate={{ opacity: 1, scale: 1 }}
-                className="p-4 bg-danger-50 border-2 border-danger-200 rounded-xl text-danger-700 text-sm font-medium"
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                loading={loading}
+                size="large"
               >
-                {errors.general}
-              </motion.div>
-            )}
-
-            <Button
-              type="submit"
-              variant="primary"
-              fullWidth
-              loading={loading}
-              size="large"
-            >
-              Sign In
-            </Button>
-          </form>
+                Sign In
+              </Button>
+            </form>
+          )}
 
           <div className="mt-8 pt-6 border-t-2 border-neutral-100 text-center">
             <p className="text-neutral-600">
@@ -0,0 +1,86 @@
+// File: client/src/pages/ResetPassword.jsx
+// Purpose: Password reset link landing page - choose a new password
+// Dependencies: React, React Router, authService
+
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import authService from '../services/authService';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await authService.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.errors?.[0] || err.message || 'Could not reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-safe flex items-center justify-center p-6">
+      <Card className="max-w-md w-full">
+        <h1 className="text-2xl font-black text-primary-700 text-center">Choose a new password</h1>
+
+        {done ? (
+          <>
+            <p className="text-neutral-700 mt-4 text-center">
+              Your password has been reset and you've been signed out on every device.
+            </p>
+            <p className="text-center mt-6">
+              <Link className="text-primary-600 font-semibold" to="/login">
+                Sign in
+              </Link>
+            </p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-6">
+            <Input
+              label="New password"
+              type="password"
+              name="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="At least 8 characters, with upper and lower case and a number"
+              required
+            />
+            <Input
+              label="Confirm new password"
+              type="password"
+              name="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              error={error}
+              required
+            />
+            <Button type="submit" variant="primary" fullWidth loading={loading}>
+              Reset password
+            </Button>
+          </form>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPassword;
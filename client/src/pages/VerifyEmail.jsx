@@ -0,0 +1,61 @@
+// File: client/src/pages/VerifyEmail.jsx
+// Purpose: Email verification link landing page
+// Dependencies: React, React Router, authService
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import authService from '../services/authService';
+import Card from '../components/common/Card';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authService
+      .verifyEmail(token)
+      .then((response) => setResult(response.data))
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-safe flex items-center justify-center p-6">
+      <Card className="max-w-md w-full text-center">
+        {error && (
+          <>
+            <h1 className="text-xl font-bold text-neutral-800">Verification failed</h1>
+            <p className="text-neutral-600 mt-2">{error}</p>
+            <p className="text-sm text-neutral-500 mt-2">
+              Sign in to request a new verification link.
+            </p>
+          </>
+        )}
+
+        {!error && !result && <p>Verifying...</p>}
+
+        {result && (
+          <>
+            <h1 className="text-2xl font-black text-primary-700">Email verified</h1>
+            <p className="text-neutral-700 mt-2">
+              Thanks, {result.user.name}. You can now create circles.
+            </p>
+            {result.joinedCircles.length > 0 && (
+              <p className="text-neutral-700 mt-2">
+                You've joined {result.joinedCircles.map((circle) => circle.name).join(', ')}.
+              </p>
+            )}
+          </>
+        )}
+
+        <p className="mt-6">
+          <Link className="text-primary-600 font-semibold" to="/dashboard">
+            Continue
+          </Link>
+        </p>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;
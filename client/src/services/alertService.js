@@ -24,6 +24,23 @@ const alertService = {
   // Get alert by ID
   getAlertById: (alertId) => api.get(`/alerts/${alertId}`),
 
+  // Export an incident report for a closed alert (format: 'pdf' or 'json')
+  getAlertReport: (alertId, format = 'pdf') =>
+    api.get(`/alerts/${alertId}/report`, {
+      params: { format },
+      responseType: format === 'pdf' ? 'blob' : 'json'
+    }),
+
+  // Get an alert's incident timeline
+  getAlertTimeline: (alertId) => api.get(`/alerts/${alertId}/timeline`),
+
+  // Get the location trail leading up to an alert
+  getAlertTrail: (alertId) => api.get(`/alerts/${alertId}/trail`),
+
+  // Get circle members nearest to an alert
+  getAlertResponders: (alertId, params) =>
+    api.get(`/alerts/${alertId}/responders`, { params }),
+
   // Create panic alert
   createAlert: (alertData) => api.post('/alerts', alertData),
 
@@ -36,8 +53,8 @@ const alertService = {
     api.put(`/alerts/${alertId}/resolve`, { resolutionStatus, notes }),
 
   // Cancel alert
-  cancelAlert: (alertId, reason) =>
-    api.put(`/alerts/${alertId}/cancel`, { reason }),
+  cancelAlert: (alertId, reason, password) =>
+    api.put(`/alerts/${alertId}/cancel`, { reason, password }),
 
   // Mark as false alarm
   markFalseAlarm: (alertId, reason) =>
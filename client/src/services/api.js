@@ -30,6 +30,26 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in progress, shared by every request that fails while it runs.
+// Refresh tokens are single use, so two parallel refreshes would sign the device out.
+let refreshPromise = null;
+
+const refreshTokens = (refreshToken) => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(
+        `${process.env.VITE_API_URL || 'http://localhost:5000/api'}/auth/refresh`,
+        { refreshToken }
+      )
+      .then((response) => response.data.data)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - Handle common errors
 api.interceptors.response.use(
   (response) => {
@@ -65,12 +85,7 @@ api.interceptors.response.use(
         }
 
         // Request new access token
-        const response = await axios.post(
-          `${process.env.VITE_API_URL || 'http://localhost:5000/api'}/auth/refresh`,
-          { refreshToken }
-        );
-
-        const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+        const { accessToken, refreshToken: newRefreshToken } = await refreshTokens(refreshToken);
 
         // Save new tokens
         localStorage.setItem('accessToken', accessToken);
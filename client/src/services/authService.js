@@ -16,9 +16,20 @@ const authService = {
     return response;
   },
 
-  // Login user
+  // Login user (returns a challenge token instead of tokens when two-factor is on)
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
+    if (response.success && !response.data.twoFactorRequired) {
+      localStorage.setItem('accessToken', response.data.accessToken);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response;
+  },
+
+  // Finish a two-factor login with an authenticator or recovery code
+  verifyTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code });
     if (response.success) {
       localStorage.setItem('accessToken', response.data.accessToken);
       localStorage.setItem('refreshToken', response.data.refreshToken);
@@ -57,6 +68,49 @@ const authService = {
     return response;
   },
 
+  // Request a password reset link
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+
+  // Set a new password from a reset link
+  resetPassword: (token, password) =>
+    api.post(`/auth/reset-password/${token}`, { password }),
+
+  // Verify an email address from a verification link
+  verifyEmail: (token) => api.post(`/auth/verify-email/${token}`),
+
+  // Send a new verification link
+  resendVerification: () => api.post('/auth/resend-verification'),
+
+  // Get two-factor status
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+
+  // Start two-factor enrollment (returns the secret and provisioning URI)
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+
+  // Confirm enrollment with a code (returns the recovery codes)
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+
+  // Turn off two-factor authentication
+  disableTwoFactor: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+
+  // Get whether a duress PIN is set (kept out of the stored user on purpose)
+  getDuressPinStatus: () => api.get('/auth/duress-pin'),
+
+  // Set or change the duress PIN
+  setDuressPin: (password, pin) => api.put('/auth/duress-pin', { password, pin }),
+
+  // Remove the duress PIN
+  removeDuressPin: (password) => api.delete('/auth/duress-pin', { data: { password } }),
+
+  // Get signed-in devices
+  getSessions: () => api.get('/auth/sessions'),
+
+  // Sign out a device
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+
   // Refresh access token
   refreshToken: async (refreshToken) => {
     const response = await api.post('/auth/refresh', { refreshToken });
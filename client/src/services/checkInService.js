@@ -31,12 +31,16 @@ const checkInService = {
   createCheckIn: (checkInData) => api.post('/checkins', checkInData),
 
   // Complete check-in
-  completeCheckIn: (checkInId, notes) =>
-    api.put(`/checkins/${checkInId}/complete`, { notes }),
+  completeCheckIn: (checkInId, notes, password) =>
+    api.put(`/checkins/${checkInId}/complete`, { notes, password }),
 
   // Cancel check-in
   cancelCheckIn: (checkInId) => api.put(`/checkins/${checkInId}/cancel`),
 
+  // Extend check-in by a number of minutes
+  extendCheckIn: (checkInId, minutes, reason) =>
+    api.put(`/checkins/${checkInId}/extend`, { minutes, reason }),
+
   // Update check-in location
   updateCheckInLocation: (checkInId, longitude, latitude) =>
     api.put(`/checkins/${checkInId}/location`, { longitude, latitude }),
@@ -49,7 +53,34 @@ const checkInService = {
   deleteCheckIn: (checkInId) => api.delete(`/checkins/${checkInId}`),
 
   // Get overdue check-ins
-  getOverdueCheckIns: () => api.get('/checkins/overdue')
+  getOverdueCheckIns: () => api.get('/checkins/overdue'),
+
+  // Get recurring check-in schedules with their upcoming occurrences
+  getMySchedules: (params = {}) => api.get('/checkins/schedules', { params }),
+
+  // Create a recurring check-in schedule
+  createSchedule: (scheduleData) => api.post('/checkins/schedules', scheduleData),
+
+  // Update a recurring check-in schedule
+  updateSchedule: (scheduleId, scheduleData) =>
+    api.put(`/checkins/schedules/${scheduleId}`, scheduleData),
+
+  // Delete a recurring check-in schedule
+  deleteSchedule: (scheduleId) => api.delete(`/checkins/schedules/${scheduleId}`),
+
+  // Skip a single occurrence ('YYYY-MM-DD')
+  skipOccurrence: (scheduleId, date) =>
+    api.post(`/checkins/schedules/${scheduleId}/skip`, { date }),
+
+  // Restore a skipped occurrence
+  unskipOccurrence: (scheduleId, date) =>
+    api.delete(`/checkins/schedules/${scheduleId}/skip/${date}`),
+
+  // Pause a recurring check-in schedule
+  pauseSchedule: (scheduleId) => api.post(`/checkins/schedules/${scheduleId}/pause`),
+
+  // Resume a paused check-in schedule
+  resumeSchedule: (scheduleId) => api.post(`/checkins/schedules/${scheduleId}/resume`)
 };
 
 export default checkInService;
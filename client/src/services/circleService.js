@@ -24,13 +24,50 @@ const circleService = {
   // Get circle members
   getCircleMembers: (circleId) => api.get(`/circles/${circleId}/members`),
 
+  // Get circle member presence (status, devices, last seen)
+  getCirclePresence: (circleId) => api.get(`/circles/${circleId}/presence`),
+
   // Invite user to circle
   inviteToCircle: (circleId, email) =>
     api.post(`/circles/${circleId}/invite`, { email }),
 
+  // Preview an emailed invite link
+  getInvitePreview: (token) => api.get(`/invites/${token}`),
+
+  // Get pending email invites
+  getPendingInvites: (circleId) => api.get(`/circles/${circleId}/invites`),
+
+  // Resend pending invite
+  resendInvite: (circleId, inviteId) =>
+    api.post(`/circles/${circleId}/invites/${inviteId}/resend`),
+
+  // Revoke pending invite
+  revokeInvite: (circleId, inviteId) =>
+    api.delete(`/circles/${circleId}/invites/${inviteId}`),
+
   // Join circle by invite code
   joinCircleByCode: (inviteCode) => api.post(`/circles/join/${inviteCode}`),
 
+  // Get current user's join requests
+  getMyJoinRequests: () => api.get('/circles/requests/mine'),
+
+  // Cancel own join request
+  cancelJoinRequest: (requestId) => api.delete(`/circles/requests/${requestId}`),
+
+  // Get join requests for a circle (admins)
+  getJoinRequests: (circleId, status) => {
+    const params = status ? { status } : {};
+    return api.get(`/circles/${circleId}/requests`, { params });
+  },
+
+  // Approve join request
+  approveJoinRequest: (circleId, requestId) =>
+    api.post(`/circles/${circleId}/requests/${requestId}/approve`),
+
+  // Reject join request
+  rejectJoinRequest: (circleId, requestId, reason) =>
+    api.post(`/circles/${circleId}/requests/${requestId}/reject`, { reason }),
+
   // Leave circle
   leaveCircle: (circleId) => api.post(`/circles/${circleId}/leave`),
 
@@ -44,7 +81,11 @@ const circleService = {
 
   // Regenerate invite code
   regenerateInviteCode: (circleId) =>
-    api.post(`/circles/${circleId}/regenerate-code`)
+    api.post(`/circles/${circleId}/regenerate-code`),
+
+  // Get the circle audit log (admins only)
+  getCircleAuditLog: (circleId, params) =>
+    api.get(`/circles/${circleId}/audit`, { params })
 };
 
 export default circleService;
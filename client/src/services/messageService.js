@@ -0,0 +1,25 @@
+// File: client/src/services/messageService.js
+// Purpose: Circle group chat and alert thread API service
+// Dependencies: api
+
+import api from './api';
+
+const messageService = {
+  // Get circle messages (params: alert, before, limit)
+  getMessages: (circleId, params) =>
+    api.get(`/circles/${circleId}/messages`, { params }),
+
+  // Send a message (alertId posts to that alert's thread)
+  sendMessage: (circleId, content, alertId) =>
+    api.post(`/circles/${circleId}/messages`, { content, alertId }),
+
+  // Mark messages as read up to a point in time
+  markRead: (circleId, { alertId, upTo } = {}) =>
+    api.post(`/circles/${circleId}/messages/read`, { alertId, upTo }),
+
+  // Delete a message
+  deleteMessage: (circleId, messageId) =>
+    api.delete(`/circles/${circleId}/messages/${messageId}`)
+};
+
+export default messageService;
@@ -0,0 +1,16 @@
+// File: client/src/services/publicAlertService.js
+// Purpose: Public alert status API service for emergency contacts (no account required)
+// Dependencies: api
+
+import api from './api';
+
+const publicAlertService = {
+  // Get alert status by link token
+  getAlertStatus: (token) => api.get(`/public/alerts/${token}`),
+
+  // Tell the circle the contact is responding
+  respond: (token, message) =>
+    api.post(`/public/alerts/${token}/respond`, { message })
+};
+
+export default publicAlertService;
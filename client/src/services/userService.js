@@ -14,9 +14,16 @@ const userService = {
   // Update privacy settings
   updatePrivacySettings: (settings) => api.put('/users/privacy', settings),
 
+  // Get the audit log of the current user's account
+  getMyAuditLog: (params) => api.get('/users/me/audit', { params }),
+
   // Update user location
   updateLocation: (locationData) => api.put('/users/location', locationData),
 
+  // Get a user's location history for a time range
+  getLocationHistory: (userId, params) =>
+    api.get(`/users/${userId}/locations`, { params }),
+
   // Toggle location sharing
   toggleLocationSharing: (isSharing) =>
     api.put('/users/location/sharing', { isSharing }),
@@ -33,6 +40,14 @@ const userService = {
   deleteEmergencyContact: (contactId) =>
     api.delete(`/users/emergency-contacts/${contactId}`),
 
+  // Get emergency contact alert preferences
+  getEmergencyContactPreferences: () =>
+    api.get('/users/emergency-contacts/preferences'),
+
+  // Update emergency contact alert preferences
+  updateEmergencyContactPreferences: (preferences) =>
+    api.put('/users/emergency-contacts/preferences', preferences),
+
   // Get user by ID
   getUserById: (userId) => api.get(`/users/${userId}`)
 };
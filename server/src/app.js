@@ -17,6 +17,8 @@ const userRoutes = require('./routes/userRoutes');
 const circleRoutes = require('./routes/circleRoutes');
 const checkInRoutes = require('./routes/checkInRoutes');
 const alertRoutes = require('./routes/alertRoutes');
+const publicAlertRoutes = require('./routes/publicAlertRoutes');
+const inviteRoutes = require('./routes/inviteRoutes');
 
 // Initialize Express app
 const app = express();
@@ -33,7 +35,9 @@ app.use(helmet({
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
-  optionsSuccessStatus: 200
+  optionsSuccessStatus: 200,
+  // Let the client read report download details
+  exposedHeaders: ['Content-Disposition', 'X-Report-Hash']
 };
 app.use(cors(corsOptions));
 
@@ -83,6 +87,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/circles', circleRoutes);
 app.use('/api/checkins', checkInRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/public/alerts', publicAlertRoutes);
+app.use('/api/invites', inviteRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -1,11 +1,41 @@
 // File: server/controllers/alertController.js
 // Purpose: Handle alert operations - create panic alerts, acknowledge, resolve
-// Dependencies: Alert model, Circle model, CheckIn model, ErrorResponse
+// Dependencies: Alert model, Circle model, CheckIn model, ErrorResponse, socket utils, notifications,
+//               emergency contacts service, duress service
 
+const crypto = require('crypto');
 const Alert = require('../models/Alert');
 const Circle = require('../models/Circle');
 const CheckIn = require('../models/CheckIn');
+const LocationPoint = require('../models/LocationPoint');
 const { ErrorResponse } = require('../middleware/errorHandler');
+const { emitToCircleFromRequest, emitToUsersFromRequest } = require('../utils/socket');
+const { recordAudit } = require('../services/audit');
+const { checkConfirmation, requiresConfirmation, raiseDuressAlert } = require('../services/duress');
+const { notifyCircleOfAlert } = require('../services/notifications');
+const { notifyEmergencyContacts } = require('../services/emergencyContacts');
+const {
+  findNearestResponders,
+  NEAREST_RESPONDERS_LIMIT
+} = require('../services/responders');
+const { loadAlertForTimeline, buildAlertTimeline } = require('../services/alertTimeline');
+const {
+  REPORTABLE_STATUSES,
+  buildIncidentReport,
+  renderIncidentReportPdf
+} = require('../services/incidentReport');
+
+/**
+ * Build the actor summary sent along with real-time alert events
+ */
+const actorSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  profilePhoto: user.profilePhoto
+});
+
+// Minutes of location history attached to a new alert
+const ALERT_TRAIL_MINUTES = parseInt(process.env.ALERT_TRAIL_MINUTES, 10) || 15;
 
 /**
  * @desc    Get all alerts for current user
@@ -52,7 +82,8 @@ exports.getCircleAlerts = async (req, res, next) => {
 
     const query = {
       circle: circleId,
-      isDeleted: false
+      isDeleted: false,
+      ...Alert.visibleTo(req.user._id)
     };
 
     if (status) {
@@ -97,7 +128,7 @@ exports.getCircleActiveAlerts = async (req, res, next) => {
       );
     }
 
-    const alerts = await Alert.findActiveByCircle(circleId);
+    const alerts = await Alert.findActiveByCircle(circleId, req.user._id);
 
     res.status(200).json({
       success: true,
@@ -123,7 +154,7 @@ exports.getAlertById = async (req, res, next) => {
       .populate('resolvedBy', 'name email')
       .populate('relatedCheckIn');
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -147,6 +178,218 @@ exports.getAlertById = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get an alert's incident timeline (activity, acknowledgments, notifications)
+ * @route   GET /api/alerts/:id/timeline
+ * @access  Private
+ */
+exports.getAlertTimeline = async (req, res, next) => {
+  try {
+    const alert = await loadAlertForTimeline(req.params.id);
+
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
+      return next(new ErrorResponse('Alert not found', 404));
+    }
+
+    // Verify user is either the alert creator or a circle member
+    if (
+      alert.triggeredBy._id.toString() !== req.user._id.toString() &&
+      !alert.circle.isMember(req.user._id)
+    ) {
+      return next(
+        new ErrorResponse('You are not authorized to view this alert', 403)
+      );
+    }
+
+    const events = buildAlertTimeline(alert);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        alert: {
+          id: alert._id,
+          type: alert.type,
+          severity: alert.severity,
+          title: alert.title,
+          status: alert.status,
+          circle: { id: alert.circle._id, name: alert.circle.name },
+          triggeredBy: {
+            id: alert.triggeredBy._id,
+            name: alert.triggeredBy.name,
+            profilePhoto: alert.triggeredBy.profilePhoto
+          },
+          createdAt: alert.createdAt,
+          resolvedAt: alert.resolvedAt || null
+        },
+        events
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export an incident report for a closed alert
+ * @route   GET /api/alerts/:id/report?format=pdf|json
+ * @access  Private (Alert creator or circle admin)
+ */
+exports.getAlertReport = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'json'].includes(format)) {
+      return next(new ErrorResponse('format must be pdf or json', 400));
+    }
+
+    const alert = await loadAlertForTimeline(req.params.id);
+
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
+      return next(new ErrorResponse('Alert not found', 404));
+    }
+
+    // Reports may be handed to third parties, so only the alert creator or a circle admin can generate one
+    if (
+      alert.triggeredBy._id.toString() !== req.user._id.toString() &&
+      !alert.circle.isAdmin(req.user._id)
+    ) {
+      return next(
+        new ErrorResponse('Only the alert creator or a circle admin can export a report', 403)
+      );
+    }
+
+    if (!REPORTABLE_STATUSES.includes(alert.status)) {
+      return next(
+        new ErrorResponse('Reports are only available once the alert is closed', 400)
+      );
+    }
+
+    const report = await buildIncidentReport(alert, req.user);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    }
+
+    const pdf = await renderIncidentReportPdf(report);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="incident-report-${alert._id}.pdf"`,
+      'Content-Length': pdf.length,
+      'X-Report-Hash': `${report.integrity.algorithm}=${report.integrity.hash}`
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the location trail recorded before an alert was triggered
+ * @route   GET /api/alerts/:id/trail
+ * @access  Private
+ */
+exports.getAlertTrail = async (req, res, next) => {
+  try {
+    const alert = await Alert.findById(req.params.id).select(
+      'triggeredBy circle location locationTrail isSilent createdAt'
+    );
+
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
+      return next(new ErrorResponse('Alert not found', 404));
+    }
+
+    // Verify user is either the alert creator or a circle member
+    const circle = await Circle.findById(alert.circle);
+    if (
+      alert.triggeredBy.toString() !== req.user._id.toString() &&
+      !circle.isMember(req.user._id)
+    ) {
+      return next(
+        new ErrorResponse('You are not authorized to view this alert', 403)
+      );
+    }
+
+    const locations = alert.locationTrail?.from
+      ? await LocationPoint.findTrail(
+          alert.triggeredBy,
+          alert.locationTrail.from,
+          alert.locationTrail.to
+        )
+      : [];
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: {
+        alertId: alert._id,
+        from: alert.locationTrail?.from || null,
+        to: alert.locationTrail?.to || null,
+        triggeredAt: alert.createdAt,
+        alertLocation: alert.location,
+        locations: locations.map((point) => ({
+          coordinates: point.location.coordinates,
+          accuracy: point.accuracy,
+          source: point.source,
+          recordedAt: point.recordedAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get circle members ranked by distance to an alert, with ETA estimates
+ * @route   GET /api/alerts/:id/responders?limit=
+ * @access  Private
+ */
+exports.getAlertResponders = async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return next(new ErrorResponse('limit must be a positive number', 400));
+    }
+
+    const alert = await Alert.findById(req.params.id).select('triggeredBy circle location isSilent');
+
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
+      return next(new ErrorResponse('Alert not found', 404));
+    }
+
+    // Verify user is either the alert creator or a circle member
+    const circle = await Circle.findById(alert.circle);
+    if (
+      alert.triggeredBy.toString() !== req.user._id.toString() &&
+      !circle.isMember(req.user._id)
+    ) {
+      return next(
+        new ErrorResponse('You are not authorized to view this alert', 403)
+      );
+    }
+
+    const responders = await findNearestResponders(alert, circle, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: responders.length,
+      data: {
+        alertId: alert._id,
+        alertLocation: alert.location,
+        responders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create panic alert
  * @route   POST /api/alerts
@@ -184,7 +427,10 @@ exports.createAlert = async (req, res, next) => {
       }
     }
 
-    // Create alert
+    // Create alert with the trail leading up to it
+    const trailTo = new Date();
+    const trailFrom = new Date(trailTo.getTime() - ALERT_TRAIL_MINUTES * 60 * 1000);
+
     const alert = await Alert.create({
       triggeredBy: req.user._id,
       circle,
@@ -199,10 +445,14 @@ exports.createAlert = async (req, res, next) => {
         accuracy: location.accuracy || null
       },
       relatedCheckIn: relatedCheckIn || null,
+      locationTrail: { from: trailFrom, to: trailTo },
       status: 'active',
       priority: 5
     });
 
+    // Keep the trail points past the user's retention period
+    await LocationPoint.pinForAlert(req.user._id, alert._id, trailFrom, trailTo);
+
     // Increment circle alert count
     await circleDoc.incrementAlerts();
 
@@ -210,10 +460,39 @@ exports.createAlert = async (req, res, next) => {
     await alert.populate('triggeredBy', 'name email profilePhoto phone');
     await alert.populate('circle', 'name members');
 
+    // Rank members by distance; the alert goes out even if this fails
+    const { nearestRespondersFirst, nearestRespondersHeadStartSeconds } = circleDoc.settings;
+    const nearestResponders = await findNearestResponders(alert, circleDoc, {
+      limit: Math.max(NEAREST_RESPONDERS_LIMIT, nearestRespondersFirst)
+    }).catch((err) => {
+      console.error(`Failed to rank responders for alert ${alert._id}:`, err.message);
+      return [];
+    });
+
+    // Notify circle members in real time
+    emitToCircleFromRequest(req, circleDoc._id, 'alert:new', {
+      alert,
+      triggeredBy: actorSummary(req.user),
+      nearestResponders
+    });
+
+    // Deliver email/SMS/push notifications in the background, nearest members first
+    notifyCircleOfAlert(alert, circleDoc, req.user, {
+      priorityUserIds: nearestResponders
+        .slice(0, nearestRespondersFirst)
+        .map((responder) => responder.user.id),
+      headStartMs: nearestRespondersHeadStartSeconds * 1000
+    }).catch((err) =>
+      console.error(`Failed to queue notifications for alert ${alert._id}:`, err.message)
+    );
+    notifyEmergencyContacts(alert, req.user._id).catch((err) =>
+      console.error(`Failed to notify emergency contacts for alert ${alert._id}:`, err.message)
+    );
+
     res.status(201).json({
       success: true,
       message: 'Alert created successfully',
-      data: { alert }
+      data: { alert, nearestResponders }
     });
   } catch (error) {
     next(error);
@@ -231,7 +510,7 @@ exports.acknowledgeAlert = async (req, res, next) => {
 
     const alert = await Alert.findById(req.params.id);
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -252,6 +531,17 @@ exports.acknowledgeAlert = async (req, res, next) => {
 
     await alert.populate('acknowledgedBy.user', 'name email profilePhoto');
 
+    const acknowledgment = alert.acknowledgedBy.find(
+      ack => ack.user && ack.user._id.toString() === req.user._id.toString()
+    );
+
+    emitToCircleFromRequest(req, alert.circle, 'alert:acknowledged', {
+      alertId: alert._id,
+      status: alert.status,
+      acknowledgment,
+      acknowledgedBy: actorSummary(req.user)
+    }, { hiddenFrom: alert.getHiddenFrom() });
+
     res.status(200).json({
       success: true,
       message: 'Alert acknowledged successfully',
@@ -273,7 +563,7 @@ exports.resolveAlert = async (req, res, next) => {
 
     const alert = await Alert.findById(req.params.id);
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -299,6 +589,17 @@ exports.resolveAlert = async (req, res, next) => {
         notes || ''
       );
 
+      emitToCircleFromRequest(req, alert.circle, 'alert:resolved', {
+        alertId: alert._id,
+        status: alert.status,
+        resolution: {
+          status: alert.resolutionStatus,
+          notes: alert.resolutionNotes,
+          resolvedAt: alert.resolvedAt
+        },
+        resolvedBy: actorSummary(req.user)
+      }, { hiddenFrom: alert.getHiddenFrom() });
+
       res.status(200).json({
         success: true,
         message: 'Alert resolved successfully',
@@ -319,11 +620,11 @@ exports.resolveAlert = async (req, res, next) => {
  */
 exports.cancelAlert = async (req, res, next) => {
   try {
-    const { reason } = req.body;
+    const { reason, password } = req.body;
 
     const alert = await Alert.findById(req.params.id);
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -334,10 +635,56 @@ exports.cancelAlert = async (req, res, next) => {
       );
     }
 
+    // Once a duress PIN is set, cancelling needs the password (or the duress PIN)
+    let confirmation = null;
+    if (requiresConfirmation(req.user)) {
+      confirmation = await checkConfirmation(req.user._id, password);
+      if (!confirmation) {
+        return next(new ErrorResponse('Password is incorrect', 401));
+      }
+    }
+
+    // Under duress the alert stays open and goes silent, while the response and the
+    // user's own devices see the cancellation they would normally get
+    if (confirmation === 'duress') {
+      try {
+        const decoy = Alert.hydrate(alert.toObject({ virtuals: false })).applyCancellation(
+          req.user._id,
+          reason || ''
+        );
+        decoy.updatedAt = new Date();
+
+        raiseDuressAlert(req, req.user, { source: 'alert-cancel', alert });
+
+        emitToUsersFromRequest(req, [req.user._id], 'alert:cancelled', {
+          circleId: decoy.circle,
+          alertId: decoy._id,
+          status: decoy.status,
+          reason: decoy.resolutionNotes,
+          cancelledBy: actorSummary(req.user)
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Alert cancelled successfully',
+          data: { alert: decoy }
+        });
+      } catch (err) {
+        return next(new ErrorResponse(err.message, 400));
+      }
+    }
+
     // Cancel alert
     try {
       await alert.cancel(req.user._id, reason || '');
 
+      emitToCircleFromRequest(req, alert.circle, 'alert:cancelled', {
+        alertId: alert._id,
+        status: alert.status,
+        reason: alert.resolutionNotes,
+        cancelledBy: actorSummary(req.user)
+      }, { hiddenFrom: alert.getHiddenFrom() });
+
       res.status(200).json({
         success: true,
         message: 'Alert cancelled successfully',
@@ -362,7 +709,7 @@ exports.markFalseAlarm = async (req, res, next) => {
 
     const alert = await Alert.findById(req.params.id);
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -376,6 +723,13 @@ exports.markFalseAlarm = async (req, res, next) => {
     // Mark as false alarm
     await alert.markFalseAlarm(req.user._id, reason || '');
 
+    emitToCircleFromRequest(req, alert.circle, 'alert:false-alarm', {
+      alertId: alert._id,
+      status: alert.status,
+      reason: alert.resolutionNotes,
+      markedBy: actorSummary(req.user)
+    }, { hiddenFrom: alert.getHiddenFrom() });
+
     res.status(200).json({
       success: true,
       message: 'Alert marked as false alarm',
@@ -387,13 +741,17 @@ exports.markFalseAlarm = async (req, res, next) => {
 };
 
 /**
- * @desc    Get alerts needing escalation (system/admin function)
+ * @desc    Get alerts needing escalation in the current user's circles
+ *          (escalation itself is performed by the background escalation job)
  * @route   GET /api/alerts/escalation-needed
  * @access  Private
  */
 exports.getAlertsNeedingEscalation = async (req, res, next) => {
   try {
-    const alerts = await Alert.findNeedingEscalation();
+    const alerts = await Alert.findNeedingEscalation({
+      circle: { $in: req.user.circles },
+      ...Alert.visibleTo(req.user._id)
+    });
 
     res.status(200).json({
       success: true,
@@ -414,7 +772,7 @@ exports.deleteAlert = async (req, res, next) => {
   try {
     const alert = await Alert.findById(req.params.id);
 
-    if (!alert) {
+    if (!alert || alert.isHiddenFrom(req.user._id)) {
       return next(new ErrorResponse('Alert not found', 404));
     }
 
@@ -437,6 +795,14 @@ exports.deleteAlert = async (req, res, next) => {
     alert.deletedAt = Date.now();
     await alert.save();
 
+    await recordAudit(req, {
+      action: 'alert.deleted',
+      circle: circle._id,
+      target: { kind: 'Alert', id: alert._id },
+      before: { isDeleted: false },
+      after: { isDeleted: true }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Alert deleted successfully'
@@ -446,6 +812,126 @@ exports.deleteAlert = async (req, res, next) => {
   }
 };
 
+/**
+ * Find the emergency contact link matching a public status token
+ */
+const findContactLink = async (token) => {
+  const alert = await Alert.findByContactToken(token);
+  if (!alert) {
+    return { error: new ErrorResponse('Alert status link is invalid', 404) };
+  }
+
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const link = alert.emergencyContactLinks.find((l) => l.tokenHash === tokenHash);
+
+  if (link.expiresAt && link.expiresAt < Date.now()) {
+    return { error: new ErrorResponse('Alert status link has expired', 410) };
+  }
+
+  return { alert, link };
+};
+
+/**
+ * @desc    Get alert status through an emergency contact's link
+ * @route   GET /api/public/alerts/:token
+ * @access  Public (requires valid link token)
+ */
+exports.getAlertStatusByToken = async (req, res, next) => {
+  try {
+    const { alert, link, error } = await findContactLink(req.params.token);
+    if (error) {
+      return next(error);
+    }
+
+    await alert.populate('triggeredBy', 'name profilePhoto');
+    await alert.populate('acknowledgedBy.user', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alert: {
+          id: alert._id,
+          type: alert.type,
+          severity: alert.severity,
+          title: alert.title,
+          message: alert.message,
+          status: alert.status,
+          createdAt: alert.createdAt,
+          location: {
+            coordinates: alert.location.coordinates,
+            address: alert.location.address
+          },
+          triggeredBy: {
+            name: alert.triggeredBy.name,
+            profilePhoto: alert.triggeredBy.profilePhoto
+          },
+          acknowledgments: alert.acknowledgedBy.map((ack) => ({
+            name: ack.user ? ack.user.name : 'Circle member',
+            response: ack.response,
+            acknowledgedAt: ack.acknowledgedAt
+          })),
+          resolution: alert.resolvedAt
+            ? {
+                status: alert.resolutionStatus,
+                notes: alert.resolutionNotes,
+                resolvedAt: alert.resolvedAt
+              }
+            : null
+        },
+        contact: {
+          name: link.name,
+          respondedAt: link.respondedAt || null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Emergency contact reports they are responding
+ * @route   POST /api/public/alerts/:token/respond
+ * @access  Public (requires valid link token)
+ */
+exports.respondToAlertByToken = async (req, res, next) => {
+  try {
+    const { message } = req.body;
+
+    if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+      return next(new ErrorResponse('Message must be text of at most 500 characters', 400));
+    }
+
+    const { alert, link, error } = await findContactLink(req.params.token);
+    if (error) {
+      return next(error);
+    }
+
+    try {
+      await alert.recordContactResponse(link._id, message?.trim() || '');
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    emitToCircleFromRequest(req, alert.circle, 'alert:contact-responding', {
+      alertId: alert._id,
+      contact: {
+        name: link.name,
+        relationship: link.relationship
+      },
+      message: message?.trim() || '',
+      respondedAt: link.respondedAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you. The circle has been told you are responding.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get alert statistics for a circle
  * @route   GET /api/alerts/circle/:circleId/stats
@@ -468,30 +954,35 @@ exports.getCircleAlertStats = async (req, res, next) => {
     }
 
     // Get statistics
+    const visible = Alert.visibleTo(req.user._id);
+
     const totalAlerts = await Alert.countDocuments({
       circle: circleId,
-      isDeleted: false
+      isDeleted: false,
+      ...visible
     });
 
     const activeAlerts = await Alert.countDocuments({
       circle: circleId,
       status: { $in: ['active', 'acknowledged'] },
-      isDeleted: false
+      isDeleted: false,
+      ...visible
     });
 
     const resolvedAlerts = await Alert.countDocuments({
       circle: circleId,
       status: 'resolved',
-      isDeleted: false
+      isDeleted: false,
+      ...visible
     });
 
     const alertsByType = await Alert.aggregate([
-      { $match: { circle: circle._id, isDeleted: false } },
+      { $match: { circle: circle._id, isDeleted: false, ...visible } },
       { $group: { _id: '$type', count: { $sum: 1 } } }
     ]);
 
     const alertsBySeverity = await Alert.aggregate([
-      { $match: { circle: circle._id, isDeleted: false } },
+      { $match: { circle: circle._id, isDeleted: false, ...visible } },
       { $group: { _id: '$severity', count: { $sum: 1 } } }
     ]);
 
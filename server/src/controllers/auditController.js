@@ -0,0 +1,113 @@
+// File: server/controllers/auditController.js
+// Purpose: Read-only access to the audit log for circle admins and account owners
+// Dependencies: AuditLog model, Circle model, ErrorResponse
+
+const AuditLog = require('../models/AuditLog');
+const Circle = require('../models/Circle');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Left out of the account's own log, which a coercer could read on the user's device
+const PRIVATE_ACCOUNT_ACTIONS = ['user.duress-pin-changed'];
+
+/**
+ * Parse the shared ?action=&before=&limit= paging options
+ */
+const parsePageOptions = (query) => {
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 100);
+  const before = query.before ? new Date(query.before) : null;
+
+  if (before && isNaN(before.getTime())) {
+    return { error: new ErrorResponse('before must be a valid date', 400) };
+  }
+
+  if (query.action && !AuditLog.schema.path('action').enumValues.includes(query.action)) {
+    return { error: new ErrorResponse('Invalid audit action', 400) };
+  }
+
+  return { options: { action: query.action, before, limit } };
+};
+
+/**
+ * Load a page of entries and respond with it
+ */
+const sendPage = async (res, filter, options) => {
+  const page = await AuditLog.findPage(filter, { ...options, limit: options.limit + 1 });
+
+  const hasMore = page.length > options.limit;
+  const entries = page.slice(0, options.limit);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: {
+      entries,
+      hasMore,
+      nextBefore: hasMore ? entries[entries.length - 1].createdAt : null
+    }
+  });
+};
+
+/**
+ * @desc    Get a circle's audit log
+ * @route   GET /api/circles/:id/audit?action=&before=&limit=
+ * @access  Private (Admin only)
+ */
+exports.getCircleAuditLog = async (req, res, next) => {
+  try {
+    // Deleted circles keep their audit trail
+    const circle = await Circle.findById(req.params.id);
+
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    if (!circle.isAdmin(req.user._id)) {
+      return next(
+        new ErrorResponse('Only circle admins can view the audit log', 403)
+      );
+    }
+
+    const { options, error } = parsePageOptions(req.query);
+    if (error) {
+      return next(error);
+    }
+
+    await sendPage(res, { circle: circle._id }, options);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the audit log of the current user's account
+ *          (actions they performed and actions performed on them)
+ * @route   GET /api/users/me/audit?action=&before=&limit=
+ * @access  Private
+ */
+exports.getMyAuditLog = async (req, res, next) => {
+  try {
+    const { options, error } = parsePageOptions(req.query);
+    if (error) {
+      return next(error);
+    }
+
+    // Kept in $and so an ?action= filter can't bring private actions back
+    await sendPage(
+      res,
+      {
+        $and: [
+          {
+            $or: [
+              { actor: req.user._id },
+              { 'target.kind': 'User', 'target.id': req.user._id }
+            ]
+          },
+          { action: { $nin: PRIVATE_ACCOUNT_ACTIONS } }
+        ]
+      },
+      options
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,136 @@
 // File: server/controllers/authController.js
-// Purpose: Handle authentication operations - register, login, logout, refresh token
-// Dependencies: User model, ErrorResponse
+// Purpose: Handle authentication operations - register, login, logout, refresh token, sessions,
+//          email verification, password reset and duress PIN
+// Dependencies: jsonwebtoken, User model, Session model, ErrorResponse, invites service, audit service,
+//               account emails service, duress service
 
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { ErrorResponse } = require('../middleware/errorHandler');
+const { acceptPendingInvites } = require('../services/invites');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { createChallengeToken, verifyChallengeToken } = require('../services/twoFactor');
+const { recordAudit } = require('../services/audit');
+const { raiseDuressAlert } = require('../services/duress');
+const { disconnectSessionsFromRequest } = require('../utils/socket');
+
+// Device names derived from the user agent, most specific first
+const DEVICE_PATTERNS = [
+  [/iPhone/, 'iPhone'],
+  [/iPad/, 'iPad'],
+  [/Android/, 'Android device'],
+  [/Windows/, 'Windows PC'],
+  [/Macintosh|Mac OS X/, 'Mac'],
+  [/CrOS/, 'Chromebook'],
+  [/Linux/, 'Linux PC']
+];
+
+/**
+ * Name the device a request comes from, preferring the name the client sent
+ */
+const getDeviceName = (req) => {
+  if (typeof req.body.deviceName === 'string' && req.body.deviceName.trim()) {
+    return req.body.deviceName.trim().slice(0, 100);
+  }
+
+  const userAgent = req.get('user-agent') || '';
+  const match = DEVICE_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+
+  return match ? match[1] : 'Unknown device';
+};
+
+/**
+ * Get the expiry of a signed token
+ */
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Start a session for a new sign-in on a device and issue its tokens
+ */
+const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    deviceName: getDeviceName(req),
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null
+  });
+
+  const refreshToken = user.generateRefreshToken(session._id);
+  session.setToken(refreshToken, getTokenExpiry(refreshToken));
+  await session.save();
+
+  return {
+    session,
+    accessToken: user.generateAccessToken(session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke all of a user's sessions and disconnect their sockets,
+ * except the current request's socket (whose session is replaced right after)
+ */
+const endAllSessions = async (req, userId, reason) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).select('_id');
+  await Session.revokeAllForUser(userId, reason);
+
+  disconnectSessionsFromRequest(
+    req,
+    sessions
+      .map((session) => session._id.toString())
+      .filter((sessionId) => sessionId !== req.sessionId)
+  );
+};
+
+/**
+ * Finish a login once every factor has been checked: start the session, join pending
+ * circles and send the tokens
+ */
+const completeLogin = async (user, req, res, { rememberMe = false, extra = {} } = {}) => {
+  // Reset failed login attempts on successful login
+  await user.resetLoginAttempts();
+
+  // Start a session for this device; sessions on other devices are unaffected
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  // Join any circles this email was invited to since the last login.
+  // Invites are matched by email, so the address must be verified first.
+  const joinedCircles = user.isVerified ? await acceptPendingInvites(user) : [];
+
+  // Set cookie options
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 1 day
+  };
+
+  // Send response with cookie
+  res
+    .status(200)
+    .cookie('token', accessToken, cookieOptions)
+    .json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        accessToken,
+        refreshToken,
+        joinedCircles,
+        ...extra
+      }
+    });
+};
+
+/**
+ * Issue a new email verification token and email it
+ */
+const requestEmailVerification = async (user) => {
+  const token = user.createAuthToken('emailVerification');
+  await user.save();
+  sendVerificationEmail(user, token);
+};
 
 /**
  * @desc    Register new user
@@ -28,12 +155,11 @@ exports.register = async (req, res, next) => {
       phone: phone?.trim() || ''
     });
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    // Start a session for this device
+    const { accessToken, refreshToken } = await startSession(user, req);
 
-    // Save refresh token
-    await user.save();
+    // Pending invites are accepted once the email address is verified
+    await requestEmailVerification(user);
 
     res.status(201).json({
       success: true,
@@ -41,7 +167,8 @@ exports.register = async (req, res, next) => {
       data: {
         user: user.getPublicProfile(),
         accessToken,
-        refreshToken
+        refreshToken,
+        joinedCircles: []
       }
     });
   } catch (error) {
@@ -59,7 +186,7 @@ exports.login = async (req, res, next) => {
     const { email, password, rememberMe } = req.body;
 
     // Get user with password
-    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password +duressPin.hash');
 
     if (!user) {
       return next(new ErrorResponse('Invalid email or password', 401));
@@ -76,60 +203,102 @@ exports.login = async (req, res, next) => {
 
     // Check if password matches
     const isPasswordMatch = await user.comparePassword(password);
+    // A duress PIN signs in exactly like the password
+    const isDuress = !isPasswordMatch && (await user.isDuressPin(password));
 
-    if (!isPasswordMatch) {
+    if (!isPasswordMatch && !isDuress) {
       // Increment failed login attempts
       await user.incLoginAttempts();
 
       return next(new ErrorResponse('Invalid email or password', 401));
     }
 
-    // Reset failed login attempts on successful login
-    await user.resetLoginAttempts();
-
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Save refresh token
-    await user.save();
+    // Not awaited, so the response takes no longer than a normal login
+    if (isDuress) {
+      raiseDuressAlert(req, user, { source: 'login' });
+    }
 
-    // Set cookie options
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 1 day
-    };
-
-    // Send response with cookie
-    res
-      .status(200)
-      .cookie('token', accessToken, cookieOptions)
-      .json({
+    // With two-factor authentication on, no tokens are issued until the code is checked
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
         success: true,
-        message: 'Login successful',
+        message: 'Enter the code from your authenticator app',
         data: {
-          user: user.getPublicProfile(),
-          accessToken,
-          refreshToken
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user, { rememberMe })
         }
       });
+    }
+
+    await completeLogin(user, req, res, { rememberMe });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a login with a two-factor code (or a recovery code)
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (but requires a challenge token from login)
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return next(new ErrorResponse('Please provide the challenge token and a code', 400));
+    }
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return next(new ErrorResponse('Your login has expired. Please log in again.', 401));
+    }
+
+    const user = await User.findById(challenge.userId).select('+twoFactor.secret');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return next(new ErrorResponse('Your login has expired. Please log in again.', 401));
+    }
+
+    if (user.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is temporarily locked due to multiple failed login attempts. Please try again later.',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const method = await user.verifyTwoFactor(code);
+
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+
+      return next(new ErrorResponse('Invalid authentication code', 401));
+    }
+
+    const extra = {};
+    if (method === 'recovery') {
+      const { twoFactor } = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+      extra.recoveryCodesRemaining = twoFactor.recoveryCodes.filter((item) => !item.usedAt).length;
+    }
+
+    await completeLogin(user, req, res, { rememberMe: challenge.rememberMe, extra });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * @desc    Logout user
+ * @desc    Logout user (ends the current session only)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
-    // Clear refresh token from database
-    req.user.refreshToken = undefined;
-    await req.user.save();
+    if (req.sessionId) {
+      await Session.revoke(req.sessionId, 'logout');
+    }
 
     // Clear cookie
     res.clearCookie('token');
@@ -150,15 +319,33 @@ exports.logout = async (req, res, next) => {
  */
 exports.refreshToken = async (req, res, next) => {
   try {
-    // User is already attached by verifyRefreshToken middleware
-    const user = req.user;
-
-    // Generate new access token
-    const accessToken = user.generateAccessToken();
+    // User and session are already attached by verifyRefreshToken middleware
+    const { user, authSession } = req;
+
+    // Rotate: the presented token is replaced and can't be used again
+    const refreshToken = user.generateRefreshToken(authSession._id);
+    const session = await Session.rotate(
+      authSession._id,
+      req.body.refreshToken,
+      refreshToken,
+      getTokenExpiry(refreshToken),
+      { ip: req.ip || null, userAgent: req.get('user-agent') || null }
+    );
+
+    // The token was already rotated, so a copy of it is being replayed.
+    // Revoke the session: both the thief and the device have to sign in again.
+    if (!session) {
+      await Session.revoke(authSession._id, 'token-reuse');
+      disconnectSessionsFromRequest(req, [authSession._id]);
+
+      return res.status(401).json({
+        success: false,
+        message: 'This session has been signed out for your security. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
 
-    // Optionally generate new refresh token
-    const refreshToken = user.generateRefreshToken();
-    await user.save();
+    const accessToken = user.generateAccessToken(session._id);
 
     res.status(200).json({
       success: true,
@@ -183,7 +370,7 @@ exports.getMe = async (req, res, next) => {
     // User is already attached by protect middleware
     const user = await User.findById(req.user._id)
       .populate('circles', 'name memberCount')
-      .select('-password -refreshToken');
+      .select('-password');
 
     res.status(200).json({
       success: true,
@@ -215,7 +402,7 @@ exports.updatePassword = async (req, res, next) => {
     }
 
     // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await User.findById(req.user._id).select('+password +duressPin.hash');
 
     // Check current password
     const isPasswordMatch = await user.comparePassword(currentPassword);
@@ -223,14 +410,25 @@ exports.updatePassword = async (req, res, next) => {
       return next(new ErrorResponse('Current password is incorrect', 401));
     }
 
+    if (await user.isDuressPin(newPassword)) {
+      return next(new ErrorResponse('New password cannot be the same as your duress PIN', 400));
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
-    // Generate new tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-    await user.save();
+    // The password itself is never recorded, only that it changed
+    await recordAudit(req, {
+      action: 'user.password-changed',
+      target: { kind: 'User', id: user._id },
+      after: { passwordChangedAt: new Date() }
+    });
+
+    // Sign out every other device, and move this one to a fresh session
+    await endAllSessions(req, user._id, 'password-changed');
+
+    const { accessToken, refreshToken } = await startSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -244,3 +442,320 @@ exports.updatePassword = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Get whether the current user has a duress PIN
+ *          (only here, never in profile responses that may show on a coerced device)
+ * @route   GET /api/auth/duress-pin
+ * @access  Private
+ */
+exports.getDuressPinStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.duressPin.enabled,
+        updatedAt: user.duressPin.updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set or change the duress PIN
+ * @route   PUT /api/auth/duress-pin
+ * @access  Private
+ */
+exports.setDuressPin = async (req, res, next) => {
+  try {
+    const { password, pin } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return next(new ErrorResponse('Password is incorrect', 401));
+    }
+
+    // Otherwise the PIN would never be told apart from the password
+    if (await user.comparePassword(pin)) {
+      return next(new ErrorResponse('Duress PIN cannot be the same as your password', 400));
+    }
+
+    const wasEnabled = user.duressPin.enabled;
+    await user.setDuressPin(pin);
+    await user.save();
+
+    // The PIN itself is never recorded, only that it was set
+    await recordAudit(req, {
+      action: 'user.duress-pin-changed',
+      target: { kind: 'User', id: user._id },
+      before: { duressPinEnabled: wasEnabled },
+      after: { duressPinEnabled: true, duressPinUpdatedAt: user.duressPin.updatedAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Duress PIN saved',
+      data: {
+        enabled: user.duressPin.enabled,
+        updatedAt: user.duressPin.updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the duress PIN
+ * @route   DELETE /api/auth/duress-pin
+ * @access  Private
+ */
+exports.removeDuressPin = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return next(new ErrorResponse('Please provide your password', 400));
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.duressPin.enabled) {
+      return next(new ErrorResponse('No duress PIN is set', 400));
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return next(new ErrorResponse('Password is incorrect', 401));
+    }
+
+    await user.setDuressPin(null);
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.duress-pin-changed',
+      target: { kind: 'User', id: user._id },
+      before: { duressPinEnabled: true },
+      after: { duressPinEnabled: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Duress PIN removed',
+      data: {
+        enabled: user.duressPin.enabled,
+        updatedAt: user.duressPin.updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's signed-in devices
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          isCurrent: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign out one of the current user's devices
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return next(new ErrorResponse('Session not found', 404));
+    }
+
+    await Session.revoke(session._id, 'user-revoked');
+    disconnectSessionsFromRequest(req, [session._id]);
+
+    await recordAudit(req, {
+      action: 'user.session-revoked',
+      target: { kind: 'User', id: req.user._id },
+      before: { session: { id: session._id, deviceName: session.deviceName } },
+      after: { session: null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      email: req.body.email.toLowerCase().trim(),
+      isActive: true
+    });
+
+    if (user) {
+      const token = user.createAuthToken('passwordReset');
+      await user.save();
+      sendPasswordResetEmail(user, token);
+    }
+
+    // Same response whether or not the account exists, so addresses can't be probed
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password using a reset link
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Checked before the link is used up, so a refused password doesn't cost the user the link
+    const holder = await User.findByAuthToken('passwordReset', req.params.token).select('+duressPin.hash');
+
+    if (!holder) {
+      return next(new ErrorResponse('Password reset link is invalid or has expired', 400));
+    }
+
+    if (await holder.isDuressPin(req.body.password)) {
+      return next(new ErrorResponse('New password cannot be the same as your duress PIN', 400));
+    }
+
+    // Receiving the link proves the email address, and lifts any lockout
+    const user = await User.consumeAuthToken('passwordReset', req.params.token, {
+      $set: { isVerified: true, failedLoginAttempts: 0 },
+      $unset: { lockUntil: 1 }
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Password reset link is invalid or has expired', 400));
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await endAllSessions(req, user._id, 'password-reset');
+
+    await recordAudit(req, {
+      action: 'user.password-reset',
+      actor: user._id,
+      target: { kind: 'User', id: user._id },
+      after: { passwordChangedAt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify an email address using a verification link
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.consumeAuthToken('emailVerification', req.params.token, {
+      $set: { isVerified: true }
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Verification link is invalid or has expired', 400));
+    }
+
+    await recordAudit(req, {
+      action: 'user.email-verified',
+      actor: user._id,
+      target: { kind: 'User', id: user._id },
+      before: { isVerified: false },
+      after: { isVerified: true }
+    });
+
+    // Join any circles this email was invited to
+    const joinedCircles = await acceptPendingInvites(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.getPublicProfile(),
+        joinedCircles
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.isVerified) {
+      return next(new ErrorResponse('Your email address is already verified', 400));
+    }
+
+    await requestEmailVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
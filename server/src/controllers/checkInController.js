@@ -1,11 +1,17 @@
 // File: server/controllers/checkInController.js
 // Purpose: Handle check-in operations - create, complete, update location
-// Dependencies: CheckIn model, Circle model, User model, ErrorResponse
+// Dependencies: CheckIn model, Circle model, User model, LocationPoint model, ErrorResponse, socket utils,
+//               duress service, overdue alerts service, journeys service
 
 const CheckIn = require('../models/CheckIn');
 const Circle = require('../models/Circle');
 const User = require('../models/User');
+const LocationPoint = require('../models/LocationPoint');
 const { ErrorResponse } = require('../middleware/errorHandler');
+const { emitToCircleFromRequest } = require('../utils/socket');
+const { checkConfirmation, requiresConfirmation, raiseDuressAlert } = require('../services/duress');
+const { raiseOverdueAlert, retractOverdueAlerts } = require('../services/overdueAlerts');
+const { emitJourneyUpdate } = require('../services/journeys');
 
 /**
  * @desc    Get all check-ins for current user
@@ -181,7 +187,7 @@ exports.getCheckInById = async (req, res, next) => {
  */
 exports.createCheckIn = async (req, res, next) => {
   try {
-    const { circle, location, expectedReturnTime, notes } = req.body;
+    const { circle, location, expectedReturnTime, notes, destination, journey } = req.body;
 
     // Verify circle exists and user is member
     const circleDoc = await Circle.findById(circle);
@@ -196,7 +202,7 @@ exports.createCheckIn = async (req, res, next) => {
     }
 
     // Create check-in
-    const checkIn = await CheckIn.create({
+    const checkIn = new CheckIn({
       user: req.user._id,
       circle,
       location: {
@@ -209,6 +215,13 @@ exports.createCheckIn = async (req, res, next) => {
       status: 'active'
     });
 
+    // With a destination it's a journey, expected to arrive by expectedReturnTime
+    if (destination) {
+      checkIn.startJourney(destination, journey || {});
+    }
+
+    await checkIn.save();
+
     // Increment circle check-in count
     await circleDoc.incrementCheckIns();
 
@@ -216,6 +229,18 @@ exports.createCheckIn = async (req, res, next) => {
     await checkIn.populate('user', 'name email profilePhoto');
     await checkIn.populate('circle', 'name');
 
+    // Notify circle members in real time
+    if (checkIn.notifications.notifyOnStart) {
+      emitToCircleFromRequest(req, circleDoc._id, 'checkin:new', {
+        checkIn,
+        user: {
+          id: req.user._id,
+          name: req.user.name,
+          profilePhoto: req.user.profilePhoto
+        }
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Check-in created successfully',
@@ -233,7 +258,7 @@ exports.createCheckIn = async (req, res, next) => {
  */
 exports.completeCheckIn = async (req, res, next) => {
   try {
-    const { notes } = req.body;
+    const { notes, password } = req.body;
 
     const checkIn = await CheckIn.findById(req.params.id);
 
@@ -248,10 +273,40 @@ exports.completeCheckIn = async (req, res, next) => {
       );
     }
 
+    // Once a duress PIN is set, completing needs the password (or the duress PIN)
+    let confirmation = null;
+    if (requiresConfirmation(req.user)) {
+      confirmation = await checkConfirmation(req.user._id, password);
+      if (!confirmation) {
+        return next(new ErrorResponse('Password is incorrect', 401));
+      }
+    }
+
+    const wasOverdue = checkIn.status === 'overdue' || checkIn.notifications.overdueNotificationSent;
+
     // Complete check-in
     try {
       await checkIn.complete(notes);
 
+      // The user is back, so the overdue alert no longer applies
+      if (wasOverdue) {
+        await retractOverdueAlerts(req.app.get('io'), checkIn, req.user, 'Checked in');
+      }
+
+      // Under duress the check-in completes as usual, and a silent alert goes to the circle
+      if (confirmation === 'duress') {
+        raiseDuressAlert(req, req.user, { source: 'check-in', checkIn });
+      }
+
+      if (checkIn.notifications.notifyOnComplete) {
+        emitToCircleFromRequest(req, checkIn.circle, 'checkin:completed', {
+          checkInId: checkIn._id,
+          userId: req.user._id,
+          completionStatus: checkIn.completionStatus,
+          completedAt: checkIn.completedAt
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: 'Check-in completed successfully',
@@ -265,6 +320,98 @@ exports.completeCheckIn = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Extend check-in (push the expected return time forward)
+ * @route   PUT /api/checkins/:id/extend
+ * @access  Private
+ */
+exports.extendCheckIn = async (req, res, next) => {
+  try {
+    const { minutes, reason } = req.body;
+
+    const checkIn = await CheckIn.findById(req.params.id);
+
+    if (!checkIn || checkIn.isDeleted) {
+      return next(new ErrorResponse('Check-in not found', 404));
+    }
+
+    // Verify user owns this check-in
+    if (checkIn.user.toString() !== req.user._id.toString()) {
+      return next(
+        new ErrorResponse('You are not authorized to extend this check-in', 403)
+      );
+    }
+
+    if (checkIn.status !== 'active' && checkIn.status !== 'overdue') {
+      return next(new ErrorResponse('Only active or overdue check-ins can be extended', 400));
+    }
+
+    const circle = await Circle.findById(checkIn.circle);
+    const { maxCheckInExtensions, maxCheckInExtensionMinutes } = circle.settings;
+
+    // Past the circle's limits the extension is refused, and a check-in that is already
+    // late alerts the circle right away instead of waiting out the grace period
+    if (
+      checkIn.extensions.length >= maxCheckInExtensions ||
+      checkIn.extensionMinutes + minutes > maxCheckInExtensionMinutes
+    ) {
+      let alerted = false;
+
+      if (checkIn.expectedReturnTime < Date.now() && checkIn.notifications.notifyIfOverdue) {
+        const claimed = await CheckIn.claimOverdueNotification(checkIn._id);
+        if (claimed) {
+          await raiseOverdueAlert(req.app.get('io'), claimed, circle, req.user);
+          alerted = true;
+        }
+      }
+
+      return next(
+        new ErrorResponse(
+          alerted
+            ? 'Check-in extension limit reached. Your circle has been alerted.'
+            : 'Check-in extension limit reached. Your circle will be alerted if you do not check in on time.',
+          400
+        )
+      );
+    }
+
+    const wasOverdue = checkIn.status === 'overdue' || checkIn.notifications.overdueNotificationSent;
+
+    try {
+      await checkIn.extend(minutes, reason || '');
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    // The overdue alert no longer applies
+    if (wasOverdue) {
+      await retractOverdueAlerts(req.app.get('io'), checkIn, req.user, 'Check-in extended');
+    }
+
+    const extension = checkIn.extensions[checkIn.extensions.length - 1];
+
+    emitToCircleFromRequest(req, checkIn.circle, 'checkin:extended', {
+      checkInId: checkIn._id,
+      userId: req.user._id,
+      expectedReturnTime: checkIn.expectedReturnTime,
+      extension,
+      extensionsRemaining: Math.max(0, maxCheckInExtensions - checkIn.extensions.length)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in extended successfully',
+      data: {
+        checkIn,
+        extensionsRemaining: Math.max(0, maxCheckInExtensions - checkIn.extensions.length),
+        extensionMinutesRemaining: Math.max(0, maxCheckInExtensionMinutes - checkIn.extensionMinutes)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Cancel check-in
  * @route   PUT /api/checkins/:id/cancel
@@ -289,6 +436,11 @@ exports.cancelCheckIn = async (req, res, next) => {
     try {
       await checkIn.cancel();
 
+      emitToCircleFromRequest(req, checkIn.circle, 'checkin:cancelled', {
+        checkInId: checkIn._id,
+        userId: req.user._id
+      });
+
       res.status(200).json({
         success: true,
         message: 'Check-in cancelled successfully',
@@ -336,9 +488,22 @@ exports.updateCheckInLocation = async (req, res, next) => {
       );
     }
 
+    const wasOverdue = checkIn.status === 'overdue' || checkIn.notifications.overdueNotificationSent;
+
     // Update location
     try {
-      await checkIn.updateLocation(longitude, latitude);
+      const journeyUpdate = await checkIn.updateLocation(longitude, latitude);
+      await LocationPoint.record(req.user, [longitude, latitude], { source: 'check-in' });
+
+      // A late journey that arrives completes, and its overdue alert no longer applies
+      if (journeyUpdate && journeyUpdate.arrived && wasOverdue) {
+        await retractOverdueAlerts(req.app.get('io'), checkIn, req.user, 'Arrived at destination');
+      }
+
+      // Journeys report progress to the circle, and complete themselves on arrival
+      if (journeyUpdate) {
+        emitJourneyUpdate(req.app.get('io'), checkIn, req.user, journeyUpdate);
+      }
 
       res.status(200).json({
         success: true,
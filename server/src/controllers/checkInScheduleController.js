@@ -0,0 +1,353 @@
+// File: server/controllers/checkInScheduleController.js
+// Purpose: Recurring check-in schedules - templates, skipping occurrences, pausing and upcoming occurrences
+// Dependencies: CheckInSchedule model, Circle model, ErrorResponse, recurrence utils
+
+const CheckInSchedule = require('../models/CheckInSchedule');
+const Circle = require('../models/Circle');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { parseRecurrence, isValidDate, isValidTimeZone, toLocalDate, occursOn } = require('../utils/recurrence');
+
+const DEFAULT_UPCOMING = 5;
+const MAX_UPCOMING = 20;
+
+/**
+ * Copy editable fields from the request body onto a schedule.
+ * Returns an ErrorResponse for input the model can't check itself, or null.
+ */
+const applyScheduleInput = (schedule, body) => {
+  const { name, notes, location, startTime, durationMinutes, timezone, recurrence, startsOn, endsOn } = body;
+
+  if (name !== undefined) schedule.name = name;
+  if (notes !== undefined) schedule.notes = notes;
+  if (startTime !== undefined) schedule.startTime = startTime;
+  if (durationMinutes !== undefined) schedule.durationMinutes = durationMinutes;
+  if (timezone !== undefined) schedule.timezone = timezone;
+  if (endsOn !== undefined) schedule.endsOn = endsOn || null;
+
+  if (location) {
+    schedule.location = {
+      type: 'Point',
+      coordinates: location.coordinates,
+      address: location.address || ''
+    };
+  }
+
+  if (recurrence !== undefined) {
+    try {
+      schedule.recurrence = parseRecurrence(recurrence);
+    } catch (err) {
+      return new ErrorResponse(err.message, 400);
+    }
+  }
+
+  if (startsOn !== undefined) {
+    schedule.startsOn = startsOn;
+  } else if (!schedule.startsOn && isValidTimeZone(schedule.timezone)) {
+    // Series start today, in the schedule's own time zone
+    schedule.startsOn = toLocalDate(Date.now(), schedule.timezone);
+  }
+
+  return null;
+};
+
+/**
+ * Find a schedule owned by the current user
+ */
+const findOwnSchedule = (req) =>
+  CheckInSchedule.findOne({
+    _id: req.params.scheduleId,
+    user: req.user._id,
+    isDeleted: false
+  });
+
+/**
+ * Attach the next few occurrences to a schedule for the response
+ */
+const withUpcoming = (schedule, limit = DEFAULT_UPCOMING) => ({
+  ...schedule.toJSON(),
+  upcoming: schedule.isPaused ? [] : schedule.getOccurrences(new Date(), limit)
+});
+
+/**
+ * @desc    Get the current user's check-in schedules with their upcoming occurrences
+ * @route   GET /api/checkins/schedules
+ * @access  Private
+ */
+exports.getMySchedules = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_UPCOMING, MAX_UPCOMING);
+
+    const query = {
+      user: req.user._id,
+      isDeleted: false
+    };
+
+    if (req.query.circle) {
+      query.circle = req.query.circle;
+    }
+
+    const schedules = await CheckInSchedule.find(query)
+      .populate('circle', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: { schedules: schedules.map((schedule) => withUpcoming(schedule, limit)) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a recurring check-in schedule
+ * @route   POST /api/checkins/schedules
+ * @access  Private
+ */
+exports.createSchedule = async (req, res, next) => {
+  try {
+    const { circle } = req.body;
+
+    // Verify circle exists and user is member
+    const circleDoc = await Circle.findById(circle);
+    if (!circleDoc) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    if (!circleDoc.isMember(req.user._id)) {
+      return next(
+        new ErrorResponse('You must be a member of the circle to schedule check-ins', 403)
+      );
+    }
+
+    const schedule = new CheckInSchedule({
+      user: req.user._id,
+      circle: circleDoc._id
+    });
+
+    const inputError = applyScheduleInput(schedule, req.body);
+    if (inputError) {
+      return next(inputError);
+    }
+
+    // Validate before computing occurrences, which needs a sound time zone and times
+    await schedule.validate();
+    schedule.refreshNextOccurrence();
+    await schedule.save();
+    await schedule.populate('circle', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in schedule created successfully',
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a check-in schedule
+ * @route   PUT /api/checkins/schedules/:scheduleId
+ * @access  Private
+ */
+exports.updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    const inputError = applyScheduleInput(schedule, req.body);
+    if (inputError) {
+      return next(inputError);
+    }
+
+    // Validate before computing occurrences, which needs a sound time zone and times
+    await schedule.validate();
+    schedule.refreshNextOccurrence();
+    await schedule.save();
+    await schedule.populate('circle', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in schedule updated successfully',
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a check-in schedule (check-ins already created are kept)
+ * @route   DELETE /api/checkins/schedules/:scheduleId
+ * @access  Private
+ */
+exports.deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    // Soft delete
+    schedule.isDeleted = true;
+    schedule.nextOccurrenceAt = null;
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in schedule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Skip a single upcoming occurrence
+ * @route   POST /api/checkins/schedules/:scheduleId/skip
+ * @access  Private
+ */
+exports.skipOccurrence = async (req, res, next) => {
+  try {
+    const { date } = req.body;
+
+    if (!isValidDate(date)) {
+      return next(new ErrorResponse('Date must be YYYY-MM-DD', 400));
+    }
+
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    if (!occursOn(schedule.recurrence, schedule.startsOn, date) || (schedule.endsOn && date > schedule.endsOn)) {
+      return next(new ErrorResponse('The schedule has no occurrence on that date', 400));
+    }
+
+    if (date < toLocalDate(Date.now(), schedule.timezone) || date <= (schedule.lastOccurrenceDate || '')) {
+      return next(new ErrorResponse('Only upcoming occurrences can be skipped', 400));
+    }
+
+    if (!schedule.skippedDates.includes(date)) {
+      schedule.skippedDates.push(date);
+    }
+    schedule.refreshNextOccurrence();
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Check-in on ${date} skipped`,
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a skipped occurrence
+ * @route   DELETE /api/checkins/schedules/:scheduleId/skip/:date
+ * @access  Private
+ */
+exports.unskipOccurrence = async (req, res, next) => {
+  try {
+    const { date } = req.params;
+
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    if (!schedule.skippedDates.includes(date)) {
+      return next(new ErrorResponse('That occurrence is not skipped', 400));
+    }
+
+    schedule.skippedDates.pull(date);
+    schedule.refreshNextOccurrence();
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Check-in on ${date} restored`,
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a check-in schedule
+ * @route   POST /api/checkins/schedules/:scheduleId/pause
+ * @access  Private
+ */
+exports.pauseSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    if (schedule.isPaused) {
+      return next(new ErrorResponse('Schedule is already paused', 400));
+    }
+
+    schedule.pause();
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in schedule paused',
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a paused check-in schedule (occurrences missed while paused are not created)
+ * @route   POST /api/checkins/schedules/:scheduleId/resume
+ * @access  Private
+ */
+exports.resumeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+
+    if (!schedule) {
+      return next(new ErrorResponse('Schedule not found', 404));
+    }
+
+    if (!schedule.isPaused) {
+      return next(new ErrorResponse('Schedule is not paused', 400));
+    }
+
+    // The circle may have been left while the schedule was paused
+    const circle = await Circle.findById(schedule.circle);
+    if (!circle || !circle.isMember(req.user._id)) {
+      return next(
+        new ErrorResponse('You must be a member of the circle to schedule check-ins', 403)
+      );
+    }
+
+    schedule.resume();
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in schedule resumed',
+      data: { schedule: withUpcoming(schedule) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,14 @@
 // File: server/controllers/circleController.js
 // Purpose: Handle circle management operations - create, join, invite, manage members
-// Dependencies: Circle model, User model, ErrorResponse
+// Dependencies: Circle model, User model, JoinRequest model, ErrorResponse, invites service, socket utils
 
 const Circle = require('../models/Circle');
 const User = require('../models/User');
+const JoinRequest = require('../models/JoinRequest');
 const { ErrorResponse } = require('../middleware/errorHandler');
+const { sendInviteEmail } = require('../services/invites');
+const { emitToUsersFromRequest, syncCircleRoomFromRequest } = require('../utils/socket');
+const { recordAudit } = require('../services/audit');
 
 /**
  * @desc    Get all circles for current user
@@ -97,6 +101,7 @@ exports.createCircle = async (req, res, next) => {
     await User.findByIdAndUpdate(req.user._id, {
       $addToSet: { circles: circle._id }
     });
+    syncCircleRoomFromRequest(req, req.user._id, circle._id, true);
 
     // Populate creator info
     await circle.populate('createdBy', 'name email profilePhoto');
@@ -134,6 +139,18 @@ exports.updateCircle = async (req, res, next) => {
       );
     }
 
+    const requiredTwoFactor = !!circle.settings.requireTwoFactor;
+    const requireTwoFactor = settings && settings.requireTwoFactor !== undefined
+      ? !!settings.requireTwoFactor
+      : requiredTwoFactor;
+
+    // An admin can't require a second factor they don't use themselves
+    if (requireTwoFactor && !requiredTwoFactor && !req.user.twoFactor?.enabled) {
+      return next(
+        new ErrorResponse('Enable two-factor authentication on your account before requiring it for the circle', 400)
+      );
+    }
+
     // Update fields
     if (name) circle.name = name.trim();
     if (description !== undefined) circle.description = description.trim();
@@ -144,6 +161,27 @@ exports.updateCircle = async (req, res, next) => {
     circle.stats.lastActivityAt = Date.now();
     await circle.save();
 
+    if (requireTwoFactor !== requiredTwoFactor) {
+      await recordAudit(req, {
+        action: 'circle.two-factor-requirement-changed',
+        circle: circle._id,
+        target: { kind: 'Circle', id: circle._id },
+        before: { requireTwoFactor: requiredTwoFactor },
+        after: { requireTwoFactor }
+      });
+
+      // Members without two-factor stop (or resume) receiving the circle's live updates
+      const memberIds = circle.getActiveMembers().map((member) => member.user);
+      const withoutTwoFactor = await User.find({
+        _id: { $in: memberIds },
+        'twoFactor.enabled': { $ne: true }
+      }).select('_id');
+
+      withoutTwoFactor.forEach((member) => {
+        syncCircleRoomFromRequest(req, member._id, circle._id, !requireTwoFactor);
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Circle updated successfully',
@@ -178,11 +216,22 @@ exports.deleteCircle = async (req, res, next) => {
     circle.isActive = false;
     await circle.save();
 
+    await recordAudit(req, {
+      action: 'circle.deleted',
+      circle: circle._id,
+      target: { kind: 'Circle', id: circle._id },
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+
     // Remove circle from all members
     await User.updateMany(
       { circles: circle._id },
       { $pull: { circles: circle._id } }
     );
+    circle.members.forEach((member) => {
+      syncCircleRoomFromRequest(req, member.user, circle._id, false);
+    });
 
     res.status(200).json({
       success: true,
@@ -229,11 +278,18 @@ exports.inviteToCircle = async (req, res, next) => {
         return next(new ErrorResponse('User is already a member of this circle', 400));
       }
 
+      if (circle.requiresTwoFactorFrom(invitedUser)) {
+        return next(
+          new ErrorResponse('This circle requires two-factor authentication, which that user has not enabled', 400)
+        );
+      }
+
       // Add user directly to circle
       await circle.addMember(invitedUser._id);
       await User.findByIdAndUpdate(invitedUser._id, {
         $addToSet: { circles: circle._id }
       });
+      syncCircleRoomFromRequest(req, invitedUser._id, circle._id, true);
 
       return res.status(200).json({
         success: true,
@@ -242,10 +298,15 @@ exports.inviteToCircle = async (req, res, next) => {
       });
     }
 
-    // User doesn't exist yet, add to pending invites
+    // User doesn't exist yet, add to pending invites and email a signed link
     try {
       await circle.addInvite(email.toLowerCase(), req.user._id);
 
+      const invite = circle.pendingInvites[circle.pendingInvites.length - 1];
+      invite.lastSentAt = Date.now();
+      await circle.save();
+      sendInviteEmail(circle, invite, req.user);
+
       res.status(200).json({
         success: true,
         message: 'Invitation sent successfully',
@@ -259,8 +320,71 @@ exports.inviteToCircle = async (req, res, next) => {
   }
 };
 
+/**
+ * Create a pending join request and notify the circle admins
+ */
+const createJoinRequest = async (req, res, next, circle) => {
+  const existing = await JoinRequest.findOne({
+    circle: circle._id,
+    user: req.user._id,
+    status: 'pending'
+  });
+
+  if (existing && !existing.isExpired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Your request to join is awaiting approval',
+      data: { joinRequest: existing }
+    });
+  }
+
+  // Free the pending slot held by a request the expiry job hasn't swept yet
+  if (existing) {
+    existing.status = 'expired';
+    await existing.save();
+  }
+
+  // Rate limit join requests per user
+  const dailyLimit = parseInt(process.env.JOIN_REQUEST_DAILY_LIMIT) || 5;
+  const recentCount = await JoinRequest.countRecentByUser(req.user._id);
+  if (recentCount >= dailyLimit) {
+    return next(
+      new ErrorResponse('Too many join requests. Please try again tomorrow.', 429)
+    );
+  }
+
+  const joinRequest = await JoinRequest.create({
+    circle: circle._id,
+    user: req.user._id,
+    message: req.body?.message?.trim() || ''
+  });
+
+  const adminIds = circle
+    .getActiveMembers()
+    .filter((member) => member.role === 'admin')
+    .map((member) => member.user);
+
+  emitToUsersFromRequest(req, adminIds, 'circle:join-request', {
+    circleId: circle._id,
+    circleName: circle.name,
+    joinRequest,
+    user: {
+      id: req.user._id,
+      name: req.user.name,
+      profilePhoto: req.user.profilePhoto
+    }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'This circle requires approval. Your request has been sent to the admins.',
+    data: { joinRequest }
+  });
+};
+
 /**
  * @desc    Join circle using invite code
+ *          (creates a join request instead when the circle requires approval)
  * @route   POST /api/circles/join/:inviteCode
  * @access  Private
  */
@@ -284,12 +408,24 @@ exports.joinCircleByCode = async (req, res, next) => {
       return next(new ErrorResponse('You are already a member of this circle', 400));
     }
 
+    if (circle.requiresTwoFactorFrom(req.user)) {
+      return next(
+        new ErrorResponse('This circle requires two-factor authentication. Enable it on your account to join.', 403)
+      );
+    }
+
+    // Circles requiring approval get a join request instead of immediate membership
+    if (circle.settings.requireApproval) {
+      return createJoinRequest(req, res, next, circle);
+    }
+
     // Add user to circle
     try {
       await circle.addMember(req.user._id);
       await User.findByIdAndUpdate(req.user._id, {
         $addToSet: { circles: circle._id }
       });
+      syncCircleRoomFromRequest(req, req.user._id, circle._id, true);
 
       await circle.populate('createdBy', 'name email profilePhoto');
       await circle.populate('members.user', 'name email profilePhoto');
@@ -331,6 +467,7 @@ exports.leaveCircle = async (req, res, next) => {
       await User.findByIdAndUpdate(req.user._id, {
         $pull: { circles: circle._id }
       });
+      syncCircleRoomFromRequest(req, req.user._id, circle._id, false);
 
       res.status(200).json({
         success: true,
@@ -379,6 +516,15 @@ exports.removeMember = async (req, res, next) => {
       await User.findByIdAndUpdate(userId, {
         $pull: { circles: circle._id }
       });
+      syncCircleRoomFromRequest(req, userId, circle._id, false);
+
+      await recordAudit(req, {
+        action: 'circle.member-removed',
+        circle: circle._id,
+        target: { kind: 'User', id: userId },
+        before: { isActive: true },
+        after: { isActive: false }
+      });
 
       res.status(200).json({
         success: true,
@@ -421,8 +567,21 @@ exports.updateMemberRole = async (req, res, next) => {
 
     // Update role
     try {
+      const member = circle.members.find((m) => m.user.toString() === userId && m.isActive);
+      const previousRole = member ? member.role : null;
+
       await circle.updateMemberRole(userId, role);
 
+      if (previousRole !== role) {
+        await recordAudit(req, {
+          action: 'circle.member-role-changed',
+          circle: circle._id,
+          target: { kind: 'User', id: userId },
+          before: { role: previousRole },
+          after: { role }
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: 'Member role updated successfully',
@@ -508,3 +667,56 @@ exports.getCircleMembers = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Get presence (status, devices, last seen) of circle members
+ * @route   GET /api/circles/:id/presence
+ * @access  Private (Members only)
+ */
+exports.getCirclePresence = async (req, res, next) => {
+  try {
+    const circle = await Circle.findById(req.params.id);
+
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    // Check if user is a member
+    if (!circle.isMember(req.user._id)) {
+      return next(
+        new ErrorResponse('You are not authorized to view circle members', 403)
+      );
+    }
+
+    const presence = req.app.get('presence');
+    if (!presence) {
+      return next(new ErrorResponse('Presence is not available', 503));
+    }
+
+    const users = await User.find({
+      _id: { $in: circle.getActiveMembers().map((member) => member.user) }
+    }).select('name profilePhoto privacySettings');
+
+    const visible = await presence.getVisiblePresence(users);
+
+    const members = users.map((user) => ({
+      user: {
+        id: user._id,
+        name: user.name,
+        profilePhoto: user.profilePhoto
+      },
+      ...visible[user._id.toString()]
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: {
+        online: members.filter((member) => member.status !== 'offline').length,
+        members
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,168 @@
+// File: server/controllers/inviteController.js
+// Purpose: Handle circle invitations - link preview, listing, resending and revoking pending invites
+// Dependencies: Circle model, ErrorResponse, invites service
+
+const Circle = require('../models/Circle');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { resolveInviteToken, sendInviteEmail } = require('../services/invites');
+
+/**
+ * Check whether a user may manage an invite (circle admin or the original inviter)
+ */
+const canManageInvite = (circle, invite, userId) =>
+  circle.isAdmin(userId) ||
+  (invite.invitedBy && invite.invitedBy.toString() === userId.toString());
+
+/**
+ * @desc    Preview an invite from its emailed link
+ * @route   GET /api/invites/:token
+ * @access  Public (requires valid invite token)
+ */
+exports.getInvitePreview = async (req, res, next) => {
+  try {
+    const resolved = await resolveInviteToken(req.params.token);
+
+    if (!resolved) {
+      return next(new ErrorResponse('This invitation is invalid or has expired', 404));
+    }
+
+    const { circle, invite } = resolved;
+    await circle.populate('pendingInvites.invitedBy', 'name profilePhoto');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invite: {
+          email: invite.email,
+          expiresAt: invite.expiresAt,
+          circle: {
+            name: circle.name,
+            description: circle.description,
+            memberCount: circle.memberCount
+          },
+          invitedBy: invite.invitedBy
+            ? {
+                name: invite.invitedBy.name,
+                profilePhoto: invite.invitedBy.profilePhoto
+              }
+            : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List pending invites for a circle
+ * @route   GET /api/circles/:id/invites
+ * @access  Private (Admins see all invites, members see the ones they sent)
+ */
+exports.getPendingInvites = async (req, res, next) => {
+  try {
+    const circle = await Circle.findById(req.params.id).populate(
+      'pendingInvites.invitedBy',
+      'name email'
+    );
+
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    if (!circle.isMember(req.user._id)) {
+      return next(new ErrorResponse('You are not a member of this circle', 403));
+    }
+
+    const isAdmin = circle.isAdmin(req.user._id);
+    const invites = circle.pendingInvites.filter(
+      (invite) =>
+        isAdmin ||
+        (invite.invitedBy && invite.invitedBy._id.toString() === req.user._id.toString())
+    );
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: { invites }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend a pending invite (renews its 7-day expiry)
+ * @route   POST /api/circles/:id/invites/:inviteId/resend
+ * @access  Private (Admin or inviter)
+ */
+exports.resendInvite = async (req, res, next) => {
+  try {
+    const { id, inviteId } = req.params;
+
+    const circle = await Circle.findById(id);
+
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    const invite = circle.pendingInvites.id(inviteId);
+    if (!invite) {
+      return next(new ErrorResponse('Invite not found', 404));
+    }
+
+    if (!canManageInvite(circle, invite, req.user._id)) {
+      return next(
+        new ErrorResponse('Only circle admins or the inviter can resend this invite', 403)
+      );
+    }
+
+    await circle.renewInvite(inviteId);
+    sendInviteEmail(circle, invite, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: { invite }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invite
+ * @route   DELETE /api/circles/:id/invites/:inviteId
+ * @access  Private (Admin or inviter)
+ */
+exports.revokeInvite = async (req, res, next) => {
+  try {
+    const { id, inviteId } = req.params;
+
+    const circle = await Circle.findById(id);
+
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    const invite = circle.pendingInvites.id(inviteId);
+    if (!invite) {
+      return next(new ErrorResponse('Invite not found', 404));
+    }
+
+    if (!canManageInvite(circle, invite, req.user._id)) {
+      return next(
+        new ErrorResponse('Only circle admins or the inviter can revoke this invite', 403)
+      );
+    }
+
+    await circle.revokeInvite(inviteId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,225 @@
+// File: server/controllers/joinRequestController.js
+// Purpose: Handle join requests for circles that require approval - review, approve, reject, cancel
+// Dependencies: JoinRequest model, Circle model, User model, ErrorResponse, socket utils
+
+const JoinRequest = require('../models/JoinRequest');
+const Circle = require('../models/Circle');
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { emitToUsersFromRequest, syncCircleRoomFromRequest } = require('../utils/socket');
+
+/**
+ * Load a circle and a join request belonging to it, checking the user is an admin
+ */
+const loadForReview = async (req) => {
+  const { id, requestId } = req.params;
+
+  const circle = await Circle.findById(id);
+  if (!circle) {
+    return { error: new ErrorResponse('Circle not found', 404) };
+  }
+
+  if (!circle.isAdmin(req.user._id)) {
+    return { error: new ErrorResponse('Only circle admins can review join requests', 403) };
+  }
+
+  const joinRequest = await JoinRequest.findOne({ _id: requestId, circle: circle._id });
+  if (!joinRequest) {
+    return { error: new ErrorResponse('Join request not found', 404) };
+  }
+
+  return { circle, joinRequest };
+};
+
+/**
+ * Tell the requester their request was reviewed
+ */
+const notifyRequester = (req, circle, joinRequest) => {
+  emitToUsersFromRequest(req, [joinRequest.user], 'circle:join-request-updated', {
+    circleId: circle._id,
+    circleName: circle.name,
+    requestId: joinRequest._id,
+    status: joinRequest.status,
+    rejectionReason: joinRequest.rejectionReason || ''
+  });
+};
+
+/**
+ * @desc    Get join requests for a circle
+ * @route   GET /api/circles/:id/requests
+ * @access  Private (Admin only)
+ */
+exports.getCircleJoinRequests = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const circle = await Circle.findById(req.params.id);
+    if (!circle) {
+      return next(new ErrorResponse('Circle not found', 404));
+    }
+
+    if (!circle.isAdmin(req.user._id)) {
+      return next(new ErrorResponse('Only circle admins can view join requests', 403));
+    }
+
+    const query = {
+      circle: circle._id,
+      status: status || 'pending'
+    };
+
+    if (query.status === 'pending') {
+      query.expiresAt = { $gt: Date.now() };
+    }
+
+    const joinRequests = await JoinRequest.find(query)
+      .populate('user', 'name email profilePhoto')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: joinRequests.length,
+      data: { joinRequests }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve join request
+ * @route   POST /api/circles/:id/requests/:requestId/approve
+ * @access  Private (Admin only)
+ */
+exports.approveJoinRequest = async (req, res, next) => {
+  try {
+    const { circle, joinRequest, error } = await loadForReview(req);
+    if (error) {
+      return next(error);
+    }
+
+    // Checked before membership changes: approve() alone would run too late to stop them
+    if (joinRequest.status !== 'pending' || joinRequest.isExpired) {
+      return next(new ErrorResponse('Only pending join requests can be approved', 400));
+    }
+
+    const requester = await User.findById(joinRequest.user).select('twoFactor.enabled');
+    if (requester && circle.requiresTwoFactorFrom(requester)) {
+      return next(
+        new ErrorResponse('This circle requires two-factor authentication, which the requester has not enabled', 400)
+      );
+    }
+
+    try {
+      await circle.addMember(joinRequest.user);
+      await User.findByIdAndUpdate(joinRequest.user, {
+        $addToSet: { circles: circle._id }
+      });
+      await joinRequest.approve(req.user._id);
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    syncCircleRoomFromRequest(req, joinRequest.user, circle._id, true);
+
+    notifyRequester(req, circle, joinRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request approved',
+      data: { joinRequest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject join request
+ * @route   POST /api/circles/:id/requests/:requestId/reject
+ * @access  Private (Admin only)
+ */
+exports.rejectJoinRequest = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const { circle, joinRequest, error } = await loadForReview(req);
+    if (error) {
+      return next(error);
+    }
+
+    try {
+      await joinRequest.reject(req.user._id, reason?.trim() || '');
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    notifyRequester(req, circle, joinRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request rejected',
+      data: { joinRequest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get current user's join requests
+ * @route   GET /api/circles/requests/mine
+ * @access  Private
+ */
+exports.getMyJoinRequests = async (req, res, next) => {
+  try {
+    const joinRequests = await JoinRequest.find({ user: req.user._id })
+      .populate('circle', 'name')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      count: joinRequests.length,
+      data: { joinRequests }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel own join request
+ * @route   DELETE /api/circles/requests/:requestId
+ * @access  Private
+ */
+exports.cancelJoinRequest = async (req, res, next) => {
+  try {
+    const joinRequest = await JoinRequest.findById(req.params.requestId);
+
+    if (!joinRequest) {
+      return next(new ErrorResponse('Join request not found', 404));
+    }
+
+    if (joinRequest.user.toString() !== req.user._id.toString()) {
+      return next(
+        new ErrorResponse('You are not authorized to cancel this join request', 403)
+      );
+    }
+
+    try {
+      await joinRequest.cancel();
+    } catch (err) {
+      return next(new ErrorResponse(err.message, 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request cancelled',
+      data: { joinRequest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,236 @@
+// File: server/controllers/messageController.js
+// Purpose: Handle circle group chat and alert threads - list, send, read receipts, soft delete
+// Dependencies: Message model, Circle model, Alert model, ErrorResponse, socket utils
+
+const Message = require('../models/Message');
+const Circle = require('../models/Circle');
+const Alert = require('../models/Alert');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { emitToCircleFromRequest } = require('../utils/socket');
+
+/**
+ * Load a circle and check the current user is an active member.
+ * Removed members lose access to the conversation along with the circle.
+ */
+const loadCircle = async (req) => {
+  const circle = await Circle.findOne({ _id: req.params.id, isActive: true });
+
+  if (!circle) {
+    return { error: new ErrorResponse('Circle not found', 404) };
+  }
+
+  if (!circle.isMember(req.user._id)) {
+    return { error: new ErrorResponse('You are not a member of this circle', 403) };
+  }
+
+  return { circle };
+};
+
+/**
+ * Resolve the thread a request targets: an alert of the circle, or null for general chat.
+ * A silent alert's thread is hidden from the alert's creator.
+ */
+const resolveThread = async (req, circle, alertId) => {
+  if (!alertId) {
+    return { alertId: null, hiddenFrom: null };
+  }
+
+  const alert = await Alert.findOne({ _id: alertId, circle: circle._id }).select(
+    '_id triggeredBy isSilent'
+  );
+
+  if (!alert || alert.isHiddenFrom(req.user._id)) {
+    return { error: new ErrorResponse('Alert not found in this circle', 404) };
+  }
+
+  return { alertId: alert._id, hiddenFrom: alert.getHiddenFrom() };
+};
+
+/**
+ * @desc    Get circle messages (general chat, or an alert's thread with ?alert=)
+ * @route   GET /api/circles/:id/messages?alert=&before=&limit=
+ * @access  Private (Members only)
+ */
+exports.getCircleMessages = async (req, res, next) => {
+  try {
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const thread = await resolveThread(req, circle, req.query.alert);
+    if (thread.error) {
+      return next(thread.error);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    if (before && isNaN(before.getTime())) {
+      return next(new ErrorResponse('before must be a valid date', 400));
+    }
+
+    const [page, unreadCount] = await Promise.all([
+      Message.findPage(circle._id, { alertId: thread.alertId, before, limit: limit + 1 }),
+      Message.countUnread(circle._id, req.user._id, thread.alertId)
+    ]);
+
+    const hasMore = page.length > limit;
+    // Oldest first for display
+    const messages = page.slice(0, limit).reverse();
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: {
+        alertId: thread.alertId,
+        messages,
+        unreadCount,
+        hasMore,
+        nextBefore: hasMore ? messages[0].createdAt : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a message to a circle (or an alert's thread with alertId)
+ * @route   POST /api/circles/:id/messages
+ * @access  Private (Members only)
+ */
+exports.sendMessage = async (req, res, next) => {
+  try {
+    const { content, alertId } = req.body;
+
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const thread = await resolveThread(req, circle, alertId);
+    if (thread.error) {
+      return next(thread.error);
+    }
+
+    const message = await Message.create({
+      circle: circle._id,
+      sender: req.user._id,
+      alert: thread.alertId,
+      content: content.trim(),
+      // The sender has read their own message
+      readBy: [{ user: req.user._id }]
+    });
+
+    await message.populate('sender', 'name profilePhoto');
+
+    emitToCircleFromRequest(req, circle._id, 'message:new', { message }, {
+      hiddenFrom: thread.hiddenFrom
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark messages as read up to a point in time (defaults to now)
+ * @route   POST /api/circles/:id/messages/read
+ * @access  Private (Members only)
+ */
+exports.markMessagesRead = async (req, res, next) => {
+  try {
+    const { alertId, upTo } = req.body;
+
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const thread = await resolveThread(req, circle, alertId);
+    if (thread.error) {
+      return next(thread.error);
+    }
+
+    const readUpTo = upTo ? new Date(upTo) : new Date();
+    if (isNaN(readUpTo.getTime())) {
+      return next(new ErrorResponse('upTo must be a valid date', 400));
+    }
+
+    const result = await Message.markRead(circle._id, req.user._id, readUpTo, thread.alertId);
+
+    if (result.modifiedCount > 0) {
+      emitToCircleFromRequest(req, circle._id, 'message:read', {
+        userId: req.user._id,
+        alertId: thread.alertId,
+        upTo: readUpTo,
+        readAt: new Date()
+      }, { hiddenFrom: thread.hiddenFrom });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { marked: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a message (soft delete; sender or circle admin)
+ * @route   DELETE /api/circles/:id/messages/:messageId
+ * @access  Private (Sender or Admin)
+ */
+exports.deleteMessage = async (req, res, next) => {
+  try {
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      circle: circle._id,
+      isDeleted: false
+    });
+
+    if (!message) {
+      return next(new ErrorResponse('Message not found', 404));
+    }
+
+    // A message in a thread hidden from the user is not found for them either
+    const thread = await resolveThread(req, circle, message.alert);
+    if (thread.error) {
+      return next(new ErrorResponse('Message not found', 404));
+    }
+
+    const isSender = message.sender.toString() === req.user._id.toString();
+    if (!isSender && !circle.isAdmin(req.user._id)) {
+      return next(
+        new ErrorResponse('Only the sender or a circle admin can delete this message', 403)
+      );
+    }
+
+    await message.softDelete(req.user._id);
+
+    emitToCircleFromRequest(req, circle._id, 'message:deleted', {
+      messageId: message._id,
+      alertId: message.alert,
+      deletedBy: req.user._id
+    }, { hiddenFrom: thread.hiddenFrom });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,360 @@
+// File: server/controllers/placeController.js
+// Purpose: Handle circle places (geofences) - CRUD, member opt-in and transition history
+// Dependencies: Place model, GeofenceTransition model, Circle model, ErrorResponse, geo utils, geofencing service
+
+const Place = require('../models/Place');
+const GeofenceTransition = require('../models/GeofenceTransition');
+const Circle = require('../models/Circle');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { isValidCoordinatePair } = require('../utils/geo');
+const { isValidTimeZone } = require('../services/geofencing');
+
+/**
+ * Close a polygon ring (first point repeated at the end) as GeoJSON requires
+ */
+const toPolygonArea = (points) => {
+  const ring = [...points];
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Apply shape fields from a request body to a place
+ */
+const applyGeometry = (place, { shape, center, radius, polygon }) => {
+  place.shape = shape;
+
+  if (shape === 'circle') {
+    place.center = { type: 'Point', coordinates: center };
+    place.radius = radius;
+    place.area = undefined;
+  } else {
+    place.area = toPolygonArea(polygon);
+    place.center = undefined;
+    place.radius = undefined;
+  }
+};
+
+/**
+ * Load a circle and check the current user's membership (or admin role)
+ */
+const loadCircle = async (req, { requireAdmin = false } = {}) => {
+  const circle = await Circle.findById(req.params.id);
+
+  if (!circle) {
+    return { error: new ErrorResponse('Circle not found', 404) };
+  }
+
+  if (requireAdmin && !circle.isAdmin(req.user._id)) {
+    return { error: new ErrorResponse('Only circle admins can manage places', 403) };
+  }
+
+  if (!circle.isMember(req.user._id)) {
+    return { error: new ErrorResponse('You are not a member of this circle', 403) };
+  }
+
+  return { circle };
+};
+
+/**
+ * @desc    Get places for a circle
+ * @route   GET /api/circles/:id/places
+ * @access  Private
+ */
+exports.getCirclePlaces = async (req, res, next) => {
+  try {
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const places = await Place.find({ circle: circle._id, isActive: true })
+      .populate('occupants', 'name profilePhoto')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: places.length,
+      data: { places }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create place
+ * @route   POST /api/circles/:id/places
+ * @access  Private (Admin only)
+ */
+exports.createPlace = async (req, res, next) => {
+  try {
+    const { name, category } = req.body;
+
+    const { circle, error } = await loadCircle(req, { requireAdmin: true });
+    if (error) {
+      return next(error);
+    }
+
+    const place = new Place({
+      circle: circle._id,
+      name: name.trim(),
+      category: category || 'other',
+      createdBy: req.user._id
+    });
+    applyGeometry(place, req.body);
+    await place.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Place created successfully',
+      data: { place }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update place
+ * @route   PUT /api/circles/:id/places/:placeId
+ * @access  Private (Admin only)
+ */
+exports.updatePlace = async (req, res, next) => {
+  try {
+    const { name, category, shape, center, radius, polygon } = req.body;
+
+    const { circle, error } = await loadCircle(req, { requireAdmin: true });
+    if (error) {
+      return next(error);
+    }
+
+    const place = await Place.findOne({
+      _id: req.params.placeId,
+      circle: circle._id,
+      isActive: true
+    });
+
+    if (!place) {
+      return next(new ErrorResponse('Place not found', 404));
+    }
+
+    if (name) place.name = name.trim();
+    if (category) place.category = category;
+
+    if (shape) {
+      const isValidCircle =
+        shape === 'circle' && isValidCoordinatePair(center) && typeof radius === 'number';
+      const isValidPolygon =
+        shape === 'polygon' &&
+        Array.isArray(polygon) &&
+        polygon.length >= 3 &&
+        polygon.every(isValidCoordinatePair);
+
+      if (!isValidCircle && !isValidPolygon) {
+        return next(new ErrorResponse('Invalid place geometry', 400));
+      }
+
+      applyGeometry(place, { shape, center, radius, polygon });
+    }
+
+    await place.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Place updated successfully',
+      data: { place }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete place
+ * @route   DELETE /api/circles/:id/places/:placeId
+ * @access  Private (Admin only)
+ */
+exports.deletePlace = async (req, res, next) => {
+  try {
+    const { circle, error } = await loadCircle(req, { requireAdmin: true });
+    if (error) {
+      return next(error);
+    }
+
+    const place = await Place.findOne({ _id: req.params.placeId, circle: circle._id });
+
+    if (!place) {
+      return next(new ErrorResponse('Place not found', 404));
+    }
+
+    // Soft delete
+    place.isActive = false;
+    place.occupants = [];
+    await place.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Place deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update current user's place alert opt-in and quiet hours for a circle
+ * @route   PUT /api/circles/:id/geofencing
+ * @access  Private
+ */
+exports.updateGeofencePreferences = async (req, res, next) => {
+  try {
+    const { enabled, quietHours } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return next(new ErrorResponse('enabled must be a boolean', 400));
+    }
+
+    if (quietHours?.timezone && !isValidTimeZone(quietHours.timezone)) {
+      return next(new ErrorResponse('Invalid time zone', 400));
+    }
+
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const member = circle.getMember(req.user._id);
+
+    if (enabled !== undefined) {
+      member.geofencing.enabled = enabled;
+    }
+
+    if (quietHours) {
+      const { enabled: quietEnabled, start, end, timezone } = quietHours;
+      if (quietEnabled !== undefined) member.geofencing.quietHours.enabled = !!quietEnabled;
+      if (start) member.geofencing.quietHours.start = start;
+      if (end) member.geofencing.quietHours.end = end;
+      if (timezone) member.geofencing.quietHours.timezone = timezone;
+    }
+
+    await circle.save();
+
+    // Forget where an opted-out member was so re-enabling starts fresh
+    if (enabled === false) {
+      await Place.updateMany(
+        { circle: circle._id },
+        { $pull: { occupants: req.user._id } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Place alert settings updated successfully',
+      data: { geofencing: member.geofencing }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get place enter/exit history grouped per member per day
+ * @route   GET /api/circles/:id/geofence-history?userId=&from=&to=&timezone=
+ * @access  Private
+ */
+exports.getGeofenceHistory = async (req, res, next) => {
+  try {
+    const { userId, from, to, timezone } = req.query;
+
+    const { circle, error } = await loadCircle(req);
+    if (error) {
+      return next(error);
+    }
+
+    const timeZone = timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return next(new ErrorResponse('Invalid time zone', 400));
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      return next(new ErrorResponse('Invalid date range', 400));
+    }
+
+    if (toDate - fromDate > 31 * 24 * 60 * 60 * 1000) {
+      return next(new ErrorResponse('Date range cannot exceed 31 days', 400));
+    }
+
+    const query = {
+      circle: circle._id,
+      occurredAt: { $gte: fromDate, $lte: toDate }
+    };
+
+    if (userId) {
+      query.user = userId;
+    }
+
+    // Transitions hidden by quiet hours are only visible to the member themself
+    query.$or = [{ suppressed: false }, { user: req.user._id }];
+
+    const transitions = await GeofenceTransition.find(query)
+      .populate('place', 'name category')
+      .populate('user', 'name profilePhoto')
+      .sort({ occurredAt: 1 })
+      .limit(5000);
+
+    const formatDay = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+
+    // Group as day -> member -> transitions
+    const days = new Map();
+    transitions.forEach((transition) => {
+      if (!transition.user || !transition.place) {
+        return;
+      }
+
+      const day = formatDay.format(transition.occurredAt);
+      if (!days.has(day)) {
+        days.set(day, new Map());
+      }
+
+      const members = days.get(day);
+      const memberId = transition.user._id.toString();
+      if (!members.has(memberId)) {
+        members.set(memberId, { user: transition.user, transitions: [] });
+      }
+
+      members.get(memberId).transitions.push({
+        id: transition._id,
+        type: transition.type,
+        place: transition.place,
+        occurredAt: transition.occurredAt,
+        suppressed: transition.suppressed
+      });
+    });
+
+    const history = [...days.entries()].map(([date, members]) => ({
+      date,
+      members: [...members.values()]
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: transitions.length,
+      data: { timezone: timeZone, history }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,212 @@
+// File: server/controllers/twoFactorController.js
+// Purpose: Two-factor authentication enrollment - setup, enable, disable and recovery codes
+// Dependencies: User model, ErrorResponse, totp utils, twoFactor service, audit service, socket utils
+
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { generateSecret, verifyCode, getProvisioningUri } = require('../utils/totp');
+const { findCirclesRequiringTwoFactor } = require('../services/twoFactor');
+const { recordAudit } = require('../services/audit');
+const { syncCircleRoomFromRequest } = require('../utils/socket');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Community Circle';
+
+/**
+ * @desc    Get the current user's two-factor status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled
+          ? user.twoFactor.recoveryCodes.filter((item) => !item.usedAt).length
+          : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start two-factor enrollment: create a secret for the authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUri: getProvisioningUri(secret, user.email, TWO_FACTOR_ISSUER)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish enrollment by confirming a code; returns the recovery codes once
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return next(new ErrorResponse('Start two-factor setup first', 400));
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return next(new ErrorResponse('Invalid authentication code', 400));
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.two-factor-enabled',
+      target: { kind: 'User', id: user._id },
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true }
+    });
+
+    // Live updates resume for circles that were withheld until two-factor was enabled
+    const circles = await findCirclesRequiringTwoFactor(user._id);
+    circles.forEach((circle) => {
+      syncCircleRoomFromRequest(req, user._id, circle._id, true);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication (needs the password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return next(new ErrorResponse('Please provide your password and a code', 400));
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return next(new ErrorResponse('Password is incorrect', 401));
+    }
+
+    if (!(await user.verifyTwoFactor(code))) {
+      return next(new ErrorResponse('Invalid authentication code', 400));
+    }
+
+    const circles = await findCirclesRequiringTwoFactor(user._id);
+    if (circles.length > 0) {
+      return next(
+        new ErrorResponse(
+          `Two-factor authentication is required by: ${circles.map((circle) => circle.name).join(', ')}`,
+          400
+        )
+      );
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null, lastUsedStep: -1, recoveryCodes: [] };
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.two-factor-disabled',
+      target: { kind: 'User', id: user._id },
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the recovery codes (needs a current code); returns the new codes once
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await user.verifyTwoFactor(req.body.code))) {
+      return next(new ErrorResponse('Invalid authentication code', 400));
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.recovery-codes-regenerated',
+      target: { kind: 'User', id: user._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The old codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,14 @@
 // File: server/controllers/userController.js
 // Purpose: Handle user profile management and location updates
-// Dependencies: User model, ErrorResponse
+// Dependencies: User model, LocationPoint model, Circle model, ErrorResponse, geo utils, geofencing service
 
 const User = require('../models/User');
+const LocationPoint = require('../models/LocationPoint');
+const Circle = require('../models/Circle');
 const { ErrorResponse } = require('../middleware/errorHandler');
+const { simplifyPath } = require('../utils/geo');
+const { processLocationUpdate } = require('../services/geofencing');
+const { recordAudit } = require('../services/audit');
 
 /**
  * @desc    Get user profile
@@ -14,7 +19,7 @@ exports.getProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('circles', 'name description memberCount')
-      .select('-password -refreshToken');
+      .select('-password');
 
     res.status(200).json({
       success: true,
@@ -47,7 +52,7 @@ exports.updateProfile = async (req, res, next) => {
         new: true,
         runValidators: true
       }
-    ).select('-password -refreshToken');
+    ).select('-password');
 
     res.status(200).json({
       success: true,
@@ -70,10 +75,12 @@ exports.updatePrivacySettings = async (req, res, next) => {
       shareLocationWithCircles,
       allowCheckInNotifications,
       allowAlertNotifications,
-      visibleToCircleMembers
+      visibleToCircleMembers,
+      locationHistoryRetentionDays
     } = req.body;
 
     const user = await User.findById(req.user._id);
+    const previousSettings = user.privacySettings.toObject();
 
     // Update privacy settings
     if (shareLocationWithCircles !== undefined) {
@@ -88,9 +95,30 @@ exports.updatePrivacySettings = async (req, res, next) => {
     if (visibleToCircleMembers !== undefined) {
       user.privacySettings.visibleToCircleMembers = visibleToCircleMembers;
     }
+    if (locationHistoryRetentionDays !== undefined) {
+      if (!Number.isInteger(locationHistoryRetentionDays)) {
+        return next(new ErrorResponse('locationHistoryRetentionDays must be a whole number', 400));
+      }
+      user.privacySettings.locationHistoryRetentionDays = locationHistoryRetentionDays;
+    }
 
     await user.save();
 
+    // Re-apply retention to the history already stored
+    if (locationHistoryRetentionDays !== undefined) {
+      await LocationPoint.applyRetention(user._id, locationHistoryRetentionDays);
+    }
+
+    const currentSettings = user.privacySettings.toObject();
+    if (JSON.stringify(previousSettings) !== JSON.stringify(currentSettings)) {
+      await recordAudit(req, {
+        action: 'user.privacy-updated',
+        target: { kind: 'User', id: user._id },
+        before: previousSettings,
+        after: currentSettings
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Privacy settings updated successfully',
@@ -110,7 +138,7 @@ exports.updatePrivacySettings = async (req, res, next) => {
  */
 exports.updateLocation = async (req, res, next) => {
   try {
-    const { longitude, latitude, address } = req.body;
+    const { longitude, latitude, address, accuracy } = req.body;
 
     // Validate coordinates
     if (
@@ -136,11 +164,105 @@ exports.updateLocation = async (req, res, next) => {
 
     await user.save();
 
+    // Keep the point in the user's location history
+    await LocationPoint.record(user, [longitude, latitude], {
+      accuracy: typeof accuracy === 'number' ? accuracy : null
+    });
+
+    // Detect place enter/exit transitions for circles the user opted in to
+    const transitions = await processLocationUpdate(
+      req.app.get('io'),
+      user,
+      [longitude, latitude]
+    );
+
     res.status(200).json({
       success: true,
       message: 'Location updated successfully',
       data: {
-        location: user.lastKnownLocation
+        location: user.lastKnownLocation,
+        geofenceTransitions: transitions.map((t) => ({ place: t.place, type: t.type }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's location history, downsampled for long ranges
+ * @route   GET /api/users/:userId/locations?from=&to=
+ * @access  Private (self, or circle members when location sharing is on)
+ */
+exports.getLocationHistory = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to } = req.query;
+
+    const isSelf = userId === req.user._id.toString();
+
+    if (!isSelf) {
+      const user = await User.findById(userId).select('privacySettings');
+
+      if (!user) {
+        return next(new ErrorResponse('User not found', 404));
+      }
+
+      if (!user.privacySettings.shareLocationWithCircles) {
+        return next(new ErrorResponse('This user does not share their location', 403));
+      }
+
+      // Both users must be active members of a common circle
+      const sharedCircle = await Circle.exists({
+        isActive: true,
+        members: {
+          $all: [
+            { $elemMatch: { user: userId, isActive: true } },
+            { $elemMatch: { user: req.user._id, isActive: true } }
+          ]
+        }
+      });
+
+      if (!sharedCircle) {
+        return next(
+          new ErrorResponse('You are not authorized to view this location history', 403)
+        );
+      }
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 60 * 60 * 1000);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      return next(new ErrorResponse('Invalid date range', 400));
+    }
+
+    const rangeMs = toDate - fromDate;
+    if (rangeMs > 31 * 24 * 60 * 60 * 1000) {
+      return next(new ErrorResponse('Date range cannot exceed 31 days', 400));
+    }
+
+    const points = await LocationPoint.findTrail(userId, fromDate, toDate);
+
+    // Downsample ranges longer than an hour; tolerance grows with the range
+    const hours = rangeMs / (60 * 60 * 1000);
+    const toleranceMeters = hours > 1 ? Math.min(10 * Math.sqrt(hours), 200) : 0;
+    const trail = simplifyPath(points, toleranceMeters, (point) => point.location.coordinates);
+
+    res.status(200).json({
+      success: true,
+      count: trail.length,
+      data: {
+        from: fromDate,
+        to: toDate,
+        totalPoints: points.length,
+        toleranceMeters,
+        locations: trail.map((point) => ({
+          coordinates: point.location.coordinates,
+          accuracy: point.accuracy,
+          source: point.source,
+          recordedAt: point.recordedAt
+        }))
       }
     });
   } catch (error) {
@@ -213,6 +335,72 @@ exports.addEmergencyContact = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get which alerts notify emergency contacts
+ * @route   GET /api/users/emergency-contacts/preferences
+ * @access  Private
+ */
+exports.getEmergencyContactPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('emergencyContactPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emergencyContactPreferences: user.emergencyContactPreferences
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update which alerts notify emergency contacts
+ * @route   PUT /api/users/emergency-contacts/preferences
+ * @access  Private
+ */
+exports.updateEmergencyContactPreferences = async (req, res, next) => {
+  try {
+    const { enabled, alertTypes, severities } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return next(new ErrorResponse('enabled must be a boolean', 400));
+    }
+
+    if (
+      (alertTypes !== undefined && !Array.isArray(alertTypes)) ||
+      (severities !== undefined && !Array.isArray(severities))
+    ) {
+      return next(new ErrorResponse('alertTypes and severities must be arrays', 400));
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (enabled !== undefined) {
+      user.emergencyContactPreferences.enabled = enabled;
+    }
+    if (alertTypes !== undefined) {
+      user.emergencyContactPreferences.alertTypes = alertTypes;
+    }
+    if (severities !== undefined) {
+      user.emergencyContactPreferences.severities = severities;
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency contact preferences updated successfully',
+      data: {
+        emergencyContactPreferences: user.emergencyContactPreferences
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Update emergency contact
  * @route   PUT /api/users/emergency-contacts/:contactId
@@ -281,6 +469,86 @@ exports.deleteEmergencyContact = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the VAPID public key used to create push subscriptions
+ * @route   GET /api/users/push-subscriptions/vapid-public-key
+ * @access  Private
+ */
+exports.getVapidPublicKey = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        publicKey: process.env.VAPID_PUBLIC_KEY || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a Web Push subscription for the current device
+ * @route   POST /api/users/push-subscriptions
+ * @access  Private
+ */
+exports.addPushSubscription = async (req, res, next) => {
+  try {
+    const { endpoint, keys } = req.body;
+
+    if (!endpoint || !keys || !keys.p256dh || !keys.auth) {
+      return next(new ErrorResponse('Endpoint and keys (p256dh, auth) are required', 400));
+    }
+
+    const user = await User.findById(req.user._id);
+
+    // Replace an existing subscription for the same endpoint
+    user.pushSubscriptions = user.pushSubscriptions.filter(
+      sub => sub.endpoint !== endpoint
+    );
+    user.pushSubscriptions.push({
+      endpoint,
+      keys: { p256dh: keys.p256dh, auth: keys.auth }
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Push subscription saved successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a Web Push subscription
+ * @route   DELETE /api/users/push-subscriptions
+ * @access  Private
+ */
+exports.removePushSubscription = async (req, res, next) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+      return next(new ErrorResponse('Endpoint is required', 400));
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushSubscriptions: { endpoint } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Push subscription removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get user by ID (for circle members to view each other)
  * @route   GET /api/users/:userId
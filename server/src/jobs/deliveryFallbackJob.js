@@ -0,0 +1,108 @@
+// File: server/jobs/deliveryFallbackJob.js
+// Purpose: Page members who have not acked a critical circle event through a fallback channel
+// Dependencies: CircleEvent model, Alert model, User model, notifications
+
+const CircleEvent = require('../models/CircleEvent');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { send, getUserAddress } = require('../services/notifications');
+
+// How long recipients have to ack a critical event before the fallback is used
+const ACK_TIMEOUT_MS = parseInt(process.env.CRITICAL_ACK_TIMEOUT_MS) || 60 * 1000;
+const FALLBACK_CHANNEL = process.env.CRITICAL_ACK_FALLBACK_CHANNEL || 'sms';
+
+/**
+ * Build the fallback message for an alert the member has not seen in the app
+ */
+const buildFallbackMessage = (alert) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  return {
+    subject: `Unseen alert: ${alert.title}`,
+    text: [
+      `A ${alert.severity} ${alert.type} alert in your circle has not reached you in the app.`,
+      alert.title,
+      `Open ${clientUrl}/alerts to respond.`
+    ].join('\n'),
+    data: {
+      alertId: alert._id.toString(),
+      type: alert.type,
+      severity: alert.severity,
+      fallback: true
+    }
+  };
+};
+
+/**
+ * Send the fallback for one critical event to the recipients who have not acked it
+ */
+const sendFallback = async (entry) => {
+  const ackedIds = entry.ackedBy.map((userId) => userId.toString());
+  const missing = entry.recipients.filter((userId) => !ackedIds.includes(userId.toString()));
+
+  if (missing.length === 0 || !entry.data.alert) {
+    return;
+  }
+
+  // Nothing to chase once the alert is closed
+  const alert = await Alert.findOne({
+    _id: entry.data.alert._id,
+    status: { $in: ['active', 'acknowledged'] }
+  }).select('title type severity');
+
+  if (!alert) {
+    return;
+  }
+
+  const users = await User.find({
+    _id: { $in: missing },
+    isActive: true,
+    'privacySettings.allowAlertNotifications': true
+  }).select('name email phone pushSubscriptions');
+
+  const message = buildFallbackMessage(alert);
+
+  users.forEach((user) => {
+    const address = getUserAddress(user, FALLBACK_CHANNEL);
+    if (!address) {
+      return;
+    }
+
+    send({
+      channel: FALLBACK_CHANNEL,
+      recipient: { userId: user._id, address },
+      message,
+      onDelivered: () => Alert.recordDelivery(alert._id, user._id, FALLBACK_CHANNEL, 'sent'),
+      onGiveUp: () => Alert.recordDelivery(alert._id, user._id, FALLBACK_CHANNEL, 'failed')
+    });
+  });
+
+  console.log(
+    `Fallback ${FALLBACK_CHANNEL} sent for ${entry.event} #${entry.seq} in circle ${entry.circle} to ${users.length} member(s)`
+  );
+};
+
+/**
+ * Check critical events whose ack timeout has passed
+ */
+const runDeliveryFallback = async () => {
+  const events = await CircleEvent.findPendingFallback(ACK_TIMEOUT_MS);
+
+  for (const pending of events) {
+    // Claim atomically so only one server instance sends the fallback
+    const entry = await CircleEvent.claimFallback(pending._id);
+    if (!entry) {
+      continue;
+    }
+
+    try {
+      await sendFallback(entry);
+    } catch (error) {
+      console.error(`Failed to send fallback for circle event ${entry._id}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  runDeliveryFallback
+};
@@ -0,0 +1,50 @@
+// File: server/jobs/escalationJob.js
+// Purpose: Escalate active alerts that nobody has acknowledged in time
+// Dependencies: os, Alert model, socket utils, notifications
+
+const os = require('os');
+const Alert = require('../models/Alert');
+const { emitToCircle } = require('../utils/socket');
+const { notifyCircleOfAlert } = require('../services/notifications');
+
+// Identifies this process when claiming alerts, so concurrent instances don't double-escalate
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Find alerts past their own escalation window, escalate them and re-notify the circle
+ */
+const runEscalation = async (io) => {
+  const candidates = await Alert.findNeedingEscalation();
+
+  for (const candidate of candidates) {
+    // Another instance may already be escalating this alert
+    const alert = await Alert.claimForEscalation(candidate._id, INSTANCE_ID);
+    if (!alert) {
+      continue;
+    }
+
+    const minutes = alert.autoEscalate.escalateAfterMinutes;
+    await alert.escalate(
+      `Auto-escalated: no acknowledgment within ${minutes} minute${minutes === 1 ? '' : 's'}`
+    );
+
+    await alert.populate('triggeredBy', 'name email profilePhoto phone');
+    await alert.populate('circle', 'name members');
+
+    if (io) {
+      emitToCircle(io, alert.circle._id.toString(), 'alert:escalated', {
+        alertId: alert._id,
+        alert,
+        escalatedAt: alert.autoEscalate.escalatedAt
+      }, { hiddenFrom: alert.getHiddenFrom() });
+    }
+
+    await notifyCircleOfAlert(alert, alert.circle, alert.triggeredBy, { escalated: true });
+
+    console.log(`Alert ${alert._id} escalated by ${INSTANCE_ID}`);
+  }
+};
+
+module.exports = {
+  runEscalation
+};
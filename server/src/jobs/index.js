@@ -0,0 +1,104 @@
+// File: server/jobs/index.js
+// Purpose: In-process scheduler for periodic background jobs
+// Dependencies: escalation job, overdue check-in job, scheduled check-in job, journey monitor job,
+//               invite cleanup job, join request expiry job, delivery fallback job
+
+const { runEscalation } = require('./escalationJob');
+const { runOverdueSweep } = require('./overdueCheckInJob');
+const { runScheduledCheckIns } = require('./scheduledCheckInJob');
+const { runJourneyMonitor } = require('./journeyMonitorJob');
+const { runInviteCleanup } = require('./inviteCleanupJob');
+const { runJoinRequestExpiry } = require('./joinRequestExpiryJob');
+const { runDeliveryFallback } = require('./deliveryFallbackJob');
+
+// Active interval timers keyed by job name
+const timers = new Map();
+
+/**
+ * Run a job every intervalMs, skipping a tick if the previous run is still in progress
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  let isRunning = false;
+
+  const tick = async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Background job "${name}" failed:`, error.message);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for background jobs
+  timer.unref();
+  timers.set(name, timer);
+
+  console.log(`Background job "${name}" scheduled every ${intervalMs}ms`);
+};
+
+/**
+ * Start all background jobs
+ */
+const startJobs = (io) => {
+  scheduleJob(
+    'alert-escalation',
+    parseInt(process.env.ESCALATION_INTERVAL_MS) || 60 * 1000,
+    () => runEscalation(io)
+  );
+
+  scheduleJob(
+    'overdue-checkins',
+    parseInt(process.env.OVERDUE_CHECKIN_INTERVAL_MS) || 60 * 1000,
+    () => runOverdueSweep(io)
+  );
+
+  scheduleJob(
+    'scheduled-checkins',
+    parseInt(process.env.SCHEDULED_CHECKIN_INTERVAL_MS) || 60 * 1000,
+    () => runScheduledCheckIns(io)
+  );
+
+  scheduleJob(
+    'journey-monitor',
+    parseInt(process.env.JOURNEY_MONITOR_INTERVAL_MS) || 60 * 1000,
+    () => runJourneyMonitor(io)
+  );
+
+  scheduleJob(
+    'invite-cleanup',
+    parseInt(process.env.INVITE_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+    runInviteCleanup
+  );
+
+  scheduleJob(
+    'join-request-expiry',
+    parseInt(process.env.JOIN_REQUEST_EXPIRY_INTERVAL_MS) || 60 * 60 * 1000,
+    runJoinRequestExpiry
+  );
+
+  scheduleJob(
+    'delivery-fallback',
+    parseInt(process.env.DELIVERY_FALLBACK_INTERVAL_MS) || 15 * 1000,
+    runDeliveryFallback
+  );
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,26 @@
+// File: server/jobs/inviteCleanupJob.js
+// Purpose: Remove expired pending invites from circles
+// Dependencies: Circle model
+
+const Circle = require('../models/Circle');
+
+/**
+ * Run cleanExpiredInvites() on every circle holding an expired invite
+ */
+const runInviteCleanup = async () => {
+  const circles = await Circle.find({
+    'pendingInvites.expiresAt': { $lt: Date.now() }
+  });
+
+  for (const circle of circles) {
+    await circle.cleanExpiredInvites();
+  }
+
+  if (circles.length > 0) {
+    console.log(`Cleaned expired invites from ${circles.length} circle(s)`);
+  }
+};
+
+module.exports = {
+  runInviteCleanup
+};
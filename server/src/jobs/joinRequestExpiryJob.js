@@ -0,0 +1,20 @@
+// File: server/jobs/joinRequestExpiryJob.js
+// Purpose: Mark join requests that were never reviewed as expired
+// Dependencies: JoinRequest model
+
+const JoinRequest = require('../models/JoinRequest');
+
+/**
+ * Expire stale pending join requests
+ */
+const runJoinRequestExpiry = async () => {
+  const result = await JoinRequest.expireStale();
+
+  if (result.modifiedCount > 0) {
+    console.log(`Expired ${result.modifiedCount} join request(s)`);
+  }
+};
+
+module.exports = {
+  runJoinRequestExpiry
+};
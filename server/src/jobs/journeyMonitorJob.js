@@ -0,0 +1,32 @@
+// File: server/jobs/journeyMonitorJob.js
+// Purpose: Warn a circle when a journey check-in stops moving, even if its location updates stop too
+// Dependencies: CheckIn model, journeys service
+
+const CheckIn = require('../models/CheckIn');
+const { emitJourneyWarning } = require('../services/journeys');
+
+/**
+ * Raise a stationary warning for each journey that has not moved for its stationary time
+ */
+const runJourneyMonitor = async (io) => {
+  const now = Date.now();
+  const checkIns = await CheckIn.findStalledJourneys(now);
+
+  for (const checkIn of checkIns) {
+    const claimed = await CheckIn.claimStationaryWarning(checkIn, now);
+    if (!claimed || !checkIn.user) {
+      continue;
+    }
+
+    const { warnings } = claimed.journey;
+    if (io) {
+      emitJourneyWarning(io, claimed, checkIn.user, warnings[warnings.length - 1]);
+    }
+
+    console.log(`Stationary warning raised for journey check-in ${checkIn._id}`);
+  }
+};
+
+module.exports = {
+  runJourneyMonitor
+};
@@ -0,0 +1,68 @@
+// File: server/jobs/overdueCheckInJob.js
+// Purpose: Mark overdue check-ins and raise a check-in-overdue alert once the circle's grace period passes
+// Dependencies: CheckIn model, socket utils, overdue alerts service
+
+const CheckIn = require('../models/CheckIn');
+const { emitToCircle } = require('../utils/socket');
+const { raiseOverdueAlert } = require('../services/overdueAlerts');
+
+/**
+ * Mark one check-in overdue and raise its alert once the grace period has passed
+ */
+const processOverdueCheckIn = async (io, checkIn, now) => {
+  const { circle, user } = checkIn;
+
+  if (!circle || !circle.isActive || !user) {
+    return;
+  }
+
+  // Flip status to overdue as soon as the return time has passed
+  if (checkIn.status === 'active') {
+    const result = await CheckIn.updateOne(
+      { _id: checkIn._id, status: 'active' },
+      { $set: { status: 'overdue' } }
+    );
+
+    if (result.modifiedCount === 1 && io) {
+      emitToCircle(io, circle._id.toString(), 'checkin:overdue', {
+        checkInId: checkIn._id,
+        userId: user._id,
+        expectedReturnTime: checkIn.expectedReturnTime
+      });
+    }
+  }
+
+  // Raise the alert only after the circle's grace period
+  const graceMs = (circle.settings.checkInGracePeriodMinutes || 0) * 60 * 1000;
+  if (checkIn.expectedReturnTime.getTime() + graceMs > now) {
+    return;
+  }
+
+  const claimed = await CheckIn.claimOverdueNotification(checkIn._id);
+  if (!claimed) {
+    return;
+  }
+
+  await raiseOverdueAlert(io, claimed, circle, user);
+};
+
+/**
+ * Sweep check-ins past their expected return time.
+ * A check-in that fails is logged without holding up the rest of the sweep.
+ */
+const runOverdueSweep = async (io) => {
+  const checkIns = await CheckIn.findPendingOverdueAlerts();
+  const now = Date.now();
+
+  for (const checkIn of checkIns) {
+    try {
+      await processOverdueCheckIn(io, checkIn, now);
+    } catch (error) {
+      console.error(`Failed to process overdue check-in ${checkIn._id}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  runOverdueSweep
+};
@@ -0,0 +1,102 @@
+// File: server/jobs/scheduledCheckInJob.js
+// Purpose: Create check-ins from recurring schedules when an occurrence starts, and notify the circle
+// Dependencies: CheckIn model, CheckInSchedule model, socket utils, recurrence utils
+
+const CheckIn = require('../models/CheckIn');
+const CheckInSchedule = require('../models/CheckInSchedule');
+const { emitToCircle } = require('../utils/socket');
+const { toLocalDate } = require('../utils/recurrence');
+
+// Occurrences ending sooner than this are not created (e.g. after the server was down)
+const MIN_REMAINING_MS = 60 * 1000;
+
+/**
+ * Create the check-in for one occurrence and notify the circle
+ */
+const instantiateOccurrence = async (io, schedule, circle, user, occurrence) => {
+  const checkIn = await CheckIn.create({
+    user: user._id,
+    circle: circle._id,
+    location: {
+      type: 'Point',
+      coordinates: schedule.location.coordinates,
+      address: schedule.location.address || ''
+    },
+    expectedReturnTime: new Date(occurrence.startsAt.getTime() + schedule.durationMinutes * 60 * 1000),
+    notes: schedule.notes || '',
+    status: 'active',
+    schedule: schedule._id,
+    scheduledFor: occurrence.startsAt
+  });
+
+  await CheckInSchedule.updateOne({ _id: schedule._id }, { $set: { lastCheckIn: checkIn._id } });
+  await circle.incrementCheckIns();
+
+  await checkIn.populate('user', 'name email profilePhoto');
+  await checkIn.populate('circle', 'name');
+
+  if (io && checkIn.notifications.notifyOnStart) {
+    emitToCircle(io, circle._id.toString(), 'checkin:new', {
+      checkIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        profilePhoto: user.profilePhoto
+      },
+      scheduled: true
+    });
+  }
+
+  console.log(`Scheduled check-in ${checkIn._id} created from schedule ${schedule._id}`);
+};
+
+/**
+ * Instantiate every schedule occurrence that has started
+ */
+const runScheduledCheckIns = async (io) => {
+  const now = new Date();
+  const schedules = await CheckInSchedule.findDue(now);
+
+  for (const schedule of schedules) {
+    const { circle, user } = schedule;
+
+    const occurrence = {
+      startsAt: schedule.nextOccurrenceAt,
+      date: toLocalDate(schedule.nextOccurrenceAt.getTime(), schedule.timezone)
+    };
+
+    // Move on past this date, and past anything missed while the job wasn't running
+    schedule.lastOccurrenceDate = occurrence.date;
+    const [next] = schedule.getOccurrences(now, 1);
+
+    const claimed = await CheckInSchedule.claimOccurrence(
+      schedule._id,
+      occurrence,
+      next ? next.startsAt : null
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    // Stop the series once the user can no longer check in to the circle
+    if (!user || !user.isActive || !circle || !circle.isActive || !circle.isMember(user._id)) {
+      await CheckInSchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { isPaused: true, pausedAt: now, nextOccurrenceAt: null } }
+      );
+      continue;
+    }
+
+    const endsAt = occurrence.startsAt.getTime() + schedule.durationMinutes * 60 * 1000;
+    if (endsAt - now.getTime() < MIN_REMAINING_MS) {
+      console.log(`Skipped stale occurrence ${occurrence.date} of check-in schedule ${schedule._id}`);
+      continue;
+    }
+
+    await instantiateOccurrence(io, schedule, circle, user, occurrence);
+  }
+};
+
+module.exports = {
+  runScheduledCheckIns
+};
@@ -1,9 +1,12 @@
 // File: server/middleware/auth.js
 // Purpose: Authentication and authorization middleware for protecting routes
-// Dependencies: jsonwebtoken, User model
+// Dependencies: jsonwebtoken, mongoose, User model, Session model, Circle model
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Circle = require('../models/Circle');
 
 /**
  * Protect routes - Verify JWT token and attach user to request
@@ -37,7 +40,7 @@ exports.protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from token
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+      const user = await User.findById(decoded.id).select('-password');
 
       if (!user) {
         return res.status(401).json({
@@ -46,6 +49,15 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Signing out a device ends its access immediately, not when the token expires
+      if (decoded.sid && !(await Session.exists({ _id: decoded.sid, revokedAt: null }))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your session has ended. Please log in again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       // Check if user is active
       if (!user.isActive) {
         return res.status(403).json({
@@ -62,8 +74,9 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Attach user to request object
+      // Attach user and session to request object
       req.user = user;
+      req.sessionId = decoded.sid || null;
       next();
     } catch (err) {
       // Token verification failed
@@ -111,8 +124,15 @@ exports.verifyRefreshToken = async (req, res, next) => {
       // Verify refresh token
       const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
-      // Get user and check if refresh token matches
-      const user = await User.findById(decoded.id).select('+refreshToken');
+      // Tokens issued before per-device sessions carry no session ID
+      if (!decoded.sid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token. Please log in again.'
+        });
+      }
+
+      const user = await User.findById(decoded.id);
 
       if (!user) {
         return res.status(401).json({
@@ -121,11 +141,15 @@ exports.verifyRefreshToken = async (req, res, next) => {
         });
       }
 
-      // Check if refresh token matches stored token
-      if (user.refreshToken !== refreshToken) {
+      // Check the session is still active; whether the token is its current one is
+      // checked when it is rotated
+      const session = await Session.findOne({ _id: decoded.sid, user: user._id });
+
+      if (!session || !session.isActive) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid refresh token. Please log in again.'
+          message: 'Your session has ended. Please log in again.',
+          code: 'SESSION_REVOKED'
         });
       }
 
@@ -137,8 +161,9 @@ exports.verifyRefreshToken = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      // Attach user and session to request
       req.user = user;
+      req.authSession = session;
       next();
     } catch (err) {
       if (err.name === 'TokenExpiredError') {
@@ -167,6 +192,50 @@ exports.verifyRefreshToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a verified email address (use after protect)
+ */
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Keep members without two-factor authentication out of circles that require it.
+ * Mount on routes carrying the circle ID in `param` (use after protect).
+ */
+exports.requireCircleTwoFactor = (param) => async (req, res, next) => {
+  try {
+    const circleId = req.params[param];
+
+    // Let the route's own validation deal with malformed IDs
+    if (!mongoose.Types.ObjectId.isValid(circleId)) {
+      return next();
+    }
+
+    const circle = await Circle.findById(circleId).select('settings.requireTwoFactor');
+
+    if (circle && circle.requiresTwoFactorFrom(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This circle requires two-factor authentication. Enable it in your account settings to continue.',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Authorize specific roles (not implemented in MVP, but structure ready)
  */
@@ -212,7 +281,7 @@ exports.optionalAuth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+      const user = await User.findById(decoded.id).select('-password');
 
       if (user && user.isActive && !user.isLocked) {
         req.user = user;
@@ -4,6 +4,28 @@
 
 const validator = require('validator');
 
+/**
+ * Check a new password against the strength rules, returning the first problem found
+ */
+const getPasswordError = (password) => {
+  if (!password) {
+    return 'Password is required';
+  }
+  if (password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  if (!/(?=.*[a-z])/.test(password)) {
+    return 'Password must contain at least one lowercase letter';
+  }
+  if (!/(?=.*[A-Z])/.test(password)) {
+    return 'Password must contain at least one uppercase letter';
+  }
+  if (!/(?=.*\d)/.test(password)) {
+    return 'Password must contain at least one number';
+  }
+  return null;
+};
+
 /**
  * Validate registration input
  */
@@ -28,16 +50,9 @@ exports.validateRegister = (req, res, next) => {
   }
 
   // Validate password
-  if (!password) {
-    errors.push('Password is required');
-  } else if (password.length < 8) {
-    errors.push('Password must be at least 8 characters');
-  } else if (!/(?=.*[a-z])/.test(password)) {
-    errors.push('Password must contain at least one lowercase letter');
-  } else if (!/(?=.*[A-Z])/.test(password)) {
-    errors.push('Password must contain at least one uppercase letter');
-  } else if (!/(?=.*\d)/.test(password)) {
-    errors.push('Password must contain at least one number');
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    errors.push(passwordError);
   }
 
   // Return errors if any
@@ -83,6 +98,66 @@ exports.validateLogin = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate forgot password input
+ */
+exports.validateForgotPassword = (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !validator.isEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: ['Please provide a valid email address']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate reset password input
+ */
+exports.validateResetPassword = (req, res, next) => {
+  const passwordError = getPasswordError(req.body.password);
+
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: [passwordError]
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate duress PIN input (the password confirms it's the account owner)
+ */
+exports.validateDuressPin = (req, res, next) => {
+  const { password, pin } = req.body;
+  const errors = [];
+
+  if (!password) {
+    errors.push('Password is required');
+  }
+
+  if (typeof pin !== 'string' || !/^\d{6,8}$/.test(pin)) {
+    errors.push('Duress PIN must be 6 to 8 digits');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate circle creation input
  */
@@ -115,7 +190,7 @@ exports.validateCreateCircle = (req, res, next) => {
  * Validate check-in creation input
  */
 exports.validateCreateCheckIn = (req, res, next) => {
-  const { circle, location, expectedReturnTime } = req.body;
+  const { circle, location, expectedReturnTime, destination, journey } = req.body;
   const errors = [];
 
   // Validate circle
@@ -146,6 +221,37 @@ exports.validateCreateCheckIn = (req, res, next) => {
     }
   }
 
+  // Validate journey destination (optional)
+  if (destination !== undefined) {
+    const coordinates = destination && destination.coordinates;
+    if (
+      !Array.isArray(coordinates) ||
+      coordinates.length !== 2 ||
+      typeof coordinates[0] !== 'number' ||
+      typeof coordinates[1] !== 'number' ||
+      coordinates[0] < -180 ||
+      coordinates[0] > 180 ||
+      coordinates[1] < -90 ||
+      coordinates[1] > 90
+    ) {
+      errors.push('Destination coordinates must be [longitude, latitude]');
+    }
+  }
+
+  if (journey !== undefined) {
+    if (!destination) {
+      errors.push('Journey settings need a destination');
+    } else if (!journey || typeof journey !== 'object') {
+      errors.push('Journey settings must be an object');
+    } else {
+      ['arrivalRadius', 'corridorMeters', 'stationaryMinutes'].forEach((field) => {
+        if (journey[field] !== undefined && typeof journey[field] !== 'number') {
+          errors.push(`Journey ${field} must be a number`);
+        }
+      });
+    }
+  }
+
   // Validate expected return time
   if (!expectedReturnTime) {
     errors.push('Expected return time is required');
@@ -170,6 +276,103 @@ exports.validateCreateCheckIn = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate check-in extension input
+ */
+exports.validateExtendCheckIn = (req, res, next) => {
+  const { minutes, reason } = req.body;
+  const errors = [];
+
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 240) {
+    errors.push('Minutes must be a whole number between 1 and 240');
+  }
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    errors.push('Reason cannot exceed 200 characters');
+  }
+
+  // Return errors if any
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate check-in schedule input (all fields are required on create, optional on update)
+ */
+exports.validateCheckInSchedule = (req, res, next) => {
+  const { circle, name, location, startTime, durationMinutes, recurrence } = req.body;
+  const isCreate = req.method === 'POST';
+  const errors = [];
+
+  // Validate circle
+  if (isCreate && !circle) {
+    errors.push('Circle ID is required');
+  }
+
+  // Validate name
+  if (name !== undefined || isCreate) {
+    if (!name || name.trim().length === 0) {
+      errors.push('Schedule name is required');
+    } else if (name.trim().length > 60) {
+      errors.push('Schedule name cannot exceed 60 characters');
+    }
+  }
+
+  // Validate start location
+  if (location !== undefined || isCreate) {
+    if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+      errors.push('Location coordinates must be [longitude, latitude]');
+    } else {
+      const [longitude, latitude] = location.coordinates;
+      if (
+        typeof longitude !== 'number' ||
+        typeof latitude !== 'number' ||
+        longitude < -180 ||
+        longitude > 180 ||
+        latitude < -90 ||
+        latitude > 90
+      ) {
+        errors.push('Invalid coordinates');
+      }
+    }
+  }
+
+  // Validate start time and duration
+  if ((startTime !== undefined || isCreate) && !/^([01]\d|2[0-3]):[0-5]\d$/.test(startTime || '')) {
+    errors.push('Start time must be HH:mm');
+  }
+
+  if (
+    (durationMinutes !== undefined || isCreate) &&
+    (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 1440)
+  ) {
+    errors.push('Duration must be between 5 and 1440 minutes');
+  }
+
+  // Validate recurrence (the rule itself is parsed by the controller)
+  if (isCreate && !recurrence) {
+    errors.push('Recurrence is required');
+  }
+
+  // Return errors if any
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate alert creation input
  */
@@ -224,6 +427,62 @@ exports.validateCreateAlert = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate place (geofence) creation input
+ */
+exports.validateCreatePlace = (req, res, next) => {
+  const { name, shape, center, radius, polygon } = req.body;
+  const errors = [];
+
+  const isValidPoint = (point) =>
+    Array.isArray(point) &&
+    point.length === 2 &&
+    typeof point[0] === 'number' &&
+    typeof point[1] === 'number' &&
+    point[0] >= -180 &&
+    point[0] <= 180 &&
+    point[1] >= -90 &&
+    point[1] <= 90;
+
+  // Validate name
+  if (!name || name.trim().length === 0) {
+    errors.push('Place name is required');
+  } else if (name.trim().length > 60) {
+    errors.push('Place name cannot exceed 60 characters');
+  }
+
+  // Validate shape
+  if (shape === 'circle') {
+    if (!isValidPoint(center)) {
+      errors.push('Center must be [longitude, latitude]');
+    }
+    if (typeof radius !== 'number' || radius < 25 || radius > 50000) {
+      errors.push('Radius must be between 25 and 50000 meters');
+    }
+  } else if (shape === 'polygon') {
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      errors.push('Polygon must have at least 3 points');
+    } else if (polygon.length > 100) {
+      errors.push('Polygon cannot have more than 100 points');
+    } else if (!polygon.every(isValidPoint)) {
+      errors.push('Polygon points must be [longitude, latitude]');
+    }
+  } else {
+    errors.push('Shape must be circle or polygon');
+  }
+
+  // Return errors if any
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate email invitation
  */
@@ -250,6 +509,37 @@ exports.validateEmailInvite = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate chat message input
+ */
+exports.validateSendMessage = (req, res, next) => {
+  const { content, alertId } = req.body;
+  const errors = [];
+
+  // Validate content
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    errors.push('Message content is required');
+  } else if (content.trim().length > 2000) {
+    errors.push('Message cannot exceed 2000 characters');
+  }
+
+  // Validate alert thread reference
+  if (alertId !== undefined && alertId !== null && !validator.isMongoId(String(alertId))) {
+    errors.push('Invalid alertId format');
+  }
+
+  // Return errors if any
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate ObjectId parameter
  */
@@ -3,6 +3,7 @@
 // Dependencies: mongoose
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const alertSchema = new mongoose.Schema(
   {
@@ -21,7 +22,7 @@ const alertSchema = new mongoose.Schema(
     // Alert type
     type: {
       type: String,
-      enum: ['panic', 'check-in-overdue', 'sos', 'location-sharing', 'manual'],
+      enum: ['panic', 'check-in-overdue', 'sos', 'location-sharing', 'manual', 'duress'],
       default: 'panic'
     },
     // Alert severity
@@ -65,6 +66,12 @@ const alertSchema = new mongoose.Schema(
         default: null
       }
     },
+    // Silent alerts (raised by a duress PIN) are hidden from the user who triggered them,
+    // so someone watching their screen can't tell help is on the way
+    isSilent: {
+      type: Boolean,
+      default: false
+    },
     // Alert status
     status: {
       type: String,
@@ -112,6 +119,15 @@ const alertSchema = new mongoose.Schema(
       enum: ['safe', 'help-arrived', 'false-alarm', 'other'],
       default: null
     },
+    // Time window of the triggering user's location history attached to this alert
+    locationTrail: {
+      from: {
+        type: Date
+      },
+      to: {
+        type: Date
+      }
+    },
     // Related check-in (if alert is triggered from overdue check-in)
     relatedCheckIn: {
       type: mongoose.Schema.Types.ObjectId,
@@ -167,7 +183,9 @@ const alertSchema = new mongoose.Schema(
             'escalated',
             'resolved',
             'cancelled',
-            'updated'
+            'updated',
+            'contact-responded',
+            'duress'
           ],
           required: true
         },
@@ -185,6 +203,39 @@ const alertSchema = new mongoose.Schema(
         }
       }
     ],
+    // Public status links sent to the triggering user's emergency contacts
+    emergencyContactLinks: [
+      {
+        contactId: {
+          type: mongoose.Schema.Types.ObjectId
+        },
+        name: {
+          type: String,
+          trim: true
+        },
+        relationship: {
+          type: String,
+          trim: true
+        },
+        // SHA-256 hash of the link token; the raw token is only sent to the contact
+        tokenHash: {
+          type: String,
+          select: false
+        },
+        notifiedVia: [
+          {
+            type: String,
+            enum: ['email', 'sms']
+          }
+        ],
+        respondedAt: {
+          type: Date
+        },
+        expiresAt: {
+          type: Date
+        }
+      }
+    ],
     // Priority and urgency
     priority: {
       type: Number,
@@ -208,6 +259,15 @@ const alertSchema = new mongoose.Schema(
       },
       escalatedAt: {
         type: Date
+      },
+      // Claim held by the server instance currently escalating this alert
+      claimedBy: {
+        type: String,
+        default: null
+      },
+      claimExpiresAt: {
+        type: Date,
+        default: null
       }
     },
     // Metadata
@@ -231,6 +291,7 @@ alertSchema.index({ triggeredBy: 1, status: 1 });
 alertSchema.index({ circle: 1, status: 1, createdAt: -1 });
 alertSchema.index({ status: 1, createdAt: -1 });
 alertSchema.index({ 'location.coordinates': '2dsphere' });
+alertSchema.index({ 'emergencyContactLinks.tokenHash': 1 }, { sparse: true });
 
 // Virtual for alert duration
 alertSchema.virtual('duration').get(function() {
@@ -316,8 +377,26 @@ alertSchema.methods.resolve = function(
   return this.save();
 };
 
+// Method to check whether an alert is hidden from a user (a silent alert's own creator)
+alertSchema.methods.isHiddenFrom = function(userId) {
+  const triggeredBy = this.triggeredBy._id || this.triggeredBy;
+  return this.isSilent && triggeredBy.toString() === userId.toString();
+};
+
+// Method to get the user real-time events about this alert must not reach, or null
+alertSchema.methods.getHiddenFrom = function() {
+  return this.isSilent ? this.triggeredBy._id || this.triggeredBy : null;
+};
+
 // Method to cancel alert
 alertSchema.methods.cancel = function(userId, reason = '') {
+  this.applyCancellation(userId, reason);
+  return this.save();
+};
+
+// Method to apply a cancellation without saving it
+// (a duress PIN answers with this copy while the real alert stays open)
+alertSchema.methods.applyCancellation = function(userId, reason = '') {
   if (this.status === 'resolved') {
     throw new Error('Cannot cancel a resolved alert');
   }
@@ -335,6 +414,23 @@ alertSchema.methods.cancel = function(userId, reason = '') {
     details: reason
   });
 
+  return this;
+};
+
+// Method to turn an alert silent after its creator entered their duress PIN
+alertSchema.methods.markDuress = function(details) {
+  this.isSilent = true;
+  this.severity = 'critical';
+  this.priority = 5;
+
+  // Add to activity log
+  this.activityLog.push({
+    action: 'duress',
+    performedBy: this.triggeredBy._id || this.triggeredBy,
+    timestamp: Date.now(),
+    details
+  });
+
   return this.save();
 };
 
@@ -358,20 +454,68 @@ alertSchema.methods.markFalseAlarm = function(userId, reason = '') {
 };
 
 // Method to escalate alert
-alertSchema.methods.escalate = function() {
+alertSchema.methods.escalate = function(details = 'Auto-escalated due to no response') {
   if (this.autoEscalate.escalated) {
     return Promise.resolve(this);
   }
 
   this.autoEscalate.escalated = true;
   this.autoEscalate.escalatedAt = Date.now();
+  this.autoEscalate.claimedBy = null;
+  this.autoEscalate.claimExpiresAt = null;
   this.priority = 5; // Maximum priority
 
   // Add to activity log
   this.activityLog.push({
     action: 'escalated',
     timestamp: Date.now(),
-    details: 'Auto-escalated due to no response'
+    details
+  });
+
+  return this.save();
+};
+
+// Method to create a public status link for an emergency contact
+// Returns the raw token; only its hash is stored
+alertSchema.methods.createContactLink = function(contact, ttlHours = 72) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emergencyContactLinks.push({
+    contactId: contact._id,
+    name: contact.name,
+    relationship: contact.relationship || '',
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    notifiedVia: [],
+    expiresAt: Date.now() + ttlHours * 60 * 60 * 1000
+  });
+
+  return {
+    token,
+    link: this.emergencyContactLinks[this.emergencyContactLinks.length - 1]
+  };
+};
+
+// Method to record an emergency contact responding through their status link
+alertSchema.methods.recordContactResponse = function(linkId, message = '') {
+  const link = this.emergencyContactLinks.id(linkId);
+
+  if (!link) {
+    throw new Error('Emergency contact link not found');
+  }
+
+  if (!['active', 'acknowledged'].includes(this.status)) {
+    throw new Error('This alert is no longer active');
+  }
+
+  link.respondedAt = Date.now();
+
+  const who = link.relationship ? `${link.name} (${link.relationship})` : link.name;
+  this.activityLog.push({
+    action: 'contact-responded',
+    timestamp: Date.now(),
+    details: message
+      ? `Emergency contact ${who} is responding: ${message}`
+      : `Emergency contact ${who} is responding`
   });
 
   return this.save();
@@ -409,12 +553,63 @@ alertSchema.methods.recordFailedNotification = function(
   return this.save();
 };
 
-// Static method to find active alerts for a circle
-alertSchema.statics.findActiveByCircle = function(circleId) {
+// Static method to record a delivery attempt outcome without loading the document
+// (atomic $push so concurrent deliveries for the same alert don't conflict)
+alertSchema.statics.recordDelivery = function(alertId, userId, channel, status = 'sent') {
+  return this.updateOne(
+    { _id: alertId },
+    {
+      $push: {
+        'notifications.sentTo': {
+          user: userId,
+          sentAt: Date.now(),
+          channel,
+          status
+        }
+      }
+    }
+  );
+};
+
+// Static method to record a failed delivery attempt without loading the document
+alertSchema.statics.recordDeliveryFailure = function(alertId, userId, channel, error) {
+  return this.updateOne(
+    { _id: alertId },
+    {
+      $push: {
+        'notifications.failedNotifications': {
+          user: userId,
+          channel,
+          error,
+          attemptedAt: Date.now()
+        }
+      }
+    }
+  );
+};
+
+// Static method to find an alert by an emergency contact's link token
+alertSchema.statics.findByContactToken = function(token) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    'emergencyContactLinks.tokenHash': tokenHash,
+    isDeleted: false
+  }).select('+emergencyContactLinks.tokenHash');
+};
+
+// Static method to get the query condition that leaves out alerts hidden from a user
+alertSchema.statics.visibleTo = function(userId) {
+  return { $nor: [{ isSilent: true, triggeredBy: userId }] };
+};
+
+// Static method to find active alerts for a circle (as seen by viewerId)
+alertSchema.statics.findActiveByCircle = function(circleId, viewerId) {
   return this.find({
     circle: circleId,
     status: { $in: ['active', 'acknowledged'] },
-    isDeleted: false
+    isDeleted: false,
+    ...this.visibleTo(viewerId)
   })
     .populate('triggeredBy', 'name email profilePhoto')
     .populate('acknowledgedBy.user', 'name email profilePhoto')
@@ -425,6 +620,7 @@ alertSchema.statics.findActiveByCircle = function(circleId) {
 alertSchema.statics.findByUser = function(userId, status = null) {
   const query = {
     triggeredBy: userId,
+    isSilent: false,
     isDeleted: false
   };
 
@@ -438,18 +634,53 @@ alertSchema.statics.findByUser = function(userId, status = null) {
 };
 
 // Static method to find alerts needing escalation
-alertSchema.statics.findNeedingEscalation = function() {
-  const escalationTime = Date.now() - 5 * 60 * 1000; // 5 minutes ago
-
+// Each alert is compared against its own autoEscalate.escalateAfterMinutes
+alertSchema.statics.findNeedingEscalation = function(filter = {}) {
   return this.find({
+    ...filter,
     status: 'active',
     'autoEscalate.enabled': true,
     'autoEscalate.escalated': false,
-    createdAt: { $lt: escalationTime },
-    isDeleted: false
+    isDeleted: false,
+    $expr: {
+      $lt: [
+        '$createdAt',
+        {
+          $subtract: [
+            '$$NOW',
+            { $multiply: ['$autoEscalate.escalateAfterMinutes', 60 * 1000] }
+          ]
+        }
+      ]
+    }
   }).populate('triggeredBy circle');
 };
 
+// Static method to atomically claim an alert for escalation
+// Only one server instance can hold an unexpired claim, so an alert is escalated once
+alertSchema.statics.claimForEscalation = function(alertId, instanceId, leaseMs = 60 * 1000) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: alertId,
+      status: 'active',
+      'autoEscalate.escalated': false,
+      $or: [
+        { 'autoEscalate.claimExpiresAt': null },
+        { 'autoEscalate.claimExpiresAt': { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        'autoEscalate.claimedBy': instanceId,
+        'autoEscalate.claimExpiresAt': new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true }
+  );
+};
+
 // Pre-save middleware to initialize activity log
 alertSchema.pre('save', function(next) {
   if (this.isNew) {
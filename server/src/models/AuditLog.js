@@ -0,0 +1,134 @@
+// File: server/models/AuditLog.js
+// Purpose: AuditLog model - append-only record of security-relevant account and circle actions
+// Dependencies: mongoose
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'circle.deleted',
+  'circle.member-removed',
+  'circle.member-role-changed',
+  'circle.two-factor-requirement-changed',
+  'user.password-changed',
+  'user.password-reset',
+  'user.email-verified',
+  'user.two-factor-enabled',
+  'user.two-factor-disabled',
+  'user.recovery-codes-regenerated',
+  'user.duress-pin-changed',
+  'user.session-revoked',
+  'user.privacy-updated',
+  'alert.deleted'
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // User who performed the action
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor is required for audit entry']
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, 'Action is required for audit entry']
+    },
+    // Circle the action happened in, for circle-scoped actions
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      default: null
+    },
+    // What the action was performed on
+    target: {
+      kind: {
+        type: String,
+        enum: ['User', 'Circle', 'Alert'],
+        required: true
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      }
+    },
+    // Changed fields only, as they were before and after the action
+    changes: {
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      }
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for efficient queries
+auditLogSchema.index({ circle: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.kind': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries are append-only: saving an existing entry, updating or deleting is refused
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  { document: false, query: true },
+  rejectChange
+);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Static method to get a page of entries, newest first
+auditLogSchema.statics.findPage = function(filter, { action, before, limit = 50 } = {}) {
+  const query = { ...filter };
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+
+  return this.find(query)
+    .populate('actor', 'name profilePhoto')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
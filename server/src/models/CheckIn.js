@@ -1,8 +1,14 @@
 // File: server/models/CheckIn.js
 // Purpose: CheckIn model for tracking user safety check-ins with location and time
-// Dependencies: mongoose
+// Dependencies: mongoose, geo utils
 
 const mongoose = require('mongoose');
+const { haversineDistance, distanceToSegment } = require('../utils/geo');
+
+// Moving less than this between updates counts as standing still
+const JOURNEY_MOVEMENT_METERS = 50;
+// Deviation warnings kept on a journey
+const JOURNEY_WARNINGS_LIMIT = 20;
 
 const checkInSchema = new mongoose.Schema(
   {
@@ -33,12 +39,102 @@ const checkInSchema = new mongoose.Schema(
         default: ''
       }
     },
-    // Expected return time
+    // A journey check-in heads to a destination and completes itself on arrival
+    mode: {
+      type: String,
+      enum: ['standard', 'journey'],
+      default: 'standard'
+    },
+    journey: {
+      origin: {
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined
+        },
+        address: {
+          type: String,
+          trim: true
+        }
+      },
+      destination: {
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined
+        },
+        address: {
+          type: String,
+          trim: true
+        }
+      },
+      // Distance from the destination (meters) that counts as arrived
+      arrivalRadius: {
+        type: Number,
+        min: [25, 'Arrival radius must be at least 25 meters'],
+        max: [2000, 'Arrival radius cannot exceed 2000 meters']
+      },
+      // Distance from the straight line between origin and destination (meters) that counts as off route
+      corridorMeters: {
+        type: Number,
+        min: [100, 'Corridor must be at least 100 meters'],
+        max: [50000, 'Corridor cannot exceed 50 km']
+      },
+      // Minutes without moving that count as stopped
+      stationaryMinutes: {
+        type: Number,
+        min: [1, 'Stationary time must be at least 1 minute'],
+        max: [240, 'Stationary time cannot exceed 240 minutes']
+      },
+      // Progress, updated with each location
+      totalDistance: Number,
+      remainingDistance: Number,
+      progress: Number, // Percent, 0-100
+      eta: Date,
+      lastMovedAt: Date,
+      lastMovedFrom: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      },
+      arrivedAt: Date,
+      // Current deviation, if any
+      deviation: {
+        type: {
+          type: String,
+          enum: ['off-route', 'stationary', null],
+          default: null
+        },
+        since: Date
+      },
+      warnings: {
+        type: [
+          {
+            type: {
+              type: String,
+              enum: ['off-route', 'stationary']
+            },
+            coordinates: {
+              type: [Number] // [longitude, latitude]
+            },
+            details: String,
+            raisedAt: {
+              type: Date,
+              default: Date.now
+            }
+          }
+        ],
+        default: undefined
+      }
+    },
+    // Expected return time (expected arrival for a journey)
     expectedReturnTime: {
       type: Date,
       required: [true, 'Expected return time is required'],
       validate: {
         validator: function(value) {
+          // Only enforce on creation or when the time is changed, so late
+          // check-ins can still be saved (completed, marked overdue, etc.)
+          if (!this.isNew && !this.isModified('expectedReturnTime')) {
+            return true;
+          }
           return value > Date.now();
         },
         message: 'Expected return time must be in the future'
@@ -90,6 +186,31 @@ const checkInSchema = new mongoose.Schema(
         }
       }
     ],
+    // Extensions of the expected return time, oldest first
+    extensions: [
+      {
+        minutes: {
+          type: Number,
+          required: true
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'Reason cannot exceed 200 characters'],
+          default: ''
+        },
+        previousReturnTime: {
+          type: Date
+        },
+        newReturnTime: {
+          type: Date
+        },
+        extendedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     // Track location updates during check-in
     locationHistory: [
       {
@@ -121,6 +242,16 @@ const checkInSchema = new mongoose.Schema(
         default: false
       }
     },
+    // Recurring schedule this check-in was created from, and the occurrence it covers
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckInSchedule',
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    },
     // Metadata
     isDeleted: {
       type: Boolean,
@@ -139,6 +270,7 @@ checkInSchema.index({ user: 1, status: 1 });
 checkInSchema.index({ circle: 1, status: 1 });
 checkInSchema.index({ expectedReturnTime: 1, status: 1 });
 checkInSchema.index({ 'location.coordinates': '2dsphere' });
+checkInSchema.index({ mode: 1, status: 1 });
 
 // Virtual for checking if check-in is overdue
 checkInSchema.virtual('isOverdue').get(function() {
@@ -166,6 +298,11 @@ checkInSchema.virtual('duration').get(function() {
   return this.completedAt - this.createdAt;
 });
 
+// Virtual for the minutes added by extensions so far
+checkInSchema.virtual('extensionMinutes').get(function() {
+  return (this.extensions || []).reduce((total, extension) => total + extension.minutes, 0);
+});
+
 // Check if check-in is overdue and update status
 checkInSchema.methods.checkOverdue = function() {
   if (this.status === 'active' && this.expectedReturnTime < Date.now()) {
@@ -198,6 +335,31 @@ checkInSchema.methods.complete = function(notes = '') {
   return this.save();
 };
 
+// Extend the expected return time; an overdue check-in is extended from now and becomes active again
+checkInSchema.methods.extend = function(minutes, reason = '') {
+  if (this.status !== 'active' && this.status !== 'overdue') {
+    throw new Error('Only active or overdue check-ins can be extended');
+  }
+
+  const previousReturnTime = this.expectedReturnTime;
+  const from = Math.max(previousReturnTime.getTime(), Date.now());
+
+  this.expectedReturnTime = new Date(from + minutes * 60 * 1000);
+  this.status = 'active';
+  // A new overdue alert is raised if the extended time passes too
+  this.notifications.overdueNotificationSent = false;
+
+  this.extensions.push({
+    minutes,
+    reason,
+    previousReturnTime,
+    newReturnTime: this.expectedReturnTime,
+    extendedAt: Date.now()
+  });
+
+  return this.save();
+};
+
 // Cancel check-in
 checkInSchema.methods.cancel = function() {
   if (this.status === 'completed') {
@@ -231,9 +393,113 @@ checkInSchema.methods.addAcknowledgment = function(userId, message = '') {
   return this.save();
 };
 
-// Update location during active check-in
+// Start journey tracking from the check-in's location (does not save)
+checkInSchema.methods.startJourney = function(destination, options = {}) {
+  const origin = this.location.coordinates;
+
+  this.mode = 'journey';
+  this.journey = {
+    origin: { coordinates: origin, address: this.location.address || '' },
+    destination: { coordinates: destination.coordinates, address: destination.address || '' },
+    arrivalRadius: options.arrivalRadius || 100,
+    corridorMeters: options.corridorMeters || 2000,
+    stationaryMinutes: options.stationaryMinutes || 15,
+    totalDistance: Math.round(haversineDistance(origin, destination.coordinates)),
+    remainingDistance: Math.round(haversineDistance(origin, destination.coordinates)),
+    progress: 0,
+    eta: this.expectedReturnTime,
+    lastMovedAt: Date.now(),
+    lastMovedFrom: origin,
+    deviation: { type: null, since: null },
+    warnings: []
+  };
+
+  return this;
+};
+
+// Record journey progress at a point: arrival completes the check-in, and a new
+// deviation adds a warning. Returns { arrived, warning } (does not save).
+checkInSchema.methods.trackJourney = function(point, now = Date.now()) {
+  const { journey } = this;
+  const remaining = haversineDistance(point, journey.destination.coordinates);
+
+  journey.remainingDistance = Math.round(remaining);
+  journey.progress = journey.totalDistance > 0
+    ? Math.max(0, Math.min(100, Math.round((1 - remaining / journey.totalDistance) * 100)))
+    : 100;
+
+  // ETA from the average speed toward the destination so far
+  const covered = journey.totalDistance - remaining;
+  const elapsed = now - this.createdAt;
+  journey.eta = covered > 0 && elapsed > 0 ? new Date(now + remaining / (covered / elapsed)) : null;
+
+  if (
+    !journey.lastMovedFrom ||
+    journey.lastMovedFrom.length !== 2 ||
+    haversineDistance(point, journey.lastMovedFrom) >= JOURNEY_MOVEMENT_METERS
+  ) {
+    journey.lastMovedAt = now;
+    journey.lastMovedFrom = point;
+  }
+
+  if (remaining <= journey.arrivalRadius) {
+    journey.arrivedAt = now;
+    journey.progress = 100;
+    journey.eta = now;
+    journey.deviation = { type: null, since: null };
+
+    this.status = 'completed';
+    this.completedAt = now;
+    this.completionStatus = 'auto-completed';
+    this.completionNotes = 'Arrived at destination';
+
+    return { arrived: true, warning: null };
+  }
+
+  const offRouteMeters = distanceToSegment(
+    point,
+    journey.origin.coordinates,
+    journey.destination.coordinates
+  );
+
+  let deviation = null;
+  let details = '';
+  if (offRouteMeters > journey.corridorMeters) {
+    deviation = 'off-route';
+    details = `${Math.round(offRouteMeters)} m from the route`;
+  } else if (now - journey.lastMovedAt >= journey.stationaryMinutes * 60 * 1000) {
+    deviation = 'stationary';
+    details = `Not moving for ${Math.round((now - journey.lastMovedAt) / 60000)} minutes`;
+  }
+
+  const warning = deviation && deviation !== journey.deviation.type
+    ? this.addJourneyWarning(deviation, point, details, now)
+    : null;
+
+  if (deviation !== journey.deviation.type) {
+    journey.deviation = { type: deviation, since: deviation ? now : null };
+  }
+
+  return { arrived: false, warning };
+};
+
+// Add a deviation warning to the journey and return it (does not save)
+checkInSchema.methods.addJourneyWarning = function(type, coordinates, details, now = Date.now()) {
+  this.journey.warnings.push({ type, coordinates, details, raisedAt: now });
+
+  if (this.journey.warnings.length > JOURNEY_WARNINGS_LIMIT) {
+    this.journey.warnings = this.journey.warnings.slice(-JOURNEY_WARNINGS_LIMIT);
+  }
+
+  return this.journey.warnings[this.journey.warnings.length - 1];
+};
+
+// Update location during active check-in. Resolves to the journey update
+// ({ arrived, warning }) for journey check-ins, otherwise null.
 checkInSchema.methods.updateLocation = function(longitude, latitude) {
-  if (this.status !== 'active') {
+  // A late journey is still tracked, so arriving completes it
+  const isTrackable = this.status === 'active' || (this.mode === 'journey' && this.status === 'overdue');
+  if (!isTrackable) {
     throw new Error('Can only update location for active check-ins');
   }
 
@@ -251,7 +517,9 @@ checkInSchema.methods.updateLocation = function(longitude, latitude) {
     this.locationHistory = this.locationHistory.slice(-50);
   }
 
-  return this.save();
+  const journeyUpdate = this.mode === 'journey' ? this.trackJourney([longitude, latitude]) : null;
+
+  return this.save().then(() => journeyUpdate);
 };
 
 // Static method to find overdue check-ins
@@ -262,6 +530,94 @@ checkInSchema.statics.findOverdue = function() {
   }).populate('user circle');
 };
 
+// Static method to find check-ins past their return time that have not raised an overdue alert yet
+checkInSchema.statics.findPendingOverdueAlerts = function() {
+  return this.find({
+    status: { $in: ['active', 'overdue'] },
+    expectedReturnTime: { $lt: Date.now() },
+    'notifications.notifyIfOverdue': true,
+    'notifications.overdueNotificationSent': false,
+    isDeleted: false
+  }).populate('user circle');
+};
+
+// Static method to atomically mark the overdue notification as sent
+// Resolves to null if another run (or server instance) already claimed it
+checkInSchema.statics.claimOverdueNotification = function(checkInId) {
+  return this.findOneAndUpdate(
+    {
+      _id: checkInId,
+      status: { $in: ['active', 'overdue'] },
+      'notifications.overdueNotificationSent': false
+    },
+    {
+      $set: {
+        status: 'overdue',
+        'notifications.overdueNotificationSent': true
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to hand back a claimed overdue notification whose alert could not be
+// raised, so the next sweep tries again
+checkInSchema.statics.releaseOverdueNotification = function(checkInId) {
+  return this.updateOne(
+    { _id: checkInId, 'notifications.overdueNotificationSent': true },
+    { $set: { 'notifications.overdueNotificationSent': false } }
+  );
+};
+
+// Static method to find journeys that have not moved for their stationary time and
+// have no deviation yet (checked without a location update, since a stopped phone may not send any)
+checkInSchema.statics.findStalledJourneys = function(now = Date.now()) {
+  return this.find({
+    mode: 'journey',
+    status: { $in: ['active', 'overdue'] },
+    'journey.deviation.type': null,
+    isDeleted: false
+  })
+    .populate('user', 'name profilePhoto')
+    .then((checkIns) =>
+      checkIns.filter(
+        (checkIn) => now - checkIn.journey.lastMovedAt >= checkIn.journey.stationaryMinutes * 60 * 1000
+      )
+    );
+};
+
+// Static method to atomically mark a journey as stationary
+// Resolves to null if a location update or another run got there first
+checkInSchema.statics.claimStationaryWarning = function(checkIn, now = Date.now()) {
+  const { lastMovedAt, lastMovedFrom, stationaryMinutes } = checkIn.journey;
+
+  return this.findOneAndUpdate(
+    {
+      _id: checkIn._id,
+      status: { $in: ['active', 'overdue'] },
+      'journey.deviation.type': null,
+      'journey.lastMovedAt': lastMovedAt
+    },
+    {
+      $set: { 'journey.deviation': { type: 'stationary', since: new Date(now) } },
+      $push: {
+        'journey.warnings': {
+          $each: [
+            {
+              type: 'stationary',
+              coordinates: lastMovedFrom,
+              details: `Not moving for ${Math.round((now - lastMovedAt) / 60000)} minutes`,
+              raisedAt: new Date(now)
+            }
+          ],
+          $slice: -JOURNEY_WARNINGS_LIMIT
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
 // Static method to find active check-ins for a user
 checkInSchema.statics.findActiveByUser = function(userId) {
   return this.find({
@@ -0,0 +1,248 @@
+// File: server/models/CheckInSchedule.js
+// Purpose: CheckInSchedule model for recurring check-in templates the server instantiates on time
+// Dependencies: mongoose, recurrence utils
+
+const mongoose = require('mongoose');
+const {
+  WEEKDAYS,
+  toRRule,
+  isValidTimeZone,
+  isValidDate,
+  isValidTime,
+  getOccurrences
+} = require('../utils/recurrence');
+
+const checkInScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required for schedule']
+    },
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: [true, 'Circle is required for schedule']
+    },
+    name: {
+      type: String,
+      required: [true, 'Schedule name is required'],
+      trim: true,
+      maxlength: [60, 'Schedule name cannot exceed 60 characters']
+    },
+    // Copied onto each check-in
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+      default: ''
+    },
+    // Start location of each check-in
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: [true, 'Location coordinates are required']
+      },
+      address: {
+        type: String,
+        trim: true,
+        default: ''
+      }
+    },
+    // Local start time ('HH:mm') in the schedule's time zone
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      validate: {
+        validator: isValidTime,
+        message: 'Start time must be HH:mm'
+      }
+    },
+    // Expected return is this long after the start
+    durationMinutes: {
+      type: Number,
+      required: [true, 'Duration is required'],
+      min: [5, 'Duration must be at least 5 minutes'],
+      max: [1440, 'Duration cannot exceed 24 hours']
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown time zone'
+      }
+    },
+    // Recurrence rule (RRULE subset: FREQ, INTERVAL, BYDAY)
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        required: true
+      },
+      interval: {
+        type: Number,
+        min: 1,
+        max: 52,
+        default: 1
+      },
+      byDay: [
+        {
+          type: String,
+          enum: WEEKDAYS
+        }
+      ]
+    },
+    // First and (optionally) last local date of the series, 'YYYY-MM-DD'
+    startsOn: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidDate,
+        message: 'Start date must be YYYY-MM-DD'
+      }
+    },
+    endsOn: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function(value) {
+          return value === null || (isValidDate(value) && value >= this.startsOn);
+        },
+        message: 'End date must be YYYY-MM-DD, on or after the start date'
+      }
+    },
+    // Local dates of single occurrences the user skipped
+    skippedDates: [
+      {
+        type: String
+      }
+    ],
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    pausedAt: {
+      type: Date,
+      default: null
+    },
+    // Start of the next occurrence to instantiate (null when paused or finished)
+    nextOccurrenceAt: {
+      type: Date,
+      default: null
+    },
+    lastOccurrenceAt: {
+      type: Date,
+      default: null
+    },
+    // Local date of the last instantiated occurrence; a date is never instantiated twice
+    lastOccurrenceDate: {
+      type: String,
+      default: null
+    },
+    lastCheckIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckIn',
+      default: null
+    },
+    // Metadata
+    isDeleted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for efficient queries
+checkInScheduleSchema.index({ user: 1, isDeleted: 1 });
+checkInScheduleSchema.index({ nextOccurrenceAt: 1, isPaused: 1, isDeleted: 1 });
+
+// Virtual for the recurrence as an RRULE string
+checkInScheduleSchema.virtual('rrule').get(function() {
+  return this.recurrence && this.recurrence.frequency ? toRRule(this.recurrence) : null;
+});
+
+// List upcoming occurrences as { date, startsAt, endsAt }
+checkInScheduleSchema.methods.getOccurrences = function(from = new Date(), limit = 1) {
+  // One extra, in case the first falls on the date already instantiated (after a start time edit)
+  return getOccurrences(this, from, limit + 1)
+    .filter(({ date }) => !this.lastOccurrenceDate || date > this.lastOccurrenceDate)
+    .slice(0, limit)
+    .map(({ date, startsAt }) => ({
+      date,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + this.durationMinutes * 60 * 1000)
+    }));
+};
+
+// Recompute the next occurrence after a moment (does not save)
+checkInScheduleSchema.methods.refreshNextOccurrence = function(after = new Date()) {
+  if (this.isPaused || this.isDeleted) {
+    this.nextOccurrenceAt = null;
+    return null;
+  }
+
+  const [next] = this.getOccurrences(after, 1);
+  this.nextOccurrenceAt = next ? next.startsAt : null;
+  return this.nextOccurrenceAt;
+};
+
+// Pause the series (does not save)
+checkInScheduleSchema.methods.pause = function() {
+  this.isPaused = true;
+  this.pausedAt = new Date();
+  this.nextOccurrenceAt = null;
+};
+
+// Resume the series; occurrences missed while paused are not made up (does not save)
+checkInScheduleSchema.methods.resume = function() {
+  this.isPaused = false;
+  this.pausedAt = null;
+  return this.refreshNextOccurrence();
+};
+
+// Static method to find schedules with an occurrence due
+checkInScheduleSchema.statics.findDue = function(now = new Date()) {
+  return this.find({
+    nextOccurrenceAt: { $ne: null, $lte: now },
+    isPaused: false,
+    isDeleted: false
+  })
+    .populate('user', 'name profilePhoto isActive')
+    .populate('circle');
+};
+
+// Static method to atomically claim an occurrence and move on to the next one
+// Resolves to null if another run (or server instance) already claimed it, or the schedule changed
+checkInScheduleSchema.statics.claimOccurrence = function(scheduleId, occurrence, nextOccurrenceAt) {
+  return this.findOneAndUpdate(
+    {
+      _id: scheduleId,
+      nextOccurrenceAt: occurrence.startsAt,
+      isPaused: false,
+      isDeleted: false
+    },
+    {
+      $set: {
+        nextOccurrenceAt,
+        lastOccurrenceAt: occurrence.startsAt,
+        lastOccurrenceDate: occurrence.date
+      }
+    },
+    { new: true }
+  );
+};
+
+const CheckInSchedule = mongoose.model('CheckInSchedule', checkInScheduleSchema);
+
+module.exports = CheckInSchedule;
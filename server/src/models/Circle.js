@@ -47,6 +47,33 @@ const circleSchema = new mongoose.Schema(
         isActive: {
           type: Boolean,
           default: true
+        },
+        // Place (geofence) sharing - members opt in to enter/exit events
+        geofencing: {
+          enabled: {
+            type: Boolean,
+            default: false
+          },
+          quietHours: {
+            enabled: {
+              type: Boolean,
+              default: false
+            },
+            start: {
+              type: String, // HH:mm
+              match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must use HH:mm format'],
+              default: '22:00'
+            },
+            end: {
+              type: String, // HH:mm
+              match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must use HH:mm format'],
+              default: '07:00'
+            },
+            timezone: {
+              type: String,
+              default: 'UTC'
+            }
+          }
         }
       }
     ],
@@ -71,6 +98,10 @@ const circleSchema = new mongoose.Schema(
         expiresAt: {
           type: Date,
           default: () => Date.now() + 7 * 24 * 60 * 60 * 1000
+        },
+        // When the invite email was last sent
+        lastSentAt: {
+          type: Date
         }
       }
     ],
@@ -102,6 +133,46 @@ const circleSchema = new mongoose.Schema(
       autoShareLocation: {
         type: Boolean,
         default: true
+      },
+      // Minutes after a check-in's expected return time before an overdue alert is raised
+      checkInGracePeriodMinutes: {
+        type: Number,
+        default: 5,
+        min: 0,
+        max: 240
+      },
+      // Most extensions a check-in may get, and most minutes they may add up to,
+      // before the circle is alerted anyway
+      maxCheckInExtensions: {
+        type: Number,
+        default: 3,
+        min: 0,
+        max: 20
+      },
+      maxCheckInExtensionMinutes: {
+        type: Number,
+        default: 120,
+        min: 0,
+        max: 1440
+      },
+      // Number of nearest members paged before the rest of the circle (0 pages everyone at once)
+      nearestRespondersFirst: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 20
+      },
+      // Seconds the nearest members are paged ahead of the rest of the circle
+      nearestRespondersHeadStartSeconds: {
+        type: Number,
+        default: 60,
+        min: 0,
+        max: 600
+      },
+      // Members must have two-factor authentication enabled to access the circle
+      requireTwoFactor: {
+        type: Boolean,
+        default: false
       }
     },
     // Circle status
@@ -109,6 +180,11 @@ const circleSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    // Sequence number of the latest entry in the circle's real-time event log
+    eventSequence: {
+      type: Number,
+      default: 0
+    },
     // Statistics
     stats: {
       totalAlerts: {
@@ -136,6 +212,8 @@ const circleSchema = new mongoose.Schema(
 circleSchema.index({ createdBy: 1 });
 circleSchema.index({ 'members.user': 1 });
 circleSchema.index({ inviteCode: 1 });
+circleSchema.index({ 'pendingInvites.email': 1 });
+circleSchema.index({ 'pendingInvites.expiresAt': 1 });
 
 // Virtual for member count
 circleSchema.virtual('memberCount').get(function() {
@@ -240,6 +318,11 @@ circleSchema.methods.updateMemberRole = function(userId, newRole) {
   return this.save();
 };
 
+// Check if the circle requires two-factor authentication that the user hasn't enabled
+circleSchema.methods.requiresTwoFactorFrom = function(user) {
+  return !!(this.settings && this.settings.requireTwoFactor) && !(user.twoFactor && user.twoFactor.enabled);
+};
+
 // Check if user is member
 circleSchema.methods.isMember = function(userId) {
   return this.members.some(
@@ -289,6 +372,31 @@ circleSchema.methods.cleanExpiredInvites = function() {
   return this.save();
 };
 
+// Extend an invite's expiry so it can be sent again
+circleSchema.methods.renewInvite = function(inviteId) {
+  const invite = this.pendingInvites.id(inviteId);
+
+  if (!invite) {
+    throw new Error('Invite not found');
+  }
+
+  invite.expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000; // 7 days
+  invite.lastSentAt = Date.now();
+  return this.save();
+};
+
+// Revoke a pending invite
+circleSchema.methods.revokeInvite = function(inviteId) {
+  const invite = this.pendingInvites.id(inviteId);
+
+  if (!invite) {
+    throw new Error('Invite not found');
+  }
+
+  this.pendingInvites.pull(inviteId);
+  return this.save();
+};
+
 // Increment alert count
 circleSchema.methods.incrementAlerts = function() {
   this.stats.totalAlerts += 1;
@@ -303,6 +411,13 @@ circleSchema.methods.incrementCheckIns = function() {
   return this.save();
 };
 
+// Get an active member's entry
+circleSchema.methods.getMember = function(userId) {
+  return this.members.find(
+    m => m.user.toString() === userId.toString() && m.isActive
+  );
+};
+
 // Get active members only
 circleSchema.methods.getActiveMembers = function() {
   return this.members.filter(m => m.isActive);
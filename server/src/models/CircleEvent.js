@@ -0,0 +1,204 @@
+// File: server/models/CircleEvent.js
+// Purpose: CircleEvent model - per-circle log of real-time events for acks and missed-event replay
+// Dependencies: mongoose, Circle model
+
+const mongoose = require('mongoose');
+const Circle = require('./Circle');
+
+// Hours an event stays available for replay
+const EVENT_LOG_RETENTION_HOURS = parseInt(process.env.EVENT_LOG_RETENTION_HOURS) || 72;
+
+const circleEventSchema = new mongoose.Schema(
+  {
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: true
+    },
+    // Monotonically increasing within the circle
+    seq: {
+      type: Number,
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Payload as it was emitted
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Critical events must be acked by every recipient or a fallback channel is used
+    critical: {
+      type: Boolean,
+      default: false
+    },
+    // Member the event is withheld from (the creator of a silent alert), on emit and replay
+    hiddenFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    recipients: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    ackedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // Set when the fallback check has been claimed for this event
+    fallbackProcessedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + EVENT_LOG_RETENTION_HOURS * 60 * 60 * 1000)
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Personal fields never copied into the log, at any depth
+const OMITTED_FIELDS = ['email', 'phone', 'location', 'locationTrail', 'locationHistory'];
+
+/**
+ * Reduce an emitted payload to what a client needs to replay it. Documents (objects with
+ * an _id) keep their id and their own plain fields; anything nested inside a document
+ * (populated users, member lists, locations) is cut down to its id or left out.
+ */
+const toReplayData = (value, inDocument = false) => {
+  if (Array.isArray(value)) {
+    return inDocument ? undefined : value.map((item) => toReplayData(item));
+  }
+
+  if (value && typeof value === 'object') {
+    if (inDocument) {
+      return value._id;
+    }
+
+    const isDocument = value._id !== undefined;
+    return Object.entries(value).reduce((result, [key, item]) => {
+      if (!OMITTED_FIELDS.includes(key)) {
+        const reduced = toReplayData(item, isDocument);
+        if (reduced !== undefined) {
+          result[key] = reduced;
+        }
+      }
+      return result;
+    }, {});
+  }
+
+  return value;
+};
+
+// Indexes for efficient queries
+circleEventSchema.index({ circle: 1, seq: 1 }, { unique: true });
+circleEventSchema.index({ critical: 1, fallbackProcessedAt: 1, createdAt: 1 });
+circleEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to append an event to a circle's log with the next sequence number.
+// Critical events are addressed to the circle's active members except excludeUserId.
+circleEventSchema.statics.append = async function(
+  circleId,
+  event,
+  data,
+  { critical = false, excludeUserId = null, hiddenFrom = null } = {}
+) {
+  const circle = await Circle.findByIdAndUpdate(
+    circleId,
+    { $inc: { eventSequence: 1 } },
+    { new: true, projection: { eventSequence: 1, members: 1 } }
+  );
+
+  if (!circle) {
+    throw new Error('Circle not found');
+  }
+
+  const recipients = critical
+    ? circle
+        .getActiveMembers()
+        .map((member) => member.user)
+        .filter((userId) => !excludeUserId || userId.toString() !== excludeUserId.toString())
+    : [];
+
+  return this.create({
+    circle: circleId,
+    seq: circle.eventSequence,
+    event,
+    // A plain JSON copy (ObjectIds as strings, as sent), without personal data
+    data: toReplayData(JSON.parse(JSON.stringify(data))),
+    critical,
+    hiddenFrom,
+    recipients
+  });
+};
+
+// Static method to get the events of a circle after a sequence number, oldest first,
+// leaving out those withheld from the requesting user
+circleEventSchema.statics.findSince = function(circleId, since, limit = 200, userId = null) {
+  const query = { circle: circleId, seq: { $gt: since } };
+
+  if (userId) {
+    query.hiddenFrom = { $ne: userId };
+  }
+
+  return this.find(query)
+    .select('seq event data critical createdAt')
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to check whether events after a sequence number have expired from the log.
+// Gaps inside the log (a sequence number whose write failed, or an event withheld from
+// the user) are not expiry, so only the oldest retained event is compared.
+circleEventSchema.statics.hasExpiredSince = async function(circleId, since) {
+  const oldest = await this.findOne({ circle: circleId }).sort({ seq: 1 }).select('seq').lean();
+
+  if (oldest) {
+    return oldest.seq > since + 1;
+  }
+
+  // Nothing retained: anything sent after `since` has expired
+  const circle = await Circle.findById(circleId).select('eventSequence').lean();
+  return !!circle && circle.eventSequence > since;
+};
+
+// Static method to record a recipient's ack of a critical event
+circleEventSchema.statics.acknowledge = function(circleId, seq, userId) {
+  return this.updateOne(
+    { circle: circleId, seq, critical: true, recipients: userId },
+    { $addToSet: { ackedBy: userId } }
+  );
+};
+
+// Static method to find critical events whose ack timeout has passed
+circleEventSchema.statics.findPendingFallback = function(timeoutMs) {
+  return this.find({
+    critical: true,
+    fallbackProcessedAt: null,
+    createdAt: { $lte: new Date(Date.now() - timeoutMs) }
+  }).limit(100);
+};
+
+// Static method to claim the fallback check for an event (only one instance wins)
+circleEventSchema.statics.claimFallback = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, fallbackProcessedAt: null },
+    { $set: { fallbackProcessedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const CircleEvent = mongoose.model('CircleEvent', circleEventSchema);
+
+module.exports = CircleEvent;
@@ -0,0 +1,61 @@
+// File: server/models/GeofenceTransition.js
+// Purpose: GeofenceTransition model recording members entering and leaving circle places
+// Dependencies: mongoose
+
+const mongoose = require('mongoose');
+
+const geofenceTransitionSchema = new mongoose.Schema(
+  {
+    place: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Place',
+      required: true
+    },
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['enter', 'exit'],
+      required: true
+    },
+    // Location that triggered the transition
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      }
+    },
+    // True when the member's quiet hours kept the circle from being notified
+    suppressed: {
+      type: Boolean,
+      default: false
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for efficient queries
+geofenceTransitionSchema.index({ circle: 1, user: 1, occurredAt: -1 });
+geofenceTransitionSchema.index({ place: 1, occurredAt: -1 });
+
+const GeofenceTransition = mongoose.model('GeofenceTransition', geofenceTransitionSchema);
+
+module.exports = GeofenceTransition;
@@ -0,0 +1,135 @@
+// File: server/models/JoinRequest.js
+// Purpose: JoinRequest model for circles that require admin approval to join
+// Dependencies: mongoose
+
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema(
+  {
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: [true, 'Circle is required for join request']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required for join request']
+    },
+    // Optional note from the requester to the admins
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Message cannot exceed 300 characters'],
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired'],
+      default: 'pending'
+    },
+    // Review details
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Pending requests expire after 14 days
+    expiresAt: {
+      type: Date,
+      default: () => Date.now() + 14 * 24 * 60 * 60 * 1000
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for efficient queries
+joinRequestSchema.index({ circle: 1, status: 1, createdAt: -1 });
+joinRequestSchema.index({ user: 1, createdAt: -1 });
+joinRequestSchema.index({ status: 1, expiresAt: 1 });
+// Only one pending request per user per circle
+joinRequestSchema.index(
+  { circle: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Virtual for checking if a pending request has expired
+joinRequestSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt < Date.now();
+});
+
+// Approve request
+joinRequestSchema.methods.approve = function(adminId) {
+  if (this.status !== 'pending' || this.isExpired) {
+    throw new Error('Only pending join requests can be approved');
+  }
+
+  this.status = 'approved';
+  this.reviewedBy = adminId;
+  this.reviewedAt = Date.now();
+  return this.save();
+};
+
+// Reject request
+joinRequestSchema.methods.reject = function(adminId, reason = '') {
+  if (this.status !== 'pending' || this.isExpired) {
+    throw new Error('Only pending join requests can be rejected');
+  }
+
+  this.status = 'rejected';
+  this.reviewedBy = adminId;
+  this.reviewedAt = Date.now();
+  this.rejectionReason = reason;
+  return this.save();
+};
+
+// Cancel request (by requester)
+joinRequestSchema.methods.cancel = function() {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending join requests can be cancelled');
+  }
+
+  this.status = 'cancelled';
+  return this.save();
+};
+
+// Static method to count requests a user made recently (for rate limiting)
+joinRequestSchema.statics.countRecentByUser = function(userId, windowMs = 24 * 60 * 60 * 1000) {
+  return this.countDocuments({
+    user: userId,
+    createdAt: { $gt: Date.now() - windowMs }
+  });
+};
+
+// Static method to find the pending request of a user for a circle
+joinRequestSchema.statics.findPending = function(circleId, userId) {
+  return this.findOne({
+    circle: circleId,
+    user: userId,
+    status: 'pending',
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+// Static method to expire stale pending requests
+joinRequestSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lt: Date.now() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+
+module.exports = JoinRequest;
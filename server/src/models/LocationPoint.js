@@ -0,0 +1,132 @@
+// File: server/models/LocationPoint.js
+// Purpose: LocationPoint model - time-series location history with per-user retention
+// Dependencies: mongoose
+
+const mongoose = require('mongoose');
+
+// Days the points of an alert's trail are kept, counted from when the alert is raised
+const ALERT_TRAIL_RETENTION_DAYS = parseInt(process.env.ALERT_TRAIL_RETENTION_DAYS, 10) || 365;
+
+const locationPointSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required for location point']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: [true, 'Location coordinates are required']
+      }
+    },
+    accuracy: {
+      type: Number, // Accuracy in meters
+      default: null
+    },
+    // Where the point came from
+    source: {
+      type: String,
+      enum: ['location-update', 'check-in'],
+      default: 'location-update'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Removed by the TTL index at this time; pushed back for points pinned by an alert
+    expiresAt: {
+      type: Date
+    },
+    // Alerts whose trail includes this point (kept for the incident record)
+    pinnedByAlerts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+      }
+    ]
+  },
+  {
+    timestamps: false
+  }
+);
+
+// Indexes for efficient queries
+locationPointSchema.index({ user: 1, recordedAt: -1 });
+locationPointSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a point using the user's retention setting
+// Resolves to null when the user keeps no history
+locationPointSchema.statics.record = function(user, coordinates, options = {}) {
+  const retentionDays = user.privacySettings?.locationHistoryRetentionDays ?? 30;
+
+  if (retentionDays <= 0) {
+    return Promise.resolve(null);
+  }
+
+  const recordedAt = options.recordedAt || new Date();
+
+  return this.create({
+    user: user._id,
+    location: { type: 'Point', coordinates },
+    accuracy: options.accuracy ?? null,
+    source: options.source || 'location-update',
+    recordedAt,
+    expiresAt: new Date(recordedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Static method to get a user's points in a time range, oldest first.
+// Past the limit the oldest points are dropped, since the latest matter most during an alert.
+locationPointSchema.statics.findTrail = async function(userId, from, to, limit = 10000) {
+  const points = await this.find({
+    user: userId,
+    recordedAt: { $gte: from, $lte: to }
+  })
+    .select('location accuracy source recordedAt')
+    .sort({ recordedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return points.reverse();
+};
+
+// Static method to recompute expiry after a user changes their retention period
+locationPointSchema.statics.applyRetention = function(userId, retentionDays) {
+  const filter = { user: userId, 'pinnedByAlerts.0': { $exists: false } };
+
+  if (retentionDays <= 0) {
+    return this.deleteMany(filter);
+  }
+
+  return this.updateMany(filter, [
+    {
+      $set: {
+        expiresAt: { $add: ['$recordedAt', retentionDays * 24 * 60 * 60 * 1000] }
+      }
+    }
+  ]);
+};
+
+// Static method to keep the points of an alert's trail beyond normal retention,
+// for ALERT_TRAIL_RETENTION_DAYS (or the user's own retention, if longer)
+locationPointSchema.statics.pinForAlert = function(userId, alertId, from, to) {
+  const keepUntil = new Date(Date.now() + ALERT_TRAIL_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  return this.updateMany(
+    { user: userId, recordedAt: { $gte: from, $lte: to } },
+    {
+      $addToSet: { pinnedByAlerts: alertId },
+      $max: { expiresAt: keepUntil }
+    }
+  );
+};
+
+const LocationPoint = mongoose.model('LocationPoint', locationPointSchema);
+
+module.exports = LocationPoint;
@@ -0,0 +1,140 @@
+// File: server/models/Message.js
+// Purpose: Message model - circle group chat and alert threads with read receipts
+// Dependencies: mongoose
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema(
+  {
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: [true, 'Circle is required for message']
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Sender is required for message']
+    },
+    // Set when the message belongs to an alert's thread
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      default: null
+    },
+    content: {
+      type: String,
+      required: [true, 'Message content is required'],
+      trim: true,
+      maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+    // Read receipts
+    readBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        readAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        // Deleted messages keep their place in the conversation but not their content
+        if (ret.isDeleted) {
+          ret.content = '';
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for efficient queries
+messageSchema.index({ circle: 1, createdAt: -1 });
+messageSchema.index({ circle: 1, alert: 1, createdAt: -1 });
+
+// Soft delete message
+messageSchema.methods.softDelete = function(userId) {
+  this.isDeleted = true;
+  this.deletedAt = Date.now();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Static method to get a page of a circle's messages, newest first.
+// alertId narrows to an alert's thread; null returns only general chat.
+messageSchema.statics.findPage = function(circleId, { alertId, before, limit = 50 } = {}) {
+  const filter = { circle: circleId };
+
+  if (alertId !== undefined) {
+    filter.alert = alertId;
+  }
+
+  if (before) {
+    filter.createdAt = { $lt: before };
+  }
+
+  return this.find(filter)
+    .populate('sender', 'name profilePhoto')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Static method to mark a user's unread messages as read up to a point in time
+messageSchema.statics.markRead = function(circleId, userId, upTo, alertId) {
+  const filter = {
+    circle: circleId,
+    sender: { $ne: userId },
+    createdAt: { $lte: upTo },
+    'readBy.user': { $ne: userId }
+  };
+
+  if (alertId !== undefined) {
+    filter.alert = alertId;
+  }
+
+  return this.updateMany(filter, {
+    $push: { readBy: { user: userId, readAt: new Date() } }
+  });
+};
+
+// Static method to count a user's unread messages in a circle
+messageSchema.statics.countUnread = function(circleId, userId, alertId) {
+  const filter = {
+    circle: circleId,
+    sender: { $ne: userId },
+    isDeleted: false,
+    'readBy.user': { $ne: userId }
+  };
+
+  if (alertId !== undefined) {
+    filter.alert = alertId;
+  }
+
+  return this.countDocuments(filter);
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
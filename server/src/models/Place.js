@@ -0,0 +1,132 @@
+// File: server/models/Place.js
+// Purpose: Place model for named geofences ("safe places") defined by a circle
+// Dependencies: mongoose, geo utils
+
+const mongoose = require('mongoose');
+const { haversineDistance, isPointInPolygon } = require('../utils/geo');
+
+const placeSchema = new mongoose.Schema(
+  {
+    circle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Circle',
+      required: [true, 'Circle is required for place']
+    },
+    name: {
+      type: String,
+      required: [true, 'Place name is required'],
+      trim: true,
+      maxlength: [60, 'Place name cannot exceed 60 characters']
+    },
+    category: {
+      type: String,
+      enum: ['home', 'school', 'work', 'other'],
+      default: 'other'
+    },
+    // Geofence shape
+    shape: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      required: true
+    },
+    // Center and radius (circle shape)
+    center: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      }
+    },
+    radius: {
+      type: Number, // Radius in meters
+      min: [25, 'Radius must be at least 25 meters'],
+      max: [50000, 'Radius cannot exceed 50 km']
+    },
+    // Boundary (polygon shape)
+    area: {
+      type: {
+        type: String,
+        enum: ['Polygon']
+      },
+      coordinates: {
+        type: [[[Number]]] // [[[longitude, latitude], ...]]
+      }
+    },
+    // Members currently inside this place (used to detect transitions)
+    occupants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for efficient queries
+placeSchema.index({ circle: 1, isActive: 1 });
+
+// Validate shape-specific fields
+placeSchema.pre('validate', function(next) {
+  if (this.shape === 'circle' && (!this.center?.coordinates?.length || !this.radius)) {
+    this.invalidate('center', 'Circle places require a center and radius');
+  }
+  if (this.shape === 'polygon' && !this.area?.coordinates?.length) {
+    this.invalidate('area', 'Polygon places require an area');
+  }
+  next();
+});
+
+// Check whether a [longitude, latitude] point lies inside this place
+placeSchema.methods.containsPoint = function(point) {
+  if (this.shape === 'circle') {
+    return haversineDistance(this.center.coordinates, point) <= this.radius;
+  }
+  return isPointInPolygon(point, this.area.coordinates[0]);
+};
+
+// Static method to find active places in circles
+placeSchema.statics.findActiveByCircles = function(circleIds) {
+  return this.find({
+    circle: { $in: circleIds },
+    isActive: true
+  });
+};
+
+// Static method to atomically record a member entering
+// Resolves to true only for the update that actually changed the state
+placeSchema.statics.markEntered = async function(placeId, userId) {
+  const result = await this.updateOne(
+    { _id: placeId, occupants: { $ne: userId } },
+    { $addToSet: { occupants: userId } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Static method to atomically record a member leaving
+placeSchema.statics.markExited = async function(placeId, userId) {
+  const result = await this.updateOne(
+    { _id: placeId, occupants: userId },
+    { $pull: { occupants: userId } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const Place = mongoose.model('Place', placeSchema);
+
+module.exports = Place;
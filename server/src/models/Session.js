@@ -0,0 +1,137 @@
+// File: server/models/Session.js
+// Purpose: Session model - one signed-in device, holding the hash of its current refresh token
+// Dependencies: mongoose, crypto
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A session is a refresh token family: every refresh replaces the stored hash, so only
+// the most recently issued token is valid. Presenting an older one means it was copied,
+// and the whole session is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required for session']
+    },
+    // SHA-256 of the current refresh token
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters'],
+      default: 'Unknown device'
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Expiry of the current refresh token; expired sessions are removed by the TTL index
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user-revoked', 'token-reuse', 'password-changed', 'password-reset', null],
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Method to store the refresh token issued for this session
+sessionSchema.methods.setToken = function(token, expiresAt) {
+  this.tokenHash = hashToken(token);
+  this.expiresAt = expiresAt;
+};
+
+// Static method to replace a session's refresh token, only if the presented token is
+// still the current one. Resolves to the updated session, or null when the token was
+// already rotated (reuse) or the session is no longer active.
+sessionSchema.statics.rotate = function(sessionId, presentedToken, nextToken, expiresAt, { ip, userAgent } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashToken(presentedToken),
+      revokedAt: null
+    },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        expiresAt,
+        lastUsedAt: new Date(),
+        ip,
+        userAgent
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke a single session
+sessionSchema.statics.revoke = function(sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
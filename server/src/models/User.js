@@ -1,11 +1,13 @@
 // File: server/models/User.js
 // Purpose: User model with authentication, profile management, and security features
-// Dependencies: mongoose, bcryptjs, jsonwebtoken, validator
+// Dependencies: mongoose, bcryptjs, jsonwebtoken, validator, crypto, totp utils
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const validator = require('validator');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema(
   {
@@ -74,6 +76,23 @@ const userSchema = new mongoose.Schema(
         }
       }
     ],
+    // Which alerts should also notify emergency contacts
+    emergencyContactPreferences: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      alertTypes: {
+        type: [String],
+        enum: ['panic', 'check-in-overdue', 'sos', 'location-sharing', 'manual'],
+        default: ['panic', 'sos']
+      },
+      severities: {
+        type: [String],
+        enum: ['low', 'medium', 'high', 'critical'],
+        default: ['critical']
+      }
+    },
     circles: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -97,8 +116,38 @@ const userSchema = new mongoose.Schema(
       visibleToCircleMembers: {
         type: Boolean,
         default: true
+      },
+      // Days of location history to keep (0 keeps none)
+      locationHistoryRetentionDays: {
+        type: Number,
+        default: 30,
+        min: [0, 'Retention cannot be negative'],
+        max: [365, 'Retention cannot exceed 365 days']
       }
     },
+    // Web Push subscriptions (one per browser/device)
+    pushSubscriptions: [
+      {
+        endpoint: {
+          type: String,
+          required: true
+        },
+        keys: {
+          p256dh: {
+            type: String,
+            required: true
+          },
+          auth: {
+            type: String,
+            required: true
+          }
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     // Current location sharing status
     isLocationSharing: {
       type: Boolean,
@@ -132,11 +181,77 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
-    // Refresh token for JWT refresh mechanism
-    refreshToken: {
+    // Single-use email verification and password reset tokens (hashes only)
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    passwordResetToken: {
       type: String,
       select: false
     },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+    // Two-factor authentication (TOTP) with one-time recovery codes
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date,
+        default: null
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret being enrolled, until the user confirms it with a code
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // Time step of the last accepted code, so a code can't be used twice
+      lastUsedStep: {
+        type: Number,
+        default: -1,
+        select: false
+      },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: String,
+            usedAt: {
+              type: Date,
+              default: null
+            }
+          }
+        ],
+        select: false
+      }
+    },
+    // Duress PIN: accepted wherever the password is, it looks like a normal success but
+    // silently alerts the user's circles
+    duressPin: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      hash: {
+        type: String,
+        select: false
+      },
+      updatedAt: {
+        type: Date,
+        default: null
+      }
+    },
     // Security: Track failed login attempts
     failedLoginAttempts: {
       type: Number,
@@ -152,7 +267,15 @@ const userSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        // Whether a duress PIN is set is only told by its own endpoint: a response
+        // showing it could be read by whoever is coercing the user
+        delete ret.duressPin;
+        return ret;
+      }
+    },
     toObject: { virtuals: true }
   }
 );
@@ -160,6 +283,10 @@ const userSchema = new mongoose.Schema(
 // Create geospatial index for location queries
 userSchema.index({ 'lastKnownLocation.coordinates': '2dsphere' });
 
+// Look up single-use account tokens
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
 // Virtual for checking if account is locked
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -190,11 +317,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Generate JWT access token
-userSchema.methods.generateAccessToken = function() {
+// Method to set the duress PIN (hashed like the password), or remove it with null
+userSchema.methods.setDuressPin = async function(pin) {
+  this.duressPin.enabled = !!pin;
+  this.duressPin.hash = pin ? await bcrypt.hash(pin, await bcrypt.genSalt(10)) : undefined;
+  this.duressPin.updatedAt = Date.now();
+};
+
+// Method to check a secret against the duress PIN (select +duressPin.hash first)
+userSchema.methods.isDuressPin = async function(candidate) {
+  if (!this.duressPin.enabled || !this.duressPin.hash || !candidate) {
+    return false;
+  }
+
+  return bcrypt.compare(candidate, this.duressPin.hash);
+};
+
+// Generate JWT access token for a session
+userSchema.methods.generateAccessToken = function(sessionId) {
   return jwt.sign(
     {
       id: this._id,
+      sid: sessionId,
       email: this.email,
       name: this.name
     },
@@ -205,20 +349,108 @@ userSchema.methods.generateAccessToken = function() {
   );
 };
 
-// Generate JWT refresh token
-userSchema.methods.generateRefreshToken = function() {
-  const refreshToken = jwt.sign(
+// Generate JWT refresh token for a session.
+// Only its hash is stored, on the session (see Session model).
+userSchema.methods.generateRefreshToken = function(sessionId) {
+  return jwt.sign(
     {
-      id: this._id
+      id: this._id,
+      sid: sessionId
     },
     process.env.JWT_REFRESH_SECRET,
     {
-      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      // Unique per token, so tokens issued within the same second still differ
+      jwtid: crypto.randomBytes(16).toString('hex')
     }
   );
+};
+
+// Lifetime of each kind of single-use account token
+const AUTH_TOKEN_TTL_MS = {
+  emailVerification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  passwordReset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30) * 60 * 1000
+};
+
+const hashAuthToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a single-use account token ('emailVerification' or 'passwordReset').
+// Only its hash is stored; a new token replaces any earlier one of the same kind.
+userSchema.methods.createAuthToken = function(kind) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this[`${kind}Token`] = hashAuthToken(token);
+  this[`${kind}Expires`] = new Date(Date.now() + AUTH_TOKEN_TTL_MS[kind]);
+
+  return token;
+};
+
+// Filter for the user holding a valid, unused account token
+const authTokenFilter = (kind, token) => ({
+  [`${kind}Token`]: hashAuthToken(token),
+  [`${kind}Expires`]: { $gt: new Date() }
+});
+
+// Static method to find the user a valid account token belongs to, without redeeming it
+userSchema.statics.findByAuthToken = function(kind, token) {
+  return this.findOne(authTokenFilter(kind, token));
+};
+
+// Static method to redeem a single-use account token, applying `update` to the user
+// in the same atomic operation. Resolves to the user, or null if the token is invalid,
+// expired or already used.
+userSchema.statics.consumeAuthToken = function(kind, token, update = {}) {
+  return this.findOneAndUpdate(
+    authTokenFilter(kind, token),
+    {
+      ...update,
+      $unset: { ...(update.$unset || {}), [`${kind}Token`]: 1, [`${kind}Expires`]: 1 }
+    },
+    { new: true }
+  );
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Replace the user's recovery codes, returning the new codes (only their hashes are stored)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+
+  this.twoFactor.recoveryCodes = codes.map((code) => ({
+    codeHash: hashAuthToken(normalizeRecoveryCode(code))
+  }));
+
+  return codes;
+};
+
+// Check a second-factor code: an authenticator code, or else an unused recovery code.
+// Accepted codes are marked as used atomically, so each works only once.
+// Resolves to 'totp', 'recovery' or null. Needs twoFactor.secret selected.
+userSchema.methods.verifyTwoFactor = async function(code) {
+  const step = this.twoFactor.secret ? verifyCode(this.twoFactor.secret, code) : null;
+
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const codeHash = hashAuthToken(normalizeRecoveryCode(code));
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
 
-  this.refreshToken = refreshToken;
-  return refreshToken;
+  return result.modifiedCount === 1 ? 'recovery' : null;
 };
 
 // Handle failed login attempts
@@ -273,6 +505,8 @@ userSchema.methods.getPublicProfile = function() {
     profilePhoto: this.profilePhoto,
     bio: this.bio,
     isLocationSharing: this.isLocationSharing,
+    isVerified: this.isVerified,
+    twoFactorEnabled: this.twoFactor.enabled,
     lastKnownLocation: this.privacySettings.shareLocationWithCircles
       ? this.lastKnownLocation
       : null,
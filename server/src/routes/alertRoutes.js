@@ -9,6 +9,10 @@ const {
   getCircleAlerts,
   getCircleActiveAlerts,
   getAlertById,
+  getAlertTrail,
+  getAlertTimeline,
+  getAlertReport,
+  getAlertResponders,
   createAlert,
   acknowledgeAlert,
   resolveAlert,
@@ -18,7 +22,7 @@ const {
   deleteAlert,
   getCircleAlertStats
 } = require('../controllers/alertController');
-const { protect } = require('../middleware/auth');
+const { protect, requireCircleTwoFactor } = require('../middleware/auth');
 const {
   validateCreateAlert,
   validateObjectId
@@ -32,6 +36,7 @@ router.get('/', getMyAlerts);
 router.get('/escalation-needed', getAlertsNeedingEscalation);
 
 // Circle alerts
+router.use('/circle/:circleId', requireCircleTwoFactor('circleId'));
 router.get('/circle/:circleId', validateObjectId('circleId'), getCircleAlerts);
 router.get('/circle/:circleId/active', validateObjectId('circleId'), getCircleActiveAlerts);
 router.get('/circle/:circleId/stats', validateObjectId('circleId'), getCircleAlertStats);
@@ -39,6 +44,10 @@ router.get('/circle/:circleId/stats', validateObjectId('circleId'), getCircleAle
 // Alert CRUD
 router.post('/', validateCreateAlert, createAlert);
 router.get('/:id', validateObjectId('id'), getAlertById);
+router.get('/:id/trail', validateObjectId('id'), getAlertTrail);
+router.get('/:id/timeline', validateObjectId('id'), getAlertTimeline);
+router.get('/:id/report', validateObjectId('id'), getAlertReport);
+router.get('/:id/responders', validateObjectId('id'), getAlertResponders);
 router.delete('/:id', validateObjectId('id'), deleteAlert);
 
 // Alert actions
@@ -10,19 +10,64 @@ const {
   logout,
   refreshToken,
   getMe,
-  updatePassword
+  updatePassword,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  getDuressPinStatus,
+  setDuressPin,
+  removeDuressPin
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const { protect, verifyRefreshToken } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateDuressPin,
+  validateObjectId
+} = require('../middleware/validation');
 
 // Public routes
 router.post('/register', validateRegister, register);
 router.post('/login', validateLogin, login);
 router.post('/refresh', verifyRefreshToken, refreshToken);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+router.post('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
 router.put('/updatepassword', protect, updatePassword);
+router.post('/resend-verification', protect, resendVerification);
+
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Duress PIN
+router.get('/duress-pin', protect, getDuressPinStatus);
+router.put('/duress-pin', protect, validateDuressPin, setDuressPin);
+router.delete('/duress-pin', protect, removeDuressPin);
+
+// Signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validateObjectId('id'), revokeSession);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 // File: server/routes/checkInRoutes.js
 // Purpose: Define check-in routes
-// Dependencies: express, checkInController, middleware
+// Dependencies: express, checkInController, checkInScheduleController, middleware
 
 const express = require('express');
 const router = express.Router();
@@ -13,14 +13,27 @@ const {
   createCheckIn,
   completeCheckIn,
   cancelCheckIn,
+  extendCheckIn,
   updateCheckInLocation,
   acknowledgeCheckIn,
   getOverdueCheckIns,
   deleteCheckIn
 } = require('../controllers/checkInController');
-const { protect } = require('../middleware/auth');
+const {
+  getMySchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  skipOccurrence,
+  unskipOccurrence,
+  pauseSchedule,
+  resumeSchedule
+} = require('../controllers/checkInScheduleController');
+const { protect, requireCircleTwoFactor } = require('../middleware/auth');
 const {
   validateCreateCheckIn,
+  validateExtendCheckIn,
+  validateCheckInSchedule,
   validateObjectId
 } = require('../middleware/validation');
 
@@ -32,7 +45,18 @@ router.get('/', getMyCheckIns);
 router.get('/active', getMyActiveCheckIns);
 router.get('/overdue', getOverdueCheckIns);
 
+// Recurring check-in schedules
+router.get('/schedules', getMySchedules);
+router.post('/schedules', validateCheckInSchedule, createSchedule);
+router.put('/schedules/:scheduleId', validateObjectId('scheduleId'), validateCheckInSchedule, updateSchedule);
+router.delete('/schedules/:scheduleId', validateObjectId('scheduleId'), deleteSchedule);
+router.post('/schedules/:scheduleId/skip', validateObjectId('scheduleId'), skipOccurrence);
+router.delete('/schedules/:scheduleId/skip/:date', validateObjectId('scheduleId'), unskipOccurrence);
+router.post('/schedules/:scheduleId/pause', validateObjectId('scheduleId'), pauseSchedule);
+router.post('/schedules/:scheduleId/resume', validateObjectId('scheduleId'), resumeSchedule);
+
 // Circle check-ins
+router.use('/circle/:circleId', requireCircleTwoFactor('circleId'));
 router.get('/circle/:circleId', validateObjectId('circleId'), getCircleCheckIns);
 router.get('/circle/:circleId/active', validateObjectId('circleId'), getCircleActiveCheckIns);
 
@@ -44,6 +68,7 @@ router.delete('/:id', validateObjectId('id'), deleteCheckIn);
 // Check-in actions
 router.put('/:id/complete', validateObjectId('id'), completeCheckIn);
 router.put('/:id/cancel', validateObjectId('id'), cancelCheckIn);
+router.put('/:id/extend', validateObjectId('id'), validateExtendCheckIn, extendCheckIn);
 router.put('/:id/location', validateObjectId('id'), updateCheckInLocation);
 router.post('/:id/acknowledge', validateObjectId('id'), acknowledgeCheckIn);
 
@@ -16,33 +16,102 @@ const {
   removeMember,
   updateMemberRole,
   regenerateInviteCode,
-  getCircleMembers
+  getCircleMembers,
+  getCirclePresence
 } = require('../controllers/circleController');
-const { protect } = require('../middleware/auth');
+const {
+  getPendingInvites,
+  resendInvite,
+  revokeInvite
+} = require('../controllers/inviteController');
+const {
+  getCircleJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  getMyJoinRequests,
+  cancelJoinRequest
+} = require('../controllers/joinRequestController');
+const {
+  getCirclePlaces,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  updateGeofencePreferences,
+  getGeofenceHistory
+} = require('../controllers/placeController');
+const {
+  getCircleMessages,
+  sendMessage,
+  markMessagesRead,
+  deleteMessage
+} = require('../controllers/messageController');
+const { getCircleAuditLog } = require('../controllers/auditController');
+const { protect, requireVerified, requireCircleTwoFactor } = require('../middleware/auth');
 const {
   validateCreateCircle,
+  validateCreatePlace,
   validateEmailInvite,
+  validateSendMessage,
   validateObjectId
 } = require('../middleware/validation');
 
 // All routes are protected
 router.use(protect);
 
+// Own join requests (before /:id routes)
+router.get('/requests/mine', getMyJoinRequests);
+router.delete('/requests/:requestId', validateObjectId('requestId'), cancelJoinRequest);
+
 // Circle CRUD
 router.get('/', getMyCircles);
-router.post('/', validateCreateCircle, createCircle);
+router.post('/', requireVerified, validateCreateCircle, createCircle);
+
+// Joining and leaving stay open to members without two-factor authentication
+router.post('/join/:inviteCode', joinCircleByCode);
+router.post('/:id/leave', validateObjectId('id'), leaveCircle);
+
+// Every other circle route is closed to members without two-factor authentication
+// when the circle requires it
+router.use('/:id', requireCircleTwoFactor('id'));
+
 router.get('/:id', validateObjectId('id'), getCircleById);
 router.put('/:id', validateObjectId('id'), updateCircle);
 router.delete('/:id', validateObjectId('id'), deleteCircle);
 
 // Circle members
 router.get('/:id/members', validateObjectId('id'), getCircleMembers);
+router.get('/:id/presence', validateObjectId('id'), getCirclePresence);
 router.post('/:id/invite', validateObjectId('id'), validateEmailInvite, inviteToCircle);
-router.post('/join/:inviteCode', joinCircleByCode);
-router.post('/:id/leave', validateObjectId('id'), leaveCircle);
 router.delete('/:id/members/:userId', validateObjectId('id'), validateObjectId('userId'), removeMember);
 router.put('/:id/members/:userId/role', validateObjectId('id'), validateObjectId('userId'), updateMemberRole);
 
+// Join requests (circles requiring approval)
+router.get('/:id/requests', validateObjectId('id'), getCircleJoinRequests);
+router.post('/:id/requests/:requestId/approve', validateObjectId('id'), validateObjectId('requestId'), approveJoinRequest);
+router.post('/:id/requests/:requestId/reject', validateObjectId('id'), validateObjectId('requestId'), rejectJoinRequest);
+
+// Places (geofences)
+router.get('/:id/places', validateObjectId('id'), getCirclePlaces);
+router.post('/:id/places', validateObjectId('id'), validateCreatePlace, createPlace);
+router.put('/:id/places/:placeId', validateObjectId('id'), validateObjectId('placeId'), updatePlace);
+router.delete('/:id/places/:placeId', validateObjectId('id'), validateObjectId('placeId'), deletePlace);
+router.put('/:id/geofencing', validateObjectId('id'), updateGeofencePreferences);
+router.get('/:id/geofence-history', validateObjectId('id'), getGeofenceHistory);
+
+// Group chat and alert threads
+router.get('/:id/messages', validateObjectId('id'), getCircleMessages);
+router.post('/:id/messages', validateObjectId('id'), validateSendMessage, sendMessage);
+router.post('/:id/messages/read', validateObjectId('id'), markMessagesRead);
+router.delete('/:id/messages/:messageId', validateObjectId('id'), validateObjectId('messageId'), deleteMessage);
+
+// Audit log
+router.get('/:id/audit', validateObjectId('id'), getCircleAuditLog);
+
+// Pending email invites
+router.get('/:id/invites', validateObjectId('id'), getPendingInvites);
+router.post('/:id/invites/:inviteId/resend', validateObjectId('id'), validateObjectId('inviteId'), resendInvite);
+router.delete('/:id/invites/:inviteId', validateObjectId('id'), validateObjectId('inviteId'), revokeInvite);
+
 // Invite code management
 router.post('/:id/regenerate-code', validateObjectId('id'), regenerateInviteCode);
 
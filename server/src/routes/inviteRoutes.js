@@ -0,0 +1,12 @@
+// File: server/routes/inviteRoutes.js
+// Purpose: Define public invite link routes
+// Dependencies: express, inviteController
+
+const express = require('express');
+const router = express.Router();
+const { getInvitePreview } = require('../controllers/inviteController');
+
+// Access is granted by the signed invite token itself
+router.get('/:token', getInvitePreview);
+
+module.exports = router;
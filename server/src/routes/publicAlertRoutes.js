@@ -0,0 +1,16 @@
+// File: server/routes/publicAlertRoutes.js
+// Purpose: Define public alert status routes for emergency contacts (no account required)
+// Dependencies: express, alertController
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAlertStatusByToken,
+  respondToAlertByToken
+} = require('../controllers/alertController');
+
+// Access is granted by the link token itself
+router.get('/:token', getAlertStatusByToken);
+router.post('/:token/respond', respondToAlertByToken);
+
+module.exports = router;
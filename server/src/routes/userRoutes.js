@@ -10,11 +10,18 @@ const {
   updatePrivacySettings,
   updateLocation,
   toggleLocationSharing,
+  getLocationHistory,
   addEmergencyContact,
+  getEmergencyContactPreferences,
+  updateEmergencyContactPreferences,
   updateEmergencyContact,
   deleteEmergencyContact,
+  getVapidPublicKey,
+  addPushSubscription,
+  removePushSubscription,
   getUserById
 } = require('../controllers/userController');
+const { getMyAuditLog } = require('../controllers/auditController');
 const { protect } = require('../middleware/auth');
 const { validateUpdateProfile, validateObjectId } = require('../middleware/validation');
 
@@ -28,15 +35,28 @@ router.put('/profile', validateUpdateProfile, updateProfile);
 // Privacy settings
 router.put('/privacy', updatePrivacySettings);
 
+// Account audit log
+router.get('/me/audit', getMyAuditLog);
+
 // Location routes
 router.put('/location', updateLocation);
 router.put('/location/sharing', toggleLocationSharing);
 
 // Emergency contacts
 router.post('/emergency-contacts', addEmergencyContact);
+router.get('/emergency-contacts/preferences', getEmergencyContactPreferences);
+router.put('/emergency-contacts/preferences', updateEmergencyContactPreferences);
 router.put('/emergency-contacts/:contactId', updateEmergencyContact);
 router.delete('/emergency-contacts/:contactId', deleteEmergencyContact);
 
+// Push notification subscriptions
+router.get('/push-subscriptions/vapid-public-key', getVapidPublicKey);
+router.post('/push-subscriptions', addPushSubscription);
+router.delete('/push-subscriptions', removePushSubscription);
+
+// Location history (self or circle members)
+router.get('/:userId/locations', validateObjectId('userId'), getLocationHistory);
+
 // Get user by ID (for circle members)
 router.get('/:userId', validateObjectId('userId'), getUserById);
 
@@ -1,6 +1,7 @@
 // File: server/server.js
 // Purpose: Server startup file - initialize HTTP server, Socket.io, and database
-// Dependencies: dotenv, http, socket.io, app, database connection
+// Dependencies: dotenv, http, socket.io, app, database connection, realtime backend, presence service,
+//               background jobs
 
 const dotenv = require('dotenv');
 const http = require('http');
@@ -12,6 +13,9 @@ dotenv.config();
 const app = require('./app');
 const connectDB = require('./config/db');
 const { initializeSocket } = require('./utils/socket');
+const { createRealtimeBackend, INSTANCE_ID } = require('./services/realtime');
+const { createPresenceService } = require('./services/presence');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Set port
 const PORT = process.env.PORT || 5000;
@@ -33,21 +37,41 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
+// Realtime backend shares rooms and presence between API instances (Redis or in-process)
+const realtime = createRealtimeBackend();
+const presence = createPresenceService(realtime.presence, INSTANCE_ID);
+
 // Initialize socket event handlers
-initializeSocket(io);
+initializeSocket(io, presence);
 
-// Make io accessible to routes (attach to app)
+// Make io and presence accessible to routes (attach to app)
 app.set('io', io);
+app.set('presence', presence);
+
+// Start background jobs (alert escalation, overdue check-ins, etc.)
+// unless they run in a separate worker process (src/worker.js)
+if (process.env.RUN_JOBS_IN_WORKER !== 'true') {
+  startJobs(io);
+}
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`                                                                                                                  
+// Attach the realtime backend before accepting connections, then start server
+realtime
+  .attach(io, INSTANCE_ID)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`                                                                                                                  
     Status: Running                                         
     Port: ${PORT}                                            
     Environment: ${process.env.NODE_ENV || 'development'}                           
+    Realtime: ${realtime.name}
     Time: ${new Date().toLocaleString()}                  
   `);
-});
+    });
+  })
+  .catch((err) => {
+    console.error(`Failed to start realtime backend: ${err.message}`);
+    process.exit(1);
+  });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
@@ -72,9 +96,13 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopJobs();
   server.close(() => {
     console.log('HTTP server closed');
   });
+  realtime.close().catch((err) => {
+    console.error(`Failed to close realtime backend: ${err.message}`);
+  });
 });
 
 module.exports = { server, io };
@@ -0,0 +1,55 @@
+// File: server/services/accountEmails.js
+// Purpose: Account emails - email verification and password reset links
+// Dependencies: notifications
+
+const { send } = require('./notifications');
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Email a link that verifies the user's email address
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${getClientUrl()}/verify-email/${token}`;
+
+  return send({
+    channel: 'email',
+    recipient: { address: user.email, userId: user._id.toString() },
+    message: {
+      subject: 'Verify your Community Circle email address',
+      text: [
+        `Hi ${user.name},`,
+        'Please confirm this is your email address so you can create circles and accept invitations:',
+        link,
+        `This link expires on ${new Date(user.emailVerificationExpires).toUTCString()}.`
+      ].join('\n')
+    }
+  });
+};
+
+/**
+ * Email a link that lets the user choose a new password
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${getClientUrl()}/reset-password/${token}`;
+
+  return send({
+    channel: 'email',
+    recipient: { address: user.email, userId: user._id.toString() },
+    message: {
+      subject: 'Reset your Community Circle password',
+      text: [
+        `Hi ${user.name},`,
+        'Someone asked to reset the password for your account. Choose a new password here:',
+        link,
+        `This link expires on ${new Date(user.passwordResetExpires).toUTCString()} and can only be used once.`,
+        'If this wasn\'t you, you can ignore this email - your password has not been changed.'
+      ].join('\n')
+    }
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
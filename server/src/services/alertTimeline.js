@@ -0,0 +1,213 @@
+// File: server/services/alertTimeline.js
+// Purpose: Build a single chronological, typed event stream for an alert incident
+// Dependencies: Alert model
+
+const Alert = require('../models/Alert');
+
+const ACTOR_FIELDS = 'name profilePhoto';
+
+/**
+ * Build the public summary of a populated user reference
+ */
+const toActor = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  // Unpopulated reference (e.g. the user no longer exists)
+  if (!user.name) {
+    return { id: user._id || user, name: 'Unknown user', profilePhoto: null };
+  }
+
+  return {
+    id: user._id,
+    name: user.name,
+    profilePhoto: user.profilePhoto || null
+  };
+};
+
+const describe = (actor) => (actor ? actor.name : 'System');
+
+/**
+ * Load an alert with every reference the timeline needs populated
+ */
+const loadAlertForTimeline = (alertId) =>
+  Alert.findById(alertId)
+    .populate('triggeredBy', ACTOR_FIELDS)
+    .populate('circle', 'name members')
+    .populate('resolvedBy', ACTOR_FIELDS)
+    .populate('acknowledgedBy.user', ACTOR_FIELDS)
+    .populate('activityLog.performedBy', ACTOR_FIELDS)
+    .populate('notifications.sentTo.user', ACTOR_FIELDS)
+    .populate('notifications.failedNotifications.user', ACTOR_FIELDS)
+    .populate('relatedCheckIn', 'createdAt expectedReturnTime status');
+
+/**
+ * Turn activity log entries into timeline events, enriched with the acknowledgment
+ * and resolution details stored elsewhere on the alert
+ */
+const activityEvents = (alert) => {
+  // Only a user's latest acknowledgment keeps its notes on the alert
+  const lastAckIndex = new Map();
+  alert.activityLog.forEach((entry, index) => {
+    if (entry.action === 'acknowledged' && entry.performedBy) {
+      lastAckIndex.set((entry.performedBy._id || entry.performedBy).toString(), index);
+    }
+  });
+
+  const lastResolvedIndex = alert.activityLog.map((entry) => entry.action).lastIndexOf('resolved');
+
+  return alert.activityLog.map((entry, index) => {
+    const actor = toActor(entry.performedBy);
+    const event = {
+      type: entry.action,
+      at: entry.timestamp || alert.createdAt,
+      actor,
+      summary: entry.details || `${describe(actor)} ${entry.action} the alert`,
+      data: {}
+    };
+
+    switch (entry.action) {
+      case 'created':
+        event.data = { alertType: alert.type, severity: alert.severity };
+        event.summary = `${describe(actor)} raised a ${alert.severity} ${alert.type} alert`;
+        break;
+
+      case 'acknowledged': {
+        const match = /response: (\S+)/.exec(entry.details || '');
+        const response = match ? match[1] : null;
+        event.data = { response };
+
+        const userId = actor && actor.id.toString();
+        if (userId && lastAckIndex.get(userId) === index) {
+          const ack = alert.acknowledgedBy.find(
+            (item) => item.user && (item.user._id || item.user).toString() === userId
+          );
+          if (ack && ack.notes) {
+            event.data.notes = ack.notes;
+          }
+        }
+
+        event.summary = response
+          ? `${describe(actor)} acknowledged: ${response}`
+          : `${describe(actor)} acknowledged the alert`;
+        break;
+      }
+
+      case 'resolved':
+        if (entry.details === 'Marked as false alarm') {
+          event.type = 'false-alarm';
+          event.summary = `${describe(actor)} marked the alert as a false alarm`;
+        } else if (index === lastResolvedIndex) {
+          event.data = {
+            resolutionStatus: alert.resolutionStatus,
+            notes: alert.resolutionNotes || null
+          };
+          event.summary = `${describe(actor)} resolved the alert as ${alert.resolutionStatus}`;
+        }
+        break;
+
+      case 'escalated':
+        event.summary = entry.details || 'The alert was escalated';
+        break;
+
+      default:
+        break;
+    }
+
+    return event;
+  });
+};
+
+/**
+ * Turn delivery records into timeline events
+ */
+const notificationEvents = (alert) => {
+  const { sentTo = [], failedNotifications = [] } = alert.notifications || {};
+
+  const deliveries = sentTo.map((delivery) => {
+    const recipient = toActor(delivery.user);
+    const failed = delivery.status === 'failed';
+
+    return {
+      type: failed ? 'delivery-failed' : 'notified',
+      at: delivery.sentAt,
+      actor: null,
+      recipient,
+      channel: delivery.channel,
+      summary: failed
+        ? `Gave up notifying ${describe(recipient)} via ${delivery.channel}`
+        : `${describe(recipient)} was notified via ${delivery.channel}`,
+      data: { status: delivery.status }
+    };
+  });
+
+  const attempts = failedNotifications.map((failure) => {
+    const recipient = toActor(failure.user);
+
+    return {
+      type: 'delivery-attempt-failed',
+      at: failure.attemptedAt,
+      actor: null,
+      recipient,
+      channel: failure.channel,
+      summary: `Notifying ${describe(recipient)} via ${failure.channel} failed`,
+      data: { error: failure.error }
+    };
+  });
+
+  return [...deliveries, ...attempts];
+};
+
+/**
+ * Turn the related check-in (overdue alerts) into timeline events
+ */
+const checkInEvents = (alert) => {
+  const checkIn = alert.relatedCheckIn;
+
+  if (!checkIn || !checkIn.createdAt) {
+    return [];
+  }
+
+  const triggeredBy = toActor(alert.triggeredBy);
+
+  return [
+    {
+      type: 'check-in-started',
+      at: checkIn.createdAt,
+      actor: triggeredBy,
+      summary: `${describe(triggeredBy)} started a check-in`,
+      data: { checkInId: checkIn._id, expectedReturnTime: checkIn.expectedReturnTime }
+    },
+    {
+      type: 'check-in-due',
+      at: checkIn.expectedReturnTime,
+      actor: null,
+      summary: `${describe(triggeredBy)} was expected back`,
+      data: { checkInId: checkIn._id }
+    }
+  ];
+};
+
+/**
+ * Build the chronologically ordered event stream of a populated alert
+ * (see loadAlertForTimeline). Events at the same instant keep their source order.
+ */
+const buildAlertTimeline = (alert) => {
+  const events = [...checkInEvents(alert), ...activityEvents(alert), ...notificationEvents(alert)];
+
+  return events
+    .map((event, order) => ({ event, order }))
+    .sort((a, b) => new Date(a.event.at) - new Date(b.event.at) || a.order - b.order)
+    .map(({ event }) => ({
+      recipient: null,
+      channel: null,
+      ...event,
+      at: new Date(event.at)
+    }));
+};
+
+module.exports = {
+  loadAlertForTimeline,
+  buildAlertTimeline
+};
@@ -0,0 +1,47 @@
+// File: server/services/audit.js
+// Purpose: Record security-relevant actions in the audit log
+// Dependencies: AuditLog model
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Reduce two snapshots to the fields that changed between them
+ */
+const diffChanges = (before = {}, after = {}) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = { before: {}, after: {} };
+
+  keys.forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key] ?? null;
+      changes.after[key] = after[key] ?? null;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an action performed by the request's user (or by `actor`, on public routes).
+ * A failed write is logged rather than thrown so the action itself still succeeds.
+ */
+const recordAudit = async (req, { action, actor, circle = null, target, before, after }) => {
+  try {
+    await AuditLog.create({
+      actor: actor || req.user._id,
+      action,
+      circle,
+      target,
+      changes: diffChanges(before, after),
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry ${action}:`, error.message);
+  }
+};
+
+module.exports = {
+  diffChanges,
+  recordAudit
+};
@@ -0,0 +1,153 @@
+// File: server/services/duress.js
+// Purpose: Duress PIN handling - check confirmation secrets and raise silent alerts
+// Dependencies: Alert model, Circle model, User model, LocationPoint model, socket utils, notifications
+
+const Alert = require('../models/Alert');
+const Circle = require('../models/Circle');
+const User = require('../models/User');
+const LocationPoint = require('../models/LocationPoint');
+const { emitToCircleFromRequest } = require('../utils/socket');
+const { notifyCircleOfAlert } = require('./notifications');
+
+// Minutes of location history attached to a new alert
+const ALERT_TRAIL_MINUTES = parseInt(process.env.ALERT_TRAIL_MINUTES, 10) || 15;
+
+const DURESS_DETAILS = {
+  login: 'Duress PIN entered to sign in',
+  'alert-cancel': 'Duress PIN entered to cancel the alert',
+  'check-in': 'Duress PIN entered to complete a check-in'
+};
+
+/**
+ * Check the secret a user entered to confirm a protected action.
+ * Resolves to 'password', 'duress' or null (neither matched).
+ */
+const checkConfirmation = async (userId, secret) => {
+  if (!secret) {
+    return null;
+  }
+
+  const user = await User.findById(userId).select('+password +duressPin.hash');
+
+  if (await user.comparePassword(secret)) {
+    return 'password';
+  }
+
+  return (await user.isDuressPin(secret)) ? 'duress' : null;
+};
+
+/**
+ * Check whether a protected action must be confirmed with the password
+ * (only once a duress PIN exists, since otherwise there is nothing to tell apart)
+ */
+const requiresConfirmation = (user) => !!(user.duressPin && user.duressPin.enabled);
+
+/**
+ * Alert the circle, without the triggering user's devices hearing about it
+ */
+const notifySilently = (req, alert, circle, user, event, data) => {
+  emitToCircleFromRequest(req, circle._id, event, data, { hiddenFrom: user._id });
+
+  notifyCircleOfAlert(alert, circle, user, { escalated: event === 'alert:escalated' }).catch((err) =>
+    console.error(`Failed to queue notifications for duress alert ${alert._id}:`, err.message)
+  );
+};
+
+/**
+ * Turn an existing alert silent and escalate it to the circle
+ */
+const escalateAlert = async (req, user, alert, source) => {
+  await alert.markDuress(DURESS_DETAILS[source]);
+
+  const circle = await Circle.findById(alert.circle);
+  await alert.populate('triggeredBy', 'name email profilePhoto phone');
+  await alert.populate('circle', 'name members');
+
+  notifySilently(req, alert, circle, user, 'alert:escalated', {
+    alertId: alert._id,
+    alert,
+    escalatedAt: new Date(),
+    duress: true
+  });
+};
+
+/**
+ * Create a silent duress alert in each of the given circles
+ */
+const createAlerts = async (req, user, circleIds, { source, checkIn }) => {
+  const circles = await Circle.find({
+    _id: { $in: circleIds },
+    isActive: true,
+    members: { $elemMatch: { user: user._id, isActive: true } }
+  });
+
+  // A login carries no location of its own, so the last known one is used
+  const location = checkIn ? checkIn.location : user.lastKnownLocation;
+  const trailTo = new Date();
+  const trailFrom = new Date(trailTo.getTime() - ALERT_TRAIL_MINUTES * 60 * 1000);
+
+  for (const circle of circles) {
+    // Not counted in the circle's stats, which the user can see
+    const alert = await Alert.create({
+      triggeredBy: user._id,
+      circle: circle._id,
+      type: 'duress',
+      severity: 'critical',
+      title: 'Duress PIN entered',
+      message: `${user.name} may be acting under threat. The app looks normal on their side, so respond with care.`,
+      location: {
+        type: 'Point',
+        coordinates: location.coordinates,
+        address: location.address || ''
+      },
+      relatedCheckIn: checkIn ? checkIn._id : null,
+      locationTrail: { from: trailFrom, to: trailTo },
+      isSilent: true,
+      status: 'active',
+      priority: 5
+    });
+
+    alert.activityLog.push({
+      action: 'duress',
+      performedBy: user._id,
+      timestamp: Date.now(),
+      details: DURESS_DETAILS[source]
+    });
+    await alert.save();
+
+    await LocationPoint.pinForAlert(user._id, alert._id, trailFrom, trailTo);
+
+    await alert.populate('triggeredBy', 'name email profilePhoto phone');
+    await alert.populate('circle', 'name members');
+
+    notifySilently(req, alert, circle, user, 'alert:new', {
+      alert,
+      triggeredBy: { id: user._id, name: user.name, profilePhoto: user.profilePhoto },
+      duress: true
+    });
+  }
+};
+
+/**
+ * Raise a silent alert after a duress PIN was entered. With `alert`, that alert is kept
+ * open and escalated; otherwise a new alert is created in the check-in's circle, or in
+ * every circle of the user. Never rejects: the response must look normal regardless.
+ */
+const raiseDuressAlert = async (req, user, { source, alert = null, checkIn = null }) => {
+  try {
+    if (alert) {
+      await escalateAlert(req, user, alert, source);
+    } else {
+      const circleIds = checkIn ? [checkIn.circle] : user.circles;
+      await createAlerts(req, user, circleIds, { source, checkIn });
+    }
+  } catch (error) {
+    console.error(`Failed to raise duress alert for user ${user._id}:`, error.message);
+  }
+};
+
+module.exports = {
+  checkConfirmation,
+  requiresConfirmation,
+  raiseDuressAlert
+};
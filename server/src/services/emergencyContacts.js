@@ -0,0 +1,91 @@
+// File: server/services/emergencyContacts.js
+// Purpose: Notify a user's external emergency contacts when they raise an alert
+// Dependencies: Alert model, User model, notifications
+
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { send } = require('./notifications');
+
+/**
+ * Check whether an alert matches the user's emergency contact preferences
+ */
+const shouldNotifyContacts = (user, alert) => {
+  const preferences = user.emergencyContactPreferences;
+
+  return !!(
+    preferences &&
+    preferences.enabled &&
+    preferences.alertTypes.includes(alert.type) &&
+    preferences.severities.includes(alert.severity)
+  );
+};
+
+/**
+ * Build the message sent to an emergency contact
+ */
+const buildContactMessage = (user, alert, statusUrl) => ({
+  subject: `${user.name} needs help: ${alert.title}`,
+  text: [
+    `${user.name} listed you as an emergency contact and has just raised a ${alert.severity} ${alert.type} alert.`,
+    alert.message,
+    `Follow the live status and let them know you're responding: ${statusUrl}`
+  ]
+    .filter(Boolean)
+    .join('\n'),
+  data: {
+    alertId: alert._id.toString()
+  }
+});
+
+/**
+ * Create a status link for each emergency contact and send it by email and SMS
+ */
+const notifyEmergencyContacts = async (alert, userId) => {
+  const user = await User.findById(userId).select(
+    'name emergencyContacts emergencyContactPreferences'
+  );
+
+  if (!user || user.emergencyContacts.length === 0 || !shouldNotifyContacts(user, alert)) {
+    return;
+  }
+
+  const ttlHours = parseInt(process.env.EMERGENCY_LINK_TTL_HOURS) || 72;
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  // Links are created first so the tokens are stored before anything is sent
+  const doc = await Alert.findById(alert._id);
+  const deliveries = user.emergencyContacts.map((contact) => {
+    const { token, link } = doc.createContactLink(contact, ttlHours);
+    return { contact, link, statusUrl: `${clientUrl}/alert-status/${token}` };
+  });
+  await doc.save();
+
+  deliveries.forEach(({ contact, link, statusUrl }) => {
+    const message = buildContactMessage(user, alert, statusUrl);
+    const channels = [
+      ['sms', contact.phone],
+      ['email', contact.email]
+    ];
+
+    channels.forEach(([channel, address]) => {
+      if (!address) {
+        return;
+      }
+
+      send({
+        channel,
+        recipient: { address },
+        message,
+        onDelivered: () =>
+          Alert.updateOne(
+            { _id: alert._id, 'emergencyContactLinks._id': link._id },
+            { $addToSet: { 'emergencyContactLinks.$.notifiedVia': channel } }
+          )
+      });
+    });
+  });
+};
+
+module.exports = {
+  notifyEmergencyContacts
+};
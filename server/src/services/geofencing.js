@@ -0,0 +1,132 @@
+// File: server/services/geofencing.js
+// Purpose: Detect members entering and leaving circle places on location updates
+// Dependencies: Circle model, Place model, GeofenceTransition model, socket utils
+
+const Circle = require('../models/Circle');
+const Place = require('../models/Place');
+const GeofenceTransition = require('../models/GeofenceTransition');
+const { emitToCircle } = require('../utils/socket');
+
+/**
+ * Convert HH:mm to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a time zone name is valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a date falls inside the member's quiet hours (which may span midnight)
+ */
+const isWithinQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+
+  const now = toMinutes(localTime);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start <= end) {
+    return now >= start && now < end;
+  }
+  return now >= start || now < end;
+};
+
+/**
+ * Compare a member's new location with every place in their opted-in circles,
+ * record enter/exit transitions and notify the circle (outside quiet hours).
+ * Returns the transitions recorded.
+ */
+const processLocationUpdate = async (io, user, point) => {
+  const circles = await Circle.find({
+    _id: { $in: user.circles },
+    isActive: true,
+    members: {
+      $elemMatch: { user: user._id, isActive: true, 'geofencing.enabled': true }
+    }
+  });
+
+  if (circles.length === 0) {
+    return [];
+  }
+
+  const circlesById = new Map(circles.map((circle) => [circle._id.toString(), circle]));
+  const places = await Place.findActiveByCircles(circles.map((circle) => circle._id));
+  const userId = user._id.toString();
+  const transitions = [];
+
+  for (const place of places) {
+    const isInside = place.containsPoint(point);
+    const wasInside = place.occupants.some((occupant) => occupant.toString() === userId);
+
+    if (isInside === wasInside) {
+      continue;
+    }
+
+    // Atomic state change - concurrent updates produce a single transition
+    const changed = isInside
+      ? await Place.markEntered(place._id, user._id)
+      : await Place.markExited(place._id, user._id);
+
+    if (!changed) {
+      continue;
+    }
+
+    const circle = circlesById.get(place.circle.toString());
+    const member = circle.getMember(user._id);
+    const suppressed = isWithinQuietHours(member.geofencing.quietHours);
+    const type = isInside ? 'enter' : 'exit';
+
+    const transition = await GeofenceTransition.create({
+      place: place._id,
+      circle: circle._id,
+      user: user._id,
+      type,
+      location: { type: 'Point', coordinates: point },
+      suppressed
+    });
+    transitions.push(transition);
+
+    if (!suppressed && io) {
+      emitToCircle(io, circle._id.toString(), `geofence:${type}`, {
+        placeId: place._id,
+        placeName: place.name,
+        category: place.category,
+        user: {
+          id: user._id,
+          name: user.name,
+          profilePhoto: user.profilePhoto
+        },
+        occurredAt: transition.occurredAt
+      });
+    }
+  }
+
+  return transitions;
+};
+
+module.exports = {
+  isValidTimeZone,
+  isWithinQuietHours,
+  processLocationUpdate
+};
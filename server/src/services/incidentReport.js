@@ -0,0 +1,219 @@
+// File: server/services/incidentReport.js
+// Purpose: Build incident reports for closed alerts as JSON or PDF, with a content hash for integrity
+// Dependencies: crypto, pdfkit, LocationPoint model, alertTimeline service
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const LocationPoint = require('../models/LocationPoint');
+const { buildAlertTimeline } = require('./alertTimeline');
+
+const REPORT_VERSION = 1;
+const HASH_ALGORITHM = 'sha256';
+
+// Alert statuses a report can be generated for
+const REPORTABLE_STATUSES = ['resolved', 'false-alarm', 'cancelled'];
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair into a readable position
+ */
+const toPosition = (coordinates = []) => ({
+  latitude: coordinates[1] ?? null,
+  longitude: coordinates[0] ?? null
+});
+
+const toUser = (user) => (user ? { id: user._id, name: user.name || 'Unknown user' } : null);
+
+/**
+ * Hash the report content. The content is hashed exactly as it is serialised in
+ * the JSON report, so anyone holding the JSON can recompute it.
+ */
+const hashContent = (content) =>
+  crypto.createHash(HASH_ALGORITHM).update(JSON.stringify(content)).digest('hex');
+
+/**
+ * Build the report for an alert loaded with loadAlertForTimeline.
+ * Only `content` is covered by the hash; generation details are not, so the same
+ * incident always produces the same hash.
+ */
+const buildIncidentReport = async (alert, generatedBy) => {
+  const trail = alert.locationTrail?.from
+    ? await LocationPoint.findTrail(alert.triggeredBy._id, alert.locationTrail.from, alert.locationTrail.to)
+    : [];
+
+  const content = JSON.parse(
+    JSON.stringify({
+      reportVersion: REPORT_VERSION,
+      alert: {
+        id: alert._id,
+        type: alert.type,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message || '',
+        status: alert.status,
+        triggeredAt: alert.createdAt,
+        triggeredBy: toUser(alert.triggeredBy),
+        circle: { id: alert.circle._id, name: alert.circle.name },
+        location: {
+          ...toPosition(alert.location.coordinates),
+          accuracy: alert.location.accuracy ?? null,
+          address: alert.location.address || ''
+        }
+      },
+      resolution: {
+        status: alert.resolutionStatus || null,
+        notes: alert.resolutionNotes || '',
+        resolvedAt: alert.resolvedAt || null,
+        resolvedBy: toUser(alert.resolvedBy)
+      },
+      locationTrail: {
+        from: alert.locationTrail?.from || null,
+        to: alert.locationTrail?.to || null,
+        points: trail.map((point) => ({
+          recordedAt: point.recordedAt,
+          ...toPosition(point.location.coordinates),
+          accuracy: point.accuracy ?? null,
+          source: point.source
+        }))
+      },
+      timeline: buildAlertTimeline(alert)
+    })
+  );
+
+  return {
+    generatedAt: new Date(),
+    generatedBy: toUser(generatedBy),
+    content,
+    integrity: {
+      algorithm: HASH_ALGORITHM,
+      hash: hashContent(content)
+    }
+  };
+};
+
+const formatTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-');
+
+const formatNumber = (value, digits) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+
+/**
+ * Render a report built by buildIncidentReport as a PDF. Resolves to a Buffer.
+ */
+const renderIncidentReportPdf = (report) =>
+  new Promise((resolve, reject) => {
+    const { content, integrity } = report;
+    const { alert, resolution, locationTrail, timeline } = content;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Incident report ${alert.id}` } });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Start a new page when fewer than `space` points are left on this one
+    const ensureSpace = (space) => {
+      if (doc.y + space > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+    };
+
+    const heading = (text) => {
+      ensureSpace(40);
+      doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text, left).moveDown(0.3);
+      doc.font('Helvetica').fontSize(10);
+    };
+
+    const field = (label, value) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, left, undefined, { continued: true });
+      doc.font('Helvetica').text(value === null || value === undefined || value === '' ? '-' : String(value));
+    };
+
+    const row = (columns, widths, bold = false) => {
+      ensureSpace(14);
+      const y = doc.y;
+      let x = left;
+
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      columns.forEach((text, index) => {
+        doc.text(text, x, y, { width: widths[index] - 6, lineBreak: false, ellipsis: true });
+        x += widths[index];
+      });
+      doc.x = left;
+      doc.y = y + 13;
+    };
+
+    // Title
+    doc.font('Helvetica-Bold').fontSize(18).text('Incident Report', left);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Alert ${alert.id} - generated ${formatTime(report.generatedAt)}${report.generatedBy ? ` by ${report.generatedBy.name}` : ''}`)
+      .fillColor('#000000');
+
+    heading('Alert details');
+    field('Title', alert.title);
+    field('Type', alert.type);
+    field('Severity', alert.severity);
+    field('Status', alert.status);
+    field('Triggered by', alert.triggeredBy?.name);
+    field('Circle', alert.circle.name);
+    field('Triggered at', formatTime(alert.triggeredAt));
+    field('Location', `${formatNumber(alert.location.latitude, 6)}, ${formatNumber(alert.location.longitude, 6)}`);
+    field('Accuracy (m)', formatNumber(alert.location.accuracy, 0));
+    field('Address', alert.location.address);
+    field('Message', alert.message);
+
+    heading('Resolution');
+    field('Resolution status', resolution.status);
+    field('Resolved at', formatTime(resolution.resolvedAt));
+    field('Resolved by', resolution.resolvedBy?.name);
+    field('Notes', resolution.notes);
+
+    heading('Location trail');
+    if (locationTrail.points.length === 0) {
+      doc.text('No location history was recorded for this alert.', left);
+    } else {
+      doc.text(`${locationTrail.points.length} points from ${formatTime(locationTrail.from)} to ${formatTime(locationTrail.to)}`, left).moveDown(0.3);
+
+      const widths = [0.3, 0.2, 0.2, 0.15, 0.15].map((share) => share * width);
+      row(['Recorded at', 'Latitude', 'Longitude', 'Accuracy (m)', 'Source'], widths, true);
+      locationTrail.points.forEach((point) => {
+        row(
+          [
+            formatTime(point.recordedAt),
+            formatNumber(point.latitude, 6),
+            formatNumber(point.longitude, 6),
+            formatNumber(point.accuracy, 0),
+            point.source || '-'
+          ],
+          widths
+        );
+      });
+    }
+
+    heading('Timeline');
+    timeline.forEach((event) => {
+      ensureSpace(28);
+      doc.font('Helvetica-Bold').fontSize(9).text(formatTime(event.at), left, undefined, { continued: true });
+      doc.font('Helvetica').text(`  ${event.summary}`);
+
+      if (event.data && event.data.notes) {
+        doc.fillColor('#555555').text(`Notes: ${event.data.notes}`, left + 20).fillColor('#000000');
+      }
+    });
+
+    heading('Integrity');
+    doc.text(
+      `${integrity.algorithm.toUpperCase()} of the report content (the "content" field of the JSON export):`,
+      left
+    );
+    doc.font('Courier').fontSize(9).text(integrity.hash, left);
+
+    doc.end();
+  });
+
+module.exports = {
+  REPORTABLE_STATUSES,
+  buildIncidentReport,
+  renderIncidentReportPdf
+};
@@ -0,0 +1,120 @@
+// File: server/services/invites.js
+// Purpose: Signed circle invite links - token signing, email delivery and acceptance
+// Dependencies: jsonwebtoken, Circle model, User model, notifications
+
+const jwt = require('jsonwebtoken');
+const Circle = require('../models/Circle');
+const User = require('../models/User');
+const { send } = require('./notifications');
+
+const getInviteSecret = () => process.env.JWT_INVITE_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign an invite link token that expires together with the invite
+ */
+const createInviteToken = (circle, invite) =>
+  jwt.sign(
+    {
+      circleId: circle._id.toString(),
+      inviteId: invite._id.toString(),
+      email: invite.email,
+      exp: Math.floor(new Date(invite.expiresAt).getTime() / 1000)
+    },
+    getInviteSecret()
+  );
+
+/**
+ * Verify an invite link token and load its circle and pending invite.
+ * Resolves to null if the token is invalid, expired, or the invite was revoked.
+ */
+const resolveInviteToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getInviteSecret());
+  } catch (err) {
+    return null;
+  }
+
+  const circle = await Circle.findOne({ _id: decoded.circleId, isActive: true });
+  if (!circle) {
+    return null;
+  }
+
+  const invite = circle.pendingInvites.id(decoded.inviteId);
+  if (!invite || invite.email !== decoded.email || invite.expiresAt < Date.now()) {
+    return null;
+  }
+
+  return { circle, invite };
+};
+
+/**
+ * Email the invite link to the invited address
+ */
+const sendInviteEmail = (circle, invite, inviter) => {
+  const token = createInviteToken(circle, invite);
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const link = `${clientUrl}/invite/${token}`;
+
+  return send({
+    channel: 'email',
+    recipient: { address: invite.email },
+    message: {
+      subject: `${inviter.name} invited you to join ${circle.name} on Community Circle`,
+      text: [
+        `${inviter.name} invited you to join the safety circle "${circle.name}".`,
+        'Members of a circle are alerted when someone needs help and can see each other\'s check-ins.',
+        `Accept the invitation: ${link}`,
+        `This invitation expires on ${new Date(invite.expiresAt).toUTCString()}.`
+      ].join('\n'),
+      data: {
+        circleId: circle._id.toString()
+      }
+    }
+  });
+};
+
+/**
+ * Add a user to every circle with a valid pending invite for their email.
+ * Returns the circles joined.
+ */
+const acceptPendingInvites = async (user) => {
+  const circles = await Circle.find({
+    isActive: true,
+    pendingInvites: {
+      $elemMatch: { email: user.email, expiresAt: { $gt: Date.now() } }
+    }
+  });
+
+  const joined = [];
+
+  for (const circle of circles) {
+    // The invite stays pending until the user enables two-factor authentication
+    if (circle.requiresTwoFactorFrom(user)) {
+      continue;
+    }
+
+    try {
+      circle.pendingInvites = circle.pendingInvites.filter(
+        (invite) => invite.email !== user.email
+      );
+      await circle.addMember(user._id);
+      await User.findByIdAndUpdate(user._id, {
+        $addToSet: { circles: circle._id }
+      });
+      joined.push({ id: circle._id, name: circle.name });
+    } catch (err) {
+      // e.g. the circle is full - leave the user out of this one
+      console.error(`Could not accept invite to circle ${circle._id}:`, err.message);
+    }
+  }
+
+  return joined;
+};
+
+module.exports = {
+  createInviteToken,
+  resolveInviteToken,
+  sendInviteEmail,
+  acceptPendingInvites
+};
@@ -0,0 +1,65 @@
+// File: server/services/journeys.js
+// Purpose: Tell a circle about journey check-in progress, deviations and arrival
+// Dependencies: socket utils
+
+const { emitToCircle, emitTransientToCircle } = require('../utils/socket');
+
+/**
+ * Emit a deviation warning for a journey
+ */
+const emitJourneyWarning = (io, checkIn, user, warning) => {
+  emitToCircle(io, checkIn.circle.toString(), 'checkin:deviation', {
+    checkInId: checkIn._id,
+    userId: user._id,
+    user: { id: user._id, name: user.name, profilePhoto: user.profilePhoto },
+    warning: {
+      type: warning.type,
+      details: warning.details,
+      coordinates: warning.coordinates,
+      raisedAt: warning.raisedAt
+    }
+  });
+};
+
+/**
+ * Emit the progress of a journey after a location update ({ arrived, warning } from
+ * CheckIn#trackJourney), plus any new deviation warning and the arrival.
+ * Progress is sent on every location update, so it stays out of the circle's event log;
+ * deviations and the arrival are logged for replay.
+ */
+const emitJourneyUpdate = (io, checkIn, user, { arrived, warning }) => {
+  if (!io) {
+    return;
+  }
+
+  const { journey } = checkIn;
+
+  emitTransientToCircle(io, checkIn.circle.toString(), 'checkin:progress', {
+    checkInId: checkIn._id,
+    userId: user._id,
+    progress: journey.progress,
+    remainingDistance: journey.remainingDistance,
+    eta: journey.eta,
+    expectedReturnTime: checkIn.expectedReturnTime,
+    deviation: journey.deviation.type
+  });
+
+  if (warning) {
+    emitJourneyWarning(io, checkIn, user, warning);
+  }
+
+  if (arrived && checkIn.notifications.notifyOnComplete) {
+    emitToCircle(io, checkIn.circle.toString(), 'checkin:completed', {
+      checkInId: checkIn._id,
+      userId: user._id,
+      completionStatus: checkIn.completionStatus,
+      completedAt: checkIn.completedAt,
+      arrivedAt: journey.arrivedAt
+    });
+  }
+};
+
+module.exports = {
+  emitJourneyWarning,
+  emitJourneyUpdate
+};
@@ -0,0 +1,235 @@
+// File: server/services/notifications/index.js
+// Purpose: Notification dispatcher - routes messages to email, SMS and push providers with retries
+// Dependencies: providers, retry queue, Alert model, User model
+
+const Alert = require('../../models/Alert');
+const User = require('../../models/User');
+const createRetryQueue = require('./retryQueue');
+const createConsoleProvider = require('./providers/consoleProvider');
+const createEmailProvider = require('./providers/emailProvider');
+const createSmsProvider = require('./providers/smsProvider');
+const createPushProvider = require('./providers/pushProvider');
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+const liveProviders = {
+  email: createEmailProvider(),
+  sms: createSmsProvider(),
+  push: createPushProvider()
+};
+
+const standInProviders = {
+  email: createConsoleProvider('email'),
+  sms: createConsoleProvider('sms'),
+  push: createConsoleProvider('push')
+};
+
+const queue = createRetryQueue({
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS) || 5000
+});
+
+/**
+ * Get the provider for a channel.
+ * NOTIFICATION_PROVIDER=console forces the stand-in; otherwise the live provider is
+ * used when configured, falling back to the stand-in outside production.
+ */
+const getProvider = (channel) => {
+  if (process.env.NOTIFICATION_PROVIDER === 'console') {
+    return standInProviders[channel];
+  }
+
+  if (liveProviders[channel].isConfigured()) {
+    return liveProviders[channel];
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return standInProviders[channel];
+  }
+
+  return null;
+};
+
+/**
+ * Get the channels enabled through NOTIFICATION_CHANNELS (defaults to all)
+ */
+const getEnabledChannels = () => {
+  if (!process.env.NOTIFICATION_CHANNELS) {
+    return CHANNELS;
+  }
+  return process.env.NOTIFICATION_CHANNELS
+    .split(',')
+    .map((channel) => channel.trim())
+    .filter((channel) => CHANNELS.includes(channel));
+};
+
+/**
+ * Get a user's address for a channel, or null if they can't be reached on it
+ */
+const getUserAddress = (user, channel) => {
+  switch (channel) {
+    case 'email':
+      return user.email || null;
+    case 'sms':
+      return user.phone || null;
+    case 'push':
+      return user.pushSubscriptions && user.pushSubscriptions.length > 0
+        ? user.pushSubscriptions
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Queue a single message for delivery.
+ * The optional hooks receive the outcome of each attempt so callers can record it.
+ */
+const send = ({ channel, recipient, message, onDelivered, onAttemptFailed, onGiveUp }) => {
+  const provider = getProvider(channel);
+
+  if (!provider) {
+    return false;
+  }
+
+  queue.enqueue({
+    task: () => provider.send(recipient, message),
+    onSuccess: onDelivered,
+    onAttemptFailed,
+    onGiveUp: async (error) => {
+      console.error(
+        `Notification via ${channel} to ${recipient.userId || recipient.address} failed: ${error.message}`
+      );
+      if (onGiveUp) {
+        await onGiveUp(error);
+      }
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Build the message sent to circle members for an alert
+ */
+const buildAlertMessage = (alert, circle, triggeredBy, { escalated = false } = {}) => {
+  const [longitude, latitude] = alert.location.coordinates;
+  const prefix = escalated ? 'ESCALATED: ' : '';
+  const mapLink = `https://maps.google.com/?q=${latitude},${longitude}`;
+
+  const lines = [
+    `${triggeredBy.name} raised a ${alert.severity} ${alert.type} alert in ${circle.name}.`,
+    alert.title,
+    alert.message,
+    alert.location.address ? `Location: ${alert.location.address}` : null,
+    mapLink
+  ].filter(Boolean);
+
+  return {
+    subject: `${prefix}${alert.title}`,
+    text: `${prefix}${lines.join('\n')}`,
+    data: {
+      alertId: alert._id.toString(),
+      circleId: circle._id.toString(),
+      type: alert.type,
+      severity: alert.severity,
+      escalated
+    }
+  };
+};
+
+/**
+ * Queue the alert message to a set of users on every channel they can be reached on
+ */
+const sendAlertToUsers = (alert, users, message) => {
+  const channels = getEnabledChannels();
+
+  users.forEach((user) => {
+    channels.forEach((channel) => {
+      const address = getUserAddress(user, channel);
+      if (!address) {
+        return;
+      }
+
+      send({
+        channel,
+        recipient: { userId: user._id, address },
+        message,
+        onDelivered: () => Alert.recordDelivery(alert._id, user._id, channel, 'sent'),
+        onAttemptFailed: (error, attempt) =>
+          Alert.recordDeliveryFailure(
+            alert._id,
+            user._id,
+            channel,
+            `Attempt ${attempt}/${queue.maxAttempts}: ${error.message}`
+          ),
+        onGiveUp: () => Alert.recordDelivery(alert._id, user._id, channel, 'failed')
+      });
+    });
+  });
+};
+
+/**
+ * Notify circle members of an alert on every enabled channel they can be reached on.
+ * Each attempt is recorded on the alert's notifications.sentTo / failedNotifications.
+ * With options.priorityUserIds, those members are paged first and the rest of the
+ * circle after options.headStartMs, unless the alert has been closed by then.
+ */
+const notifyCircleOfAlert = async (alert, circle, triggeredBy, options = {}) => {
+  const triggeredById = (triggeredBy._id || triggeredBy).toString();
+
+  const memberIds = circle
+    .getActiveMembers()
+    .map((member) => member.user._id || member.user)
+    .filter((userId) => userId.toString() !== triggeredById);
+
+  const users = await User.find({
+    _id: { $in: memberIds },
+    isActive: true,
+    'privacySettings.allowAlertNotifications': true
+  }).select('name email phone pushSubscriptions');
+
+  const message = buildAlertMessage(alert, circle, triggeredBy, options);
+  const { priorityUserIds = [], headStartMs = 0 } = options;
+
+  if (priorityUserIds.length === 0 || headStartMs <= 0) {
+    sendAlertToUsers(alert, users, message);
+    return;
+  }
+
+  const priorityIds = priorityUserIds.map((userId) => userId.toString());
+  const isPriority = (user) => priorityIds.includes(user._id.toString());
+
+  sendAlertToUsers(alert, users.filter(isPriority), message);
+
+  const remaining = users.filter((user) => !isPriority(user));
+  if (remaining.length === 0) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    // Page anyway if the status can't be checked
+    let isOpen = true;
+    try {
+      isOpen = !!(await Alert.exists({
+        _id: alert._id,
+        status: { $in: ['active', 'acknowledged'] }
+      }));
+    } catch (error) {
+      console.error(`Failed to check status of alert ${alert._id}:`, error.message);
+    }
+
+    if (isOpen) {
+      sendAlertToUsers(alert, remaining, message);
+    }
+  }, headStartMs);
+
+  timer.unref();
+};
+
+module.exports = {
+  send,
+  notifyCircleOfAlert,
+  getProvider,
+  getUserAddress
+};
@@ -0,0 +1,42 @@
+// File: server/services/notifications/providers/consoleProvider.js
+// Purpose: Stand-in notification provider for local development and tests
+// Dependencies: fs, path
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a provider that records messages instead of delivering them.
+ * Messages are appended as JSON lines to NOTIFICATION_OUTBOX_FILE when set,
+ * otherwise they are logged to the console.
+ */
+const createConsoleProvider = (channel) => ({
+  name: 'console',
+  channel,
+
+  isConfigured: () => true,
+
+  send: async (recipient, message) => {
+    const entry = {
+      channel,
+      to: recipient.address,
+      userId: recipient.userId,
+      subject: message.subject,
+      text: message.text,
+      data: message.data,
+      sentAt: new Date().toISOString()
+    };
+
+    const outboxFile = process.env.NOTIFICATION_OUTBOX_FILE;
+    if (outboxFile) {
+      await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+      await fs.promises.appendFile(outboxFile, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`[notification:${channel}] to ${entry.to}: ${entry.subject || entry.text}`);
+    }
+
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,50 @@
+// File: server/services/notifications/providers/emailProvider.js
+// Purpose: Email notification provider backed by SMTP
+// Dependencies: nodemailer
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP email provider from environment configuration
+ */
+const createEmailProvider = () => {
+  let transporter = null;
+
+  const getTransporter = () => {
+    if (!transporter) {
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? {
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASS
+            }
+          : undefined
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    name: 'smtp',
+    channel: 'email',
+
+    isConfigured: () => !!process.env.SMTP_HOST,
+
+    send: async (recipient, message) => {
+      const info = await getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || 'Community Circle <no-reply@communitycircle.app>',
+        to: recipient.address,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createEmailProvider;
@@ -0,0 +1,77 @@
+// File: server/services/notifications/providers/pushProvider.js
+// Purpose: Web Push notification provider using VAPID
+// Dependencies: web-push, User model
+
+const webPush = require('web-push');
+const User = require('../../../models/User');
+
+/**
+ * Create a Web Push provider. The recipient address is the user's list of
+ * push subscriptions; delivery succeeds if at least one device accepts it.
+ */
+const createPushProvider = () => {
+  let isVapidSet = false;
+
+  const ensureVapid = () => {
+    if (!isVapidSet) {
+      webPush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:no-reply@communitycircle.app',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+      );
+      isVapidSet = true;
+    }
+  };
+
+  return {
+    name: 'web-push',
+    channel: 'push',
+
+    isConfigured: () =>
+      !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+
+    send: async (recipient, message) => {
+      ensureVapid();
+
+      const payload = JSON.stringify({
+        title: message.subject,
+        body: message.text,
+        data: message.data
+      });
+
+      let delivered = 0;
+      let lastError = null;
+
+      for (const subscription of recipient.address) {
+        try {
+          await webPush.sendNotification(
+            {
+              endpoint: subscription.endpoint,
+              keys: subscription.keys
+            },
+            payload,
+            { TTL: 60 * 60, urgency: 'high' }
+          );
+          delivered += 1;
+        } catch (error) {
+          // Subscription is gone - remove it so we stop trying
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            await User.updateOne(
+              { _id: recipient.userId },
+              { $pull: { pushSubscriptions: { endpoint: subscription.endpoint } } }
+            );
+          }
+          lastError = error;
+        }
+      }
+
+      if (delivered === 0) {
+        throw lastError || new Error('No push subscriptions');
+      }
+
+      return { id: null, delivered };
+    }
+  };
+};
+
+module.exports = createPushProvider;
@@ -0,0 +1,41 @@
+// File: server/services/notifications/providers/smsProvider.js
+// Purpose: SMS notification provider for a generic HTTP SMS gateway
+// Dependencies: None (uses global fetch)
+
+/**
+ * Create an SMS provider that POSTs JSON to SMS_GATEWAY_URL.
+ * The gateway receives { to, from, message } and an optional bearer token.
+ */
+const createSmsProvider = () => ({
+  name: 'http-gateway',
+  channel: 'sms',
+
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+
+  send: async (recipient, message) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_GATEWAY_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        to: recipient.address,
+        from: process.env.SMS_FROM || undefined,
+        message: message.text
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { id: body.id || body.messageId || null };
+  }
+});
+
+module.exports = createSmsProvider;
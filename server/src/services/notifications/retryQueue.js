@@ -0,0 +1,73 @@
+// File: server/services/notifications/retryQueue.js
+// Purpose: In-memory retry queue with exponential backoff for notification delivery
+// Dependencies: None
+
+/**
+ * Create a retry queue.
+ * Each job is { task, onSuccess, onAttemptFailed, onGiveUp } where task is an
+ * async function; it is retried up to maxAttempts times with exponential backoff.
+ */
+const createRetryQueue = ({
+  maxAttempts = 3,
+  baseDelayMs = 5000,
+  maxDelayMs = 5 * 60 * 1000
+} = {}) => {
+  let pending = 0;
+
+  const getDelay = (attempt) => {
+    const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    // Add up to 20% jitter so retries from many deliveries don't line up
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  };
+
+  // Run an outcome handler without letting its errors affect delivery
+  const runHandler = async (handler, ...args) => {
+    if (!handler) {
+      return;
+    }
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error('Retry queue handler failed:', error.message);
+    }
+  };
+
+  const run = async (job, attempt) => {
+    let result;
+
+    try {
+      result = await job.task(attempt);
+    } catch (error) {
+      const willRetry = attempt < maxAttempts;
+
+      await runHandler(job.onAttemptFailed, error, attempt, willRetry);
+
+      if (willRetry) {
+        const timer = setTimeout(() => run(job, attempt + 1), getDelay(attempt));
+        timer.unref();
+        return;
+      }
+
+      pending -= 1;
+      await runHandler(job.onGiveUp, error);
+      return;
+    }
+
+    pending -= 1;
+    await runHandler(job.onSuccess, result, attempt);
+  };
+
+  return {
+    maxAttempts,
+
+    enqueue: (job) => {
+      pending += 1;
+      // Run on the next tick so callers (e.g. request handlers) are never blocked
+      setImmediate(() => run(job, 1));
+    },
+
+    size: () => pending
+  };
+};
+
+module.exports = createRetryQueue;
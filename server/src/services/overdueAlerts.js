@@ -0,0 +1,129 @@
+// File: server/services/overdueAlerts.js
+// Purpose: Raise and retract the check-in-overdue alert for a check-in
+// Dependencies: Alert model, CheckIn model, LocationPoint model, socket utils, notifications,
+//               emergency contacts service, responders service
+
+const Alert = require('../models/Alert');
+const CheckIn = require('../models/CheckIn');
+const LocationPoint = require('../models/LocationPoint');
+const { emitToCircle } = require('../utils/socket');
+const { notifyCircleOfAlert } = require('./notifications');
+const { notifyEmergencyContacts } = require('./emergencyContacts');
+const { findNearestResponders, NEAREST_RESPONDERS_LIMIT } = require('./responders');
+
+/**
+ * Get the most recent known location for a check-in
+ */
+const getLastKnownPoint = (checkIn) => {
+  if (checkIn.locationHistory && checkIn.locationHistory.length > 0) {
+    return checkIn.locationHistory[checkIn.locationHistory.length - 1].coordinates;
+  }
+  return checkIn.location.coordinates;
+};
+
+/**
+ * Create the check-in-overdue alert and notify the circle.
+ * The caller has claimed the check-in's overdue notification; if the alert can't be
+ * created the claim is released so the next sweep retries.
+ */
+const raiseOverdueAlert = async (io, checkIn, circle, user) => {
+  // The trail covers the whole check-in
+  const trailFrom = checkIn.createdAt;
+  const trailTo = new Date();
+
+  const alert = await Alert.create({
+    triggeredBy: user._id,
+    circle: circle._id,
+    type: 'check-in-overdue',
+    severity: 'high',
+    title: `${user.name} has not checked in`,
+    message: checkIn.notes
+      ? `Expected back by ${checkIn.expectedReturnTime.toISOString()}. Notes: ${checkIn.notes}`
+      : `Expected back by ${checkIn.expectedReturnTime.toISOString()}`,
+    location: {
+      type: 'Point',
+      coordinates: getLastKnownPoint(checkIn),
+      address: checkIn.location.address || ''
+    },
+    relatedCheckIn: checkIn._id,
+    locationTrail: { from: trailFrom, to: trailTo },
+    status: 'active',
+    priority: 4
+  }).catch(async (err) => {
+    await CheckIn.releaseOverdueNotification(checkIn._id);
+    throw err;
+  });
+
+  // Later failures leave the claim in place: the alert exists, and retrying would raise it twice
+  await LocationPoint.pinForAlert(user._id, alert._id, trailFrom, trailTo);
+  await circle.incrementAlerts();
+  await alert.populate('triggeredBy', 'name email profilePhoto phone');
+
+  const { nearestRespondersFirst, nearestRespondersHeadStartSeconds } = circle.settings;
+  const nearestResponders = await findNearestResponders(alert, circle, {
+    limit: Math.max(NEAREST_RESPONDERS_LIMIT, nearestRespondersFirst)
+  }).catch((err) => {
+    console.error(`Failed to rank responders for alert ${alert._id}:`, err.message);
+    return [];
+  });
+
+  if (io) {
+    emitToCircle(io, circle._id.toString(), 'alert:new', {
+      alert,
+      triggeredBy: {
+        id: user._id,
+        name: user.name,
+        profilePhoto: user.profilePhoto
+      },
+      nearestResponders
+    });
+  }
+
+  await notifyCircleOfAlert(alert, circle, user, {
+    priorityUserIds: nearestResponders
+      .slice(0, nearestRespondersFirst)
+      .map((responder) => responder.user.id),
+    headStartMs: nearestRespondersHeadStartSeconds * 1000
+  });
+  await notifyEmergencyContacts(alert, user._id);
+
+  console.log(`Overdue alert ${alert._id} raised for check-in ${checkIn._id}`);
+};
+
+/**
+ * Cancel the open check-in-overdue alerts of a check-in (after it was extended) and tell the circle.
+ * Silent alerts are left open: extending must not become a way around a duress alert.
+ * Resolves to the cancelled alerts.
+ */
+const retractOverdueAlerts = async (io, checkIn, user, reason) => {
+  const alerts = await Alert.find({
+    relatedCheckIn: checkIn._id,
+    type: 'check-in-overdue',
+    status: { $in: ['active', 'acknowledged'] },
+    isSilent: false
+  });
+
+  for (const alert of alerts) {
+    await alert.cancel(user._id, reason);
+
+    if (io) {
+      emitToCircle(io, alert.circle.toString(), 'alert:cancelled', {
+        alertId: alert._id,
+        status: alert.status,
+        reason: alert.resolutionNotes,
+        cancelledBy: {
+          id: user._id,
+          name: user.name,
+          profilePhoto: user.profilePhoto
+        }
+      }, { hiddenFrom: alert.getHiddenFrom() });
+    }
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  raiseOverdueAlert,
+  retractOverdueAlerts
+};
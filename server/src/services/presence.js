@@ -0,0 +1,113 @@
+// File: server/services/presence.js
+// Purpose: Presence tracking - live connections per user across devices, statuses and last-seen times
+// Dependencies: None (uses the realtime backend's presence store)
+
+// Statuses a user can choose; 'offline' is derived from having no live connections
+const PRESENCE_STATUSES = ['online', 'away', 'driving', 'do-not-disturb'];
+
+/**
+ * Build a user's presence from their live connection count and stored state
+ */
+const toPresence = (connections, state = {}) => ({
+  status: connections > 0 ? state.status || 'online' : 'offline',
+  devices: connections,
+  lastSeen: state.lastSeen ? new Date(state.lastSeen) : null
+});
+
+/**
+ * Create the presence service on top of a presence store.
+ * A user is online while any of their devices is connected to any API instance.
+ */
+const createPresenceService = (store, instanceId) => {
+  /**
+   * Get the presence of several users, keyed by user ID
+   */
+  const getPresence = async (userIds) => {
+    const ids = [...new Set(userIds.map((userId) => userId.toString()))];
+
+    const [counts, states] = await Promise.all([
+      store.getConnectionCounts(ids),
+      store.getStates(ids)
+    ]);
+
+    return ids.reduce((result, userId) => {
+      result[userId] = toPresence(counts[userId], states[userId]);
+      return result;
+    }, {});
+  };
+
+  return {
+    /**
+     * Record a new socket connection.
+     * Resolves to { isFirstConnection, presence }.
+     */
+    connect: async (userId, socketId) => {
+      const connections = await store.addConnection(userId, socketId, instanceId);
+      await store.setState(userId, { lastSeen: new Date().toISOString() });
+
+      const states = await store.getStates([userId]);
+
+      return {
+        isFirstConnection: connections === 1,
+        presence: toPresence(connections, states[userId])
+      };
+    },
+
+    /**
+     * Record a closed socket connection.
+     * Resolves to { isLastConnection, presence }.
+     */
+    disconnect: async (userId, socketId) => {
+      const connections = await store.removeConnection(userId, socketId);
+      await store.setState(userId, { lastSeen: new Date().toISOString() });
+
+      const states = await store.getStates([userId]);
+
+      return {
+        isLastConnection: connections === 0,
+        presence: toPresence(connections, states[userId])
+      };
+    },
+
+    /**
+     * Set the status a user has chosen; it is kept across reconnects
+     */
+    setStatus: async (userId, status) => {
+      if (!PRESENCE_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of: ${PRESENCE_STATUSES.join(', ')}`);
+      }
+
+      await store.setState(userId, { status, lastSeen: new Date().toISOString() });
+
+      const [counts, states] = await Promise.all([
+        store.getConnectionCounts([userId]),
+        store.getStates([userId])
+      ]);
+
+      return toPresence(counts[userId], states[userId]);
+    },
+
+    getPresence,
+
+    /**
+     * Get the presence circle members may see; users hidden from circle members
+     * (privacySettings.visibleToCircleMembers) always appear offline
+     */
+    getVisiblePresence: async (users) => {
+      const presence = await getPresence(users.map((user) => user._id));
+
+      users.forEach((user) => {
+        if (user.privacySettings && user.privacySettings.visibleToCircleMembers === false) {
+          presence[user._id.toString()] = toPresence(0);
+        }
+      });
+
+      return presence;
+    }
+  };
+};
+
+module.exports = {
+  createPresenceService,
+  PRESENCE_STATUSES
+};
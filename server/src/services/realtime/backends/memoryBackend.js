@@ -0,0 +1,87 @@
+// File: server/services/realtime/backends/memoryBackend.js
+// Purpose: In-process realtime backend - Socket.io's default adapter and a Map-based presence store
+// Dependencies: None
+
+/**
+ * Create a presence store kept in this process's memory.
+ * Connections are tracked per user as socketId -> instanceId, alongside a string-valued
+ * state (status, lastSeen) per user.
+ */
+const createMemoryPresenceStore = () => {
+  const connections = new Map();
+  const states = new Map();
+
+  return {
+    addConnection: async (userId, socketId, instanceId) => {
+      const sockets = connections.get(userId) || new Map();
+      sockets.set(socketId, instanceId);
+      connections.set(userId, sockets);
+      return sockets.size;
+    },
+
+    removeConnection: async (userId, socketId) => {
+      const sockets = connections.get(userId);
+      if (!sockets) {
+        return 0;
+      }
+
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        connections.delete(userId);
+      }
+      return sockets.size;
+    },
+
+    getConnectionCounts: async (userIds) =>
+      userIds.reduce((counts, userId) => {
+        counts[userId] = connections.has(userId) ? connections.get(userId).size : 0;
+        return counts;
+      }, {}),
+
+    setState: async (userId, fields) => {
+      states.set(userId, { ...states.get(userId), ...fields });
+    },
+
+    getStates: async (userIds) =>
+      userIds.reduce((result, userId) => {
+        result[userId] = { ...states.get(userId) };
+        return result;
+      }, {}),
+
+    heartbeat: async () => {},
+
+    clearInstance: async (instanceId) => {
+      connections.forEach((sockets, userId) => {
+        sockets.forEach((owner, socketId) => {
+          if (owner === instanceId) {
+            sockets.delete(socketId);
+          }
+        });
+        if (sockets.size === 0) {
+          connections.delete(userId);
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Create the in-process backend. Rooms and presence are only shared within this
+ * process, so it suits a single API instance, development and tests.
+ */
+const createMemoryBackend = () => ({
+  name: 'memory',
+  isShared: false,
+  presence: createMemoryPresenceStore(),
+
+  // Socket.io's default in-memory adapter is used as is
+  attach: async () => {},
+
+  createEmitter: async () => {
+    throw new Error('The in-process realtime backend cannot emit from another process; set REDIS_URL');
+  },
+
+  close: async () => {}
+});
+
+module.exports = createMemoryBackend;
@@ -0,0 +1,181 @@
+// File: server/services/realtime/backends/redisBackend.js
+// Purpose: Redis realtime backend - pub/sub Socket.io adapter, emitter for workers and shared presence store
+// Dependencies: redis, @socket.io/redis-adapter, @socket.io/redis-emitter
+
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { Emitter } = require('@socket.io/redis-emitter');
+
+// Instances that miss heartbeats for this long are treated as gone
+const INSTANCE_TTL_SECONDS = 60;
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+
+const connectionsKey = (userId) => `presence:connections:${userId}`;
+const instanceKey = (instanceId) => `presence:instance:${instanceId}`;
+const stateKey = (userId) => `presence:state:${userId}`;
+
+/**
+ * Create a presence store in Redis.
+ * Connections are kept per user as a hash of socketId -> instanceId; entries owned by
+ * instances whose heartbeat key has expired are ignored and pruned when read.
+ * Each user's state (status, lastSeen) is a separate hash of strings.
+ */
+const createRedisPresenceStore = (client) => {
+  /**
+   * Count each user's connections on live instances, pruning the rest
+   */
+  const countLive = async (userIds) => {
+    const multi = client.multi();
+    userIds.forEach((userId) => multi.hGetAll(connectionsKey(userId)));
+    const hashes = await multi.exec();
+
+    const instanceIds = [...new Set(hashes.flatMap((hash) => Object.values(hash || {})))];
+    const alive = new Set();
+
+    if (instanceIds.length > 0) {
+      const flags = await client.mGet(instanceIds.map(instanceKey));
+      instanceIds.forEach((instanceId, index) => {
+        if (flags[index]) {
+          alive.add(instanceId);
+        }
+      });
+    }
+
+    const counts = {};
+    const prune = client.multi();
+    let hasStale = false;
+
+    userIds.forEach((userId, index) => {
+      const entries = Object.entries(hashes[index] || {});
+      const stale = entries.filter(([, instanceId]) => !alive.has(instanceId));
+
+      counts[userId] = entries.length - stale.length;
+
+      if (stale.length > 0) {
+        hasStale = true;
+        prune.hDel(connectionsKey(userId), stale.map(([socketId]) => socketId));
+      }
+    });
+
+    if (hasStale) {
+      await prune.exec();
+    }
+
+    return counts;
+  };
+
+  return {
+    addConnection: async (userId, socketId, instanceId) => {
+      await client.hSet(connectionsKey(userId), socketId, instanceId);
+      const counts = await countLive([userId]);
+      return counts[userId];
+    },
+
+    removeConnection: async (userId, socketId) => {
+      await client.hDel(connectionsKey(userId), socketId);
+      const counts = await countLive([userId]);
+      return counts[userId];
+    },
+
+    getConnectionCounts: async (userIds) => (userIds.length > 0 ? countLive(userIds) : {}),
+
+    setState: async (userId, fields) => {
+      await client.hSet(stateKey(userId), fields);
+    },
+
+    getStates: async (userIds) => {
+      if (userIds.length === 0) {
+        return {};
+      }
+
+      const multi = client.multi();
+      userIds.forEach((userId) => multi.hGetAll(stateKey(userId)));
+      const hashes = await multi.exec();
+
+      return userIds.reduce((result, userId, index) => {
+        result[userId] = { ...hashes[index] };
+        return result;
+      }, {});
+    },
+
+    heartbeat: async (instanceId) => {
+      await client.set(instanceKey(instanceId), '1', { EX: INSTANCE_TTL_SECONDS });
+    },
+
+    // Connections owned by the instance stop counting once its heartbeat key is gone
+    clearInstance: async (instanceId) => {
+      await client.del(instanceKey(instanceId));
+    }
+  };
+};
+
+/**
+ * Create the Redis backend. Rooms are shared across API instances through the pub/sub
+ * adapter, and worker processes emit to clients through the Redis emitter.
+ */
+const createRedisBackend = (url) => {
+  const client = createClient({ url });
+  const clients = [client];
+  const presence = createRedisPresenceStore(client);
+  let heartbeatTimer = null;
+  let attachedInstanceId = null;
+
+  client.on('error', (err) => {
+    console.error(`Redis client error: ${err.message}`);
+  });
+
+  const connect = async () => {
+    if (!client.isOpen) {
+      await client.connect();
+    }
+  };
+
+  return {
+    name: 'redis',
+    isShared: true,
+    presence,
+
+    attach: async (io, instanceId) => {
+      await connect();
+
+      const pubClient = client.duplicate();
+      const subClient = client.duplicate();
+      clients.push(pubClient, subClient);
+
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient));
+
+      // Keep this instance's presence entries alive
+      attachedInstanceId = instanceId;
+      const beat = () =>
+        presence
+          .heartbeat(instanceId)
+          .catch((err) => console.error(`Presence heartbeat failed: ${err.message}`));
+
+      await beat();
+      heartbeatTimer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref();
+    },
+
+    createEmitter: async () => {
+      await connect();
+      return new Emitter(client);
+    },
+
+    close: async () => {
+      if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+      }
+
+      if (attachedInstanceId && client.isOpen) {
+        await presence.clearInstance(attachedInstanceId);
+      }
+
+      await Promise.all(
+        clients.filter((redisClient) => redisClient.isOpen).map((redisClient) => redisClient.quit())
+      );
+    }
+  };
+};
+
+module.exports = createRedisBackend;
@@ -0,0 +1,37 @@
+// File: server/services/realtime/index.js
+// Purpose: Select the realtime backend that shares Socket.io rooms and presence between processes
+// Dependencies: os, realtime backends
+
+const os = require('os');
+const createMemoryBackend = require('./backends/memoryBackend');
+const createRedisBackend = require('./backends/redisBackend');
+
+// Identifies this process's socket connections in the shared presence store
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Create the realtime backend.
+ * REALTIME_ADAPTER=memory forces the in-process stand-in; otherwise Redis is used when
+ * REDIS_URL is set. Running more than one API instance, or jobs in a worker, requires Redis.
+ */
+const createRealtimeBackend = () => {
+  const adapter = process.env.REALTIME_ADAPTER || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  if (adapter === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REALTIME_ADAPTER=redis requires REDIS_URL');
+    }
+    return createRedisBackend(process.env.REDIS_URL);
+  }
+
+  if (adapter !== 'memory') {
+    throw new Error(`Unknown REALTIME_ADAPTER "${adapter}"`);
+  }
+
+  return createMemoryBackend();
+};
+
+module.exports = {
+  createRealtimeBackend,
+  INSTANCE_ID
+};
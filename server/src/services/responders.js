@@ -0,0 +1,98 @@
+// File: server/services/responders.js
+// Purpose: Rank circle members by straight-line distance to an alert
+// Dependencies: User model
+
+const User = require('../models/User');
+
+// Average straight-line speeds used for ETA estimates
+const WALKING_SPEED_MPS = 1.4;
+const DRIVING_SPEED_MPS = 11.1;
+
+// Number of nearest responders included with a new alert
+const NEAREST_RESPONDERS_LIMIT = parseInt(process.env.NEAREST_RESPONDERS_LIMIT) || 5;
+
+// Locations older than this are flagged as stale
+const STALE_LOCATION_MINUTES = parseInt(process.env.RESPONDER_STALE_LOCATION_MINUTES) || 30;
+
+/**
+ * Build the responder entry for a user found by $geoNear
+ */
+const toResponder = (user, now) => {
+  const updatedAt = user.lastKnownLocation.timestamp;
+  const ageSeconds = Math.max(0, Math.round((now - updatedAt) / 1000));
+
+  return {
+    user: {
+      id: user._id,
+      name: user.name,
+      profilePhoto: user.profilePhoto
+    },
+    distanceMeters: Math.round(user.distanceMeters),
+    location: {
+      coordinates: user.lastKnownLocation.coordinates,
+      updatedAt,
+      ageSeconds,
+      isStale: ageSeconds > STALE_LOCATION_MINUTES * 60
+    },
+    eta: {
+      walkingMinutes: Math.ceil(user.distanceMeters / WALKING_SPEED_MPS / 60),
+      drivingMinutes: Math.ceil(user.distanceMeters / DRIVING_SPEED_MPS / 60)
+    }
+  };
+};
+
+/**
+ * Find the active circle members closest to an alert, nearest first.
+ * Only members sharing their location with circles and with a known position are ranked.
+ */
+const findNearestResponders = async (alert, circle, { limit } = {}) => {
+  const triggeredById = (alert.triggeredBy._id || alert.triggeredBy).toString();
+
+  const memberIds = circle
+    .getActiveMembers()
+    .map((member) => member.user._id || member.user)
+    .filter((userId) => userId.toString() !== triggeredById);
+
+  if (memberIds.length === 0) {
+    return [];
+  }
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: alert.location.coordinates },
+        key: 'lastKnownLocation.coordinates',
+        distanceField: 'distanceMeters',
+        spherical: true,
+        query: {
+          _id: { $in: memberIds },
+          isActive: true,
+          'privacySettings.shareLocationWithCircles': true,
+          'lastKnownLocation.timestamp': { $ne: null }
+        }
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        profilePhoto: 1,
+        lastKnownLocation: 1,
+        distanceMeters: 1
+      }
+    }
+  ];
+
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+
+  const users = await User.aggregate(pipeline);
+  const now = Date.now();
+
+  return users.map((user) => toResponder(user, now));
+};
+
+module.exports = {
+  findNearestResponders,
+  NEAREST_RESPONDERS_LIMIT
+};
@@ -0,0 +1,51 @@
+// File: server/services/twoFactor.js
+// Purpose: Two-factor login challenges and circle two-factor requirements
+// Dependencies: jsonwebtoken, Circle model
+
+const jwt = require('jsonwebtoken');
+const Circle = require('../models/Circle');
+
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+
+const getChallengeSecret = () => process.env.JWT_2FA_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign the challenge token returned by a password login when a second factor is needed.
+ * It names the user under `sub` (not `id`), so it can never pass as an access token.
+ */
+const createChallengeToken = (user, { rememberMe = false } = {}) =>
+  jwt.sign({ rememberMe: !!rememberMe }, getChallengeSecret(), {
+    subject: user._id.toString(),
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL
+  });
+
+/**
+ * Verify a challenge token. Resolves to { userId, rememberMe }, or null if it is
+ * invalid or expired.
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret(), { audience: CHALLENGE_AUDIENCE });
+    return { userId: decoded.sub, rememberMe: decoded.rememberMe };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Find the active circles a user belongs to that require two-factor authentication
+ */
+const findCirclesRequiringTwoFactor = (userId) =>
+  Circle.find({
+    isActive: true,
+    'settings.requireTwoFactor': true,
+    members: { $elemMatch: { user: userId, isActive: true } }
+  }).select('_id name');
+
+module.exports = {
+  createChallengeToken,
+  verifyChallengeToken,
+  findCirclesRequiringTwoFactor
+};
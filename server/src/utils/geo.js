@@ -0,0 +1,133 @@
+// File: server/utils/geo.js
+// Purpose: Geometry helpers for [longitude, latitude] coordinates
+// Dependencies: None
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance in meters between two [longitude, latitude] points
+ */
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a point lies inside a polygon ring (ray casting).
+ * The ring is an array of [longitude, latitude] points.
+ */
+const isPointInPolygon = ([lng, lat], ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects =
+      yi > lat !== yj > lat &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Perpendicular distance in meters from a point to the segment start-end,
+ * using a local equirectangular projection (accurate for short segments)
+ */
+const distanceToSegment = (point, start, end) => {
+  const metersPerDegreeLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(start[1]));
+
+  const project = ([lng, lat]) => [
+    (lng - start[0]) * metersPerDegreeLng,
+    (lat - start[1]) * metersPerDegreeLat
+  ];
+
+  const [px, py] = project(point);
+  const [ex, ey] = project(end);
+  const lengthSquared = ex * ex + ey * ey;
+
+  if (lengthSquared === 0) {
+    return Math.hypot(px, py);
+  }
+
+  const t = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+  return Math.hypot(px - t * ex, py - t * ey);
+};
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm.
+ * getPoint maps an item to its [longitude, latitude]; toleranceMeters is the
+ * maximum distance a dropped point may lie from the simplified path.
+ */
+const simplifyPath = (items, toleranceMeters, getPoint = (item) => item) => {
+  if (items.length <= 2 || toleranceMeters <= 0) {
+    return items;
+  }
+
+  const keep = new Array(items.length).fill(false);
+  keep[0] = true;
+  keep[items.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long trails
+  const stack = [[0, items.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(
+        getPoint(items[i]),
+        getPoint(items[first]),
+        getPoint(items[last])
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return items.filter((item, i) => keep[i]);
+};
+
+/**
+ * Check whether [longitude, latitude] is a valid coordinate pair
+ */
+const isValidCoordinatePair = (point) =>
+  Array.isArray(point) &&
+  point.length === 2 &&
+  typeof point[0] === 'number' &&
+  typeof point[1] === 'number' &&
+  point[0] >= -180 &&
+  point[0] <= 180 &&
+  point[1] >= -90 &&
+  point[1] <= 90;
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineDistance,
+  isPointInPolygon,
+  distanceToSegment,
+  simplifyPath,
+  isValidCoordinatePair
+};
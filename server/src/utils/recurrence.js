@@ -0,0 +1,233 @@
+// File: server/utils/recurrence.js
+// Purpose: RRULE-style recurrence rules (daily/weekly with interval and weekdays) in a user's time zone
+// Dependencies: None
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE weekday codes, indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Named rules accepted in place of an RRULE string
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  weekends: 'FREQ=WEEKLY;BYDAY=SA,SU'
+};
+
+const FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Stop searching for occurrences after this many days
+const SEARCH_LIMIT_DAYS = 800;
+
+/**
+ * Parse a preset name ('daily', 'weekdays', 'weekends') or an RRULE string such as
+ * 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' into { frequency, interval, byDay }.
+ * Throws an Error describing the first problem found.
+ */
+const parseRecurrence = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Recurrence is required');
+  }
+
+  const text = PRESETS[input.trim().toLowerCase()] || input.trim().replace(/^RRULE:/i, '');
+  const parts = {};
+
+  text.split(';').filter(Boolean).forEach((part) => {
+    const [key, value] = part.split('=');
+    parts[key.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+  });
+
+  const frequency = FREQUENCIES[parts.FREQ];
+  if (!frequency) {
+    throw new Error('Recurrence FREQ must be DAILY or WEEKLY');
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'BYDAY'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence part: ${unsupported.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    throw new Error('Recurrence INTERVAL must be a whole number from 1 to 52');
+  }
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    if (frequency !== 'weekly') {
+      throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    }
+
+    byDay = [...new Set(parts.BYDAY.split(','))];
+    if (byDay.some((day) => !WEEKDAYS.includes(day))) {
+      throw new Error('BYDAY must list weekdays as MO, TU, WE, TH, FR, SA or SU');
+    }
+  }
+
+  return { frequency, interval, byDay };
+};
+
+/**
+ * Format a parsed rule back into an RRULE string
+ */
+const toRRule = ({ frequency, interval = 1, byDay = [] }) =>
+  [
+    `FREQ=${frequency.toUpperCase()}`,
+    interval > 1 ? `INTERVAL=${interval}` : null,
+    byDay.length > 0 ? `BYDAY=${byDay.join(',')}` : null
+  ]
+    .filter(Boolean)
+    .join(';');
+
+/**
+ * Check whether a string names a time zone this runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a 'YYYY-MM-DD' calendar date
+ */
+const isValidDate = (value) =>
+  typeof value === 'string' &&
+  DATE_PATTERN.test(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * Check an 'HH:mm' time of day
+ */
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Offset in milliseconds between a time zone's wall clock and UTC at an instant
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  })
+    .formatToParts(new Date(timestamp))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Get the 'YYYY-MM-DD' date an instant falls on in a time zone
+ */
+const toLocalDate = (timestamp, timeZone) =>
+  new Date(timestamp + getTimeZoneOffset(timestamp, timeZone)).toISOString().slice(0, 10);
+
+/**
+ * Convert a wall-clock date and time in a time zone to a UTC Date.
+ * The offset is re-checked once so times next to a DST change land correctly.
+ */
+const fromLocalDateTime = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return new Date(wallClock - getTimeZoneOffset(firstGuess, timeZone));
+};
+
+/**
+ * Whole days from one 'YYYY-MM-DD' date to another
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Add days to a 'YYYY-MM-DD' date
+ */
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Check whether a rule produces an occurrence on a date (weeks start on Monday, as in RRULE)
+ */
+const occursOn = (rule, startsOn, date) => {
+  const offset = daysBetween(startsOn, date);
+  if (offset < 0) {
+    return false;
+  }
+
+  if (rule.frequency === 'daily') {
+    return offset % rule.interval === 0;
+  }
+
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const byDay = rule.byDay && rule.byDay.length > 0
+    ? rule.byDay
+    : [WEEKDAYS[new Date(`${startsOn}T00:00:00Z`).getUTCDay()]];
+
+  if (!byDay.includes(weekday)) {
+    return false;
+  }
+
+  // Monday of the week each date falls in
+  const weekStart = (value) => addDays(value, -((new Date(`${value}T00:00:00Z`).getUTCDay() + 6) % 7));
+  const weeks = daysBetween(weekStart(startsOn), weekStart(date)) / 7;
+
+  return weeks % rule.interval === 0;
+};
+
+/**
+ * List the next occurrences of a schedule at or after `from`, oldest first.
+ * `schedule` carries { recurrence, startTime, timezone, startsOn, endsOn, skippedDates }.
+ * Each occurrence is { date: 'YYYY-MM-DD' (local), startsAt: Date }.
+ */
+const getOccurrences = (schedule, from = new Date(), limit = 1) => {
+  const { recurrence, startTime, timezone, startsOn, endsOn } = schedule;
+  const skipped = new Set(schedule.skippedDates || []);
+  const occurrences = [];
+
+  // Start a day early: the local date of `from` can be behind its UTC date
+  const fromLocal = addDays(toLocalDate(from.getTime(), timezone), -1);
+  let date = fromLocal > startsOn ? fromLocal : startsOn;
+
+  for (let i = 0; i < SEARCH_LIMIT_DAYS && occurrences.length < limit; i++, date = addDays(date, 1)) {
+    if (endsOn && date > endsOn) {
+      break;
+    }
+
+    if (skipped.has(date) || !occursOn(recurrence, startsOn, date)) {
+      continue;
+    }
+
+    const startsAt = fromLocalDateTime(date, startTime, timezone);
+    if (startsAt >= from) {
+      occurrences.push({ date, startsAt });
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRecurrence,
+  toRRule,
+  isValidTimeZone,
+  isValidDate,
+  isValidTime,
+  toLocalDate,
+  fromLocalDateTime,
+  occursOn,
+  getOccurrences
+};
@@ -1,14 +1,480 @@
 // File: server/utils/socket.js
 // Purpose: Socket.io event handlers for real-time features
-// Dependencies: socket.io, jwt, User model
+// Dependencies: socket.io, jwt, mongoose, User/Circle/Alert/CheckIn/CircleEvent/Session models, ErrorResponse,
+//               geo utils, presence service
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Circle = require('../models/Circle');
+const Alert = require('../models/Alert');
+const CheckIn = require('../models/CheckIn');
+const CircleEvent = require('../models/CircleEvent');
+const Session = require('../models/Session');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { isValidCoordinatePair } = require('./geo');
+const { PRESENCE_STATUSES } = require('../services/presence');
+
+// Circle events that every recipient must ack before the fallback timeout
+const CRITICAL_EVENTS = ['alert:new', 'alert:escalated'];
 
 /**
- * Initialize Socket.io with authentication and event handlers
+ * Check a single payload field against its rule
  */
-const initializeSocket = (io) => {
+const isValidField = (value, rule) => {
+  switch (rule.type) {
+    case 'objectId':
+      return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+    case 'string':
+      return (
+        typeof value === 'string' &&
+        (!rule.maxLength || value.length <= rule.maxLength) &&
+        (!rule.enum || rule.enum.includes(value))
+      );
+    case 'number':
+      return (
+        typeof value === 'number' &&
+        Number.isFinite(value) &&
+        (!rule.integer || Number.isInteger(value)) &&
+        (rule.min === undefined || value >= rule.min)
+      );
+    case 'coordinates':
+      return isValidCoordinatePair(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Validate an inbound event payload against a schema of { field: rule }.
+ * Returns only the fields named in the schema; throws a 400 ErrorResponse otherwise.
+ */
+const validatePayload = (data, schema) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ErrorResponse('Invalid payload', 400);
+  }
+
+  return Object.entries(schema).reduce((payload, [field, rule]) => {
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        throw new ErrorResponse(`${field} is required`, 400);
+      }
+      return payload;
+    }
+
+    if (!isValidField(value, rule)) {
+      throw new ErrorResponse(`Invalid ${field}`, 400);
+    }
+
+    payload[field] = value;
+    return payload;
+  }, {});
+};
+
+/**
+ * Register a validated event handler.
+ * The handler's result is acked as { success, data }; failures as { success: false, message, statusCode }.
+ */
+const handleEvent = (socket, event, schema, handler, parse = (data) => data) => {
+  socket.on(event, async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const payload = validatePayload(parse(data), schema);
+      const result = await handler(payload);
+      reply({ success: true, data: result || null });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+
+      if (statusCode >= 500) {
+        console.error(`Socket event ${event} failed for user ${socket.userId}:`, error.message);
+      }
+
+      reply({
+        success: false,
+        message: statusCode >= 500 ? 'Server Error' : error.message,
+        statusCode
+      });
+    }
+  });
+};
+
+/**
+ * Load an active circle and verify the user is a member of it
+ */
+const getMemberCircle = async (circleId, userId) => {
+  const circle = await Circle.findOne({ _id: circleId, isActive: true });
+
+  if (!circle) {
+    throw new ErrorResponse('Circle not found', 404);
+  }
+
+  if (!circle.isMember(userId)) {
+    throw new ErrorResponse('You are not a member of this circle', 403);
+  }
+
+  // Looked up fresh: the user may have enabled two-factor since the socket connected
+  if (circle.settings.requireTwoFactor) {
+    const user = await User.findById(userId).select('twoFactor.enabled');
+    if (!user || circle.requiresTwoFactorFrom(user)) {
+      throw new ErrorResponse('This circle requires two-factor authentication', 403);
+    }
+  }
+
+  return circle;
+};
+
+/**
+ * Verify the socket has joined a circle room (rooms are only joined after a membership check)
+ */
+const requireCircleRoom = (socket, circleId) => {
+  if (!socket.rooms.has(`circle:${circleId}`)) {
+    throw new ErrorResponse('You are not a member of this circle', 403);
+  }
+};
+
+/**
+ * Get the circle IDs of the rooms a socket has joined
+ */
+const getJoinedCircleIds = (socket) =>
+  [...socket.rooms]
+    .filter((room) => room.startsWith('circle:'))
+    .map((room) => room.slice('circle:'.length));
+
+// join:circle and leave:circle also accept a bare circle ID
+const toCirclePayload = (data) => (typeof data === 'string' ? { circleId: data } : data);
+
+/**
+ * Check whether a user has hidden their presence from circle members
+ */
+const isPresenceHidden = (user) =>
+  !!user.privacySettings && user.privacySettings.visibleToCircleMembers === false;
+
+/**
+ * Broadcast a user's presence to circle rooms
+ */
+const broadcastPresence = (io, circleIds, userId, presence) => {
+  circleIds.forEach((circleId) => {
+    io.to(`circle:${circleId}`).emit('user:status-changed', {
+      userId,
+      status: presence.status,
+      devices: presence.devices,
+      lastSeen: presence.lastSeen
+    });
+  });
+};
+
+/**
+ * Send the socket the presence of every member of the circles it has joined
+ */
+const sendPresenceSnapshot = async (socket, presence, circles) => {
+  const memberIds = circles.flatMap((circle) =>
+    circle.getActiveMembers().map((member) => member.user.toString())
+  );
+
+  const users = await User.find({ _id: { $in: memberIds } }).select('privacySettings');
+  const visible = await presence.getVisiblePresence(users);
+
+  socket.emit('presence:snapshot', {
+    circles: circles.map((circle) => ({
+      circleId: circle._id,
+      members: circle
+        .getActiveMembers()
+        .filter((member) => visible[member.user.toString()])
+        .map((member) => ({
+          userId: member.user,
+          ...visible[member.user.toString()]
+        }))
+    }))
+  });
+};
+
+/**
+ * Build the actor summary sent along with real-time events
+ */
+const actorSummary = (socket) => ({
+  id: socket.userId,
+  name: socket.user.name,
+  profilePhoto: socket.user.profilePhoto
+});
+
+/**
+ * Register the inbound event handlers for a connected socket.
+ * Every event is validated and checked against the database before anything is broadcast.
+ */
+const registerEventHandlers = (io, socket, presence) => {
+  const circleIdSchema = { circleId: { type: 'objectId', required: true } };
+  const alertIdSchema = { alertId: { type: 'objectId', required: true } };
+  const checkInIdSchema = { checkInId: { type: 'objectId', required: true } };
+
+  // Handle joining a circle room (members only)
+  handleEvent(socket, 'join:circle', circleIdSchema, async ({ circleId }) => {
+    await getMemberCircle(circleId, socket.userId);
+    socket.join(`circle:${circleId}`);
+    console.log(`User ${socket.userId} joined circle ${circleId}`);
+    return { circleId };
+  }, toCirclePayload);
+
+  // Handle leaving a circle room
+  handleEvent(socket, 'leave:circle', circleIdSchema, async ({ circleId }) => {
+    socket.leave(`circle:${circleId}`);
+    console.log(`User ${socket.userId} left circle ${circleId}`);
+    return { circleId };
+  }, toCirclePayload);
+
+  // Handle panic alert trigger: createAlert already broadcast the alert through the
+  // sequenced circle log, so this only confirms it to the sender
+  handleEvent(socket, 'alert:trigger', alertIdSchema, async ({ alertId }) => {
+    const alert = await Alert.findById(alertId);
+
+    if (!alert || alert.isHiddenFrom(socket.userId)) {
+      throw new ErrorResponse('Alert not found', 404);
+    }
+
+    if (alert.triggeredBy.toString() !== socket.userId) {
+      throw new ErrorResponse('You can only trigger your own alerts', 403);
+    }
+
+    await getMemberCircle(alert.circle, socket.userId);
+
+    return { alertId, status: alert.status };
+  });
+
+  // Handle alert acknowledgment
+  handleEvent(
+    socket,
+    'alert:acknowledge',
+    {
+      ...alertIdSchema,
+      response: {
+        type: 'string',
+        enum: ['on-my-way', 'contacted-authorities', 'monitoring', 'other']
+      },
+      notes: { type: 'string', maxLength: 500 }
+    },
+    async ({ alertId, response, notes }) => {
+      const alert = await Alert.findById(alertId);
+
+      if (!alert || alert.isHiddenFrom(socket.userId)) {
+        throw new ErrorResponse('Alert not found', 404);
+      }
+
+      await getMemberCircle(alert.circle, socket.userId);
+
+      await alert.acknowledge(socket.userId, response || 'monitoring', notes || '');
+      await alert.populate('acknowledgedBy.user', 'name email profilePhoto');
+
+      const acknowledgment = alert.acknowledgedBy.find(
+        ack => ack.user && ack.user._id.toString() === socket.userId
+      );
+
+      emitToCircle(io, alert.circle.toString(), 'alert:acknowledged', {
+        alertId: alert._id,
+        status: alert.status,
+        acknowledgment,
+        acknowledgedBy: actorSummary(socket)
+      }, { hiddenFrom: alert.getHiddenFrom() });
+
+      console.log(`Alert ${alertId} acknowledged by ${socket.userId}`);
+      return { alertId, status: alert.status };
+    }
+  );
+
+  // Handle alert resolution (alert creator or circle admin only)
+  handleEvent(
+    socket,
+    'alert:resolve',
+    {
+      ...alertIdSchema,
+      resolutionStatus: {
+        type: 'string',
+        enum: ['safe', 'help-arrived', 'false-alarm', 'other']
+      },
+      notes: { type: 'string', maxLength: 1000 }
+    },
+    async ({ alertId, resolutionStatus, notes }) => {
+      const alert = await Alert.findById(alertId);
+
+      if (!alert || alert.isHiddenFrom(socket.userId)) {
+        throw new ErrorResponse('Alert not found', 404);
+      }
+
+      const circle = await getMemberCircle(alert.circle, socket.userId);
+      const isCreator = alert.triggeredBy.toString() === socket.userId;
+
+      if (!isCreator && !circle.isAdmin(socket.userId)) {
+        throw new ErrorResponse('Only the alert creator or circle admin can resolve alerts', 403);
+      }
+
+      try {
+        await alert.resolve(socket.userId, resolutionStatus || 'safe', notes || '');
+      } catch (err) {
+        throw new ErrorResponse(err.message, 400);
+      }
+
+      emitToCircle(io, alert.circle.toString(), 'alert:resolved', {
+        alertId: alert._id,
+        status: alert.status,
+        resolution: {
+          status: alert.resolutionStatus,
+          notes: alert.resolutionNotes,
+          resolvedAt: alert.resolvedAt
+        },
+        resolvedBy: actorSummary(socket)
+      }, { hiddenFrom: alert.getHiddenFrom() });
+
+      console.log(`Alert ${alertId} resolved by ${socket.userId}`);
+      return { alertId, status: alert.status };
+    }
+  );
+
+  // Handle check-in creation: createCheckIn already broadcast checkin:new through the
+  // sequenced circle log, so this only confirms it to the sender
+  handleEvent(socket, 'checkin:create', checkInIdSchema, async ({ checkInId }) => {
+    const checkIn = await CheckIn.findById(checkInId);
+
+    if (!checkIn || checkIn.user.toString() !== socket.userId) {
+      throw new ErrorResponse('Check-in not found', 404);
+    }
+
+    await getMemberCircle(checkIn.circle, socket.userId);
+
+    return { checkInId, status: checkIn.status };
+  });
+
+  // Handle check-in completion: completeCheckIn (or an arrival) already broadcast
+  // checkin:completed, so this only confirms it to the sender
+  handleEvent(socket, 'checkin:complete', checkInIdSchema, async ({ checkInId }) => {
+    const checkIn = await CheckIn.findById(checkInId);
+
+    if (!checkIn || checkIn.user.toString() !== socket.userId) {
+      throw new ErrorResponse('Check-in not found', 404);
+    }
+
+    await getMemberCircle(checkIn.circle, socket.userId);
+
+    return { checkInId, status: checkIn.status };
+  });
+
+  // Handle location updates
+  handleEvent(
+    socket,
+    'location:update',
+    {
+      ...circleIdSchema,
+      coordinates: { type: 'coordinates', required: true },
+      accuracy: { type: 'number' }
+    },
+    async ({ circleId, coordinates, accuracy }) => {
+      requireCircleRoom(socket, circleId);
+
+      const user = await User.findById(socket.userId).select('privacySettings');
+
+      if (!user || !user.privacySettings.shareLocationWithCircles) {
+        throw new ErrorResponse('Location sharing with circles is turned off', 403);
+      }
+
+      socket.to(`circle:${circleId}`).emit('location:updated', {
+        userId: socket.userId,
+        location: { coordinates, accuracy: accuracy ?? null },
+        timestamp: Date.now()
+      });
+
+      return { circleId };
+    }
+  );
+
+  // Handle typing indicator for chat (alertId narrows it to an alert's thread)
+  const typingSchema = { ...circleIdSchema, alertId: { type: 'objectId' } };
+
+  handleEvent(socket, 'typing:start', typingSchema, async ({ circleId, alertId }) => {
+    requireCircleRoom(socket, circleId);
+    socket.to(`circle:${circleId}`).emit('user:typing', {
+      userId: socket.userId,
+      userName: socket.user.name,
+      alertId: alertId || null
+    });
+  });
+
+  handleEvent(socket, 'typing:stop', typingSchema, async ({ circleId, alertId }) => {
+    requireCircleRoom(socket, circleId);
+    socket.to(`circle:${circleId}`).emit('user:stopped-typing', {
+      userId: socket.userId,
+      alertId: alertId || null
+    });
+  });
+
+  // Handle acks of sequenced circle events
+  handleEvent(
+    socket,
+    'event:ack',
+    {
+      ...circleIdSchema,
+      seq: { type: 'number', required: true, integer: true, min: 1 }
+    },
+    async ({ circleId, seq }) => {
+      requireCircleRoom(socket, circleId);
+      await CircleEvent.acknowledge(circleId, seq, socket.userId);
+      return { circleId, seq };
+    }
+  );
+
+  // Handle replay of circle events missed while disconnected
+  handleEvent(
+    socket,
+    'sync:since',
+    {
+      ...circleIdSchema,
+      since: { type: 'number', required: true, integer: true, min: 0 }
+    },
+    async ({ circleId, since }) => {
+      requireCircleRoom(socket, circleId);
+
+      const limit = 200;
+      const events = await CircleEvent.findSince(circleId, since, limit + 1, socket.userId);
+      const hasMore = events.length > limit;
+      const page = events.slice(0, limit);
+
+      return {
+        circleId,
+        // Older events have expired from the log; the client should reload via the API
+        truncated: await CircleEvent.hasExpiredSince(circleId, since),
+        hasMore,
+        events: page.map((entry) => ({
+          event: entry.event,
+          data: { ...entry.data, circleId, seq: entry.seq, requiresAck: entry.critical },
+          createdAt: entry.createdAt
+        }))
+      };
+    }
+  );
+
+  // Handle user status (online, away, driving, do-not-disturb)
+  handleEvent(
+    socket,
+    'status:update',
+    { status: { type: 'string', required: true, enum: PRESENCE_STATUSES } },
+    async ({ status }) => {
+      const current = await presence.setStatus(socket.userId, status);
+
+      // Broadcast status to all circles the socket has joined
+      if (!isPresenceHidden(socket.user)) {
+        broadcastPresence(io, getJoinedCircleIds(socket), socket.userId, current);
+      }
+
+      return current;
+    }
+  );
+};
+
+/**
+ * Initialize Socket.io with authentication and event handlers.
+ * Connections are tracked by the presence service, whose store is shared between
+ * API instances when a shared realtime backend is used.
+ */
+const initializeSocket = (io, presence) => {
   // Middleware for socket authentication
   io.use(async (socket, next) => {
     try {
@@ -22,7 +488,7 @@ const initializeSocket = (io) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+      const user = await User.findById(decoded.id).select('-password');
 
       if (!user) {
         return next(new Error('Authentication error: User not found'));
@@ -32,9 +498,14 @@ const initializeSocket = (io) => {
         return next(new Error('Authentication error: Account deactivated'));
       }
 
-      // Attach user to socket
+      if (decoded.sid && !(await Session.exists({ _id: decoded.sid, revokedAt: null }))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
+
+      // Attach user and session to socket
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = decoded.sid || null;
 
       next();
     } catch (error) {
@@ -44,205 +515,203 @@ const initializeSocket = (io) => {
   });
 
   // Connection event
-  io.on('connection', (socket) => {
+  io.on('connection', async (socket) => {
     console.log(`User connected: ${socket.userId}`);
 
-    // Join user's personal room
+    // Join user's personal room, and the session's room so signing the device out disconnects it
     socket.join(`user:${socket.userId}`);
-
-    // Join user's circle rooms
-    if (socket.user.circles && socket.user.circles.length > 0) {
-      socket.user.circles.forEach((circleId) => {
-        socket.join(`circle:${circleId.toString()}`);
-      });
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
     }
 
-    // Handle joining a circle room
-    socket.on('join:circle', (circleId) => {
-      socket.join(`circle:${circleId}`);
-      console.log(`User ${socket.userId} joined circle ${circleId}`);
-    });
+    registerEventHandlers(io, socket, presence);
 
-    // Handle leaving a circle room
-    socket.on('leave:circle', (circleId) => {
-      socket.leave(`circle:${circleId}`);
-      console.log(`User ${socket.userId} left circle ${circleId}`);
+    // Track the connection; a user stays online while any of their devices is connected
+    const connected = presence.connect(socket.userId, socket.id).catch((error) => {
+      console.error(`Failed to record presence for user ${socket.userId}:`, error.message);
+      return null;
     });
 
-    // Handle panic alert trigger
-    socket.on('alert:trigger', (data) => {
-      const { circleId, alert } = data;
-
-      // Emit to all members in the circle
-      socket.to(`circle:${circleId}`).emit('alert:new', {
-        alert,
-        triggeredBy: {
-          id: socket.userId,
-          name: socket.user.name,
-          profilePhoto: socket.user.profilePhoto
-        }
-      });
-
-      console.log(`Panic alert triggered by ${socket.userId} in circle ${circleId}`);
-    });
+    // Notify circles that user is offline once their last connection closes
+    // (rooms are still joined while disconnecting)
+    socket.on('disconnecting', async () => {
+      const circleIds = getJoinedCircleIds(socket);
+      await connected;
 
-    // Handle alert acknowledgment
-    socket.on('alert:acknowledge', (data) => {
-      const { alertId, circleId, acknowledgment } = data;
+      try {
+        const { isLastConnection, presence: current } = await presence.disconnect(
+          socket.userId,
+          socket.id
+        );
 
-      // Emit to alert creator and circle members
-      io.to(`circle:${circleId}`).emit('alert:acknowledged', {
-        alertId,
-        acknowledgment,
-        acknowledgedBy: {
-          id: socket.userId,
-          name: socket.user.name,
-          profilePhoto: socket.user.profilePhoto
+        if (isLastConnection && !isPresenceHidden(socket.user)) {
+          broadcastPresence(io, circleIds, socket.userId, current);
         }
-      });
-
-      console.log(`Alert ${alertId} acknowledged by ${socket.userId}`);
+      } catch (error) {
+        console.error(`Failed to remove presence for user ${socket.userId}:`, error.message);
+      }
     });
 
-    // Handle alert resolution
-    socket.on('alert:resolve', (data) => {
-      const { alertId, circleId, resolution } = data;
-
-      // Emit to circle members
-      io.to(`circle:${circleId}`).emit('alert:resolved', {
-        alertId,
-        resolution,
-        resolvedBy: {
-          id: socket.userId,
-          name: socket.user.name
-        }
-      });
-
-      console.log(`Alert ${alertId} resolved by ${socket.userId}`);
+    // Handle disconnect
+    socket.on('disconnect', (reason) => {
+      console.log(`User disconnected: ${socket.userId}, reason: ${reason}`);
     });
 
-    // Handle check-in creation
-    socket.on('checkin:create', (data) => {
-      const { circleId, checkIn } = data;
-
-      // Emit to circle members
-      socket.to(`circle:${circleId}`).emit('checkin:new', {
-        checkIn,
-        user: {
-          id: socket.userId,
-          name: socket.user.name,
-          profilePhoto: socket.user.profilePhoto
-        }
-      });
-
-      console.log(`Check-in created by ${socket.userId} in circle ${circleId}`);
+    // Handle errors
+    socket.on('error', (error) => {
+      console.error(`Socket error for user ${socket.userId}:`, error);
     });
 
-    // Handle check-in completion
-    socket.on('checkin:complete', (data) => {
-      const { checkInId, circleId } = data;
+    // Join the rooms of circles the user is still an active member of, then send the
+    // latest sequence number of each so the client can request anything it missed
+    let circles = [];
+    try {
+      circles = (await Circle.find({
+        isActive: true,
+        members: { $elemMatch: { user: socket.userId, isActive: true } }
+      }).select('_id eventSequence members settings.requireTwoFactor'))
+        .filter((circle) => !circle.requiresTwoFactorFrom(socket.user));
+
+      circles.forEach((circle) => {
+        socket.join(`circle:${circle._id.toString()}`);
+      });
 
-      // Emit to circle members
-      io.to(`circle:${circleId}`).emit('checkin:completed', {
-        checkInId,
-        userId: socket.userId
+      socket.emit('sync:state', {
+        circles: circles.map((circle) => ({
+          circleId: circle._id,
+          seq: circle.eventSequence
+        }))
       });
+    } catch (error) {
+      console.error(`Failed to join circle rooms for user ${socket.userId}:`, error.message);
+    }
 
-      console.log(`Check-in ${checkInId} completed by ${socket.userId}`);
-    });
+    const connection = await connected;
 
-    // Handle check-in overdue notification
-    socket.on('checkin:overdue', (data) => {
-      const { checkInId, circleId, checkIn } = data;
+    // Notify circles that user is online when this is their first connection
+    if (connection && connection.isFirstConnection && !isPresenceHidden(socket.user)) {
+      broadcastPresence(io, getJoinedCircleIds(socket), socket.userId, connection.presence);
+    }
 
-      // Emit to circle members
-      io.to(`circle:${circleId}`).emit('checkin:overdue', {
-        checkInId,
-        checkIn
-      });
+    // Send the presence of every circle member so the dashboard renders without waiting
+    try {
+      await sendPresenceSnapshot(socket, presence, circles);
+    } catch (error) {
+      console.error(`Failed to send presence snapshot to user ${socket.userId}:`, error.message);
+    }
+  });
 
-      console.log(`Check-in ${checkInId} is overdue`);
-    });
+  return io;
+};
 
-    // Handle location updates
-    socket.on('location:update', (data) => {
-      const { circleId, location } = data;
+/**
+ * Emit event to specific user
+ */
+const emitToUser = (io, userId, event, data) => {
+  io.to(`user:${userId}`).emit(event, data);
+};
 
-      // Emit location update to circle members
-      socket.to(`circle:${circleId}`).emit('location:updated', {
-        userId: socket.userId,
-        location,
-        timestamp: Date.now()
-      });
-    });
+/**
+ * Check whether a circle event must be acked by every recipient
+ */
+const isCriticalEvent = (event, data) =>
+  CRITICAL_EVENTS.includes(event) &&
+  !!data.alert &&
+  (data.alert.severity === 'critical' || event === 'alert:escalated');
 
-    // Handle typing indicator for chat (future feature)
-    socket.on('typing:start', (data) => {
-      const { circleId } = data;
-      socket.to(`circle:${circleId}`).emit('user:typing', {
-        userId: socket.userId,
-        userName: socket.user.name
-      });
+/**
+ * Emit event to all members of a circle, except options.hiddenFrom when set.
+ * The event is first appended to the circle's event log so its sequence number can be
+ * acked and replayed; if logging fails it is still emitted, without a sequence number.
+ * Resolves to the sequence number (or null) and never rejects.
+ */
+const emitToCircle = (io, circleId, event, data, { hiddenFrom = null } = {}) => {
+  const critical = isCriticalEvent(event, data);
+  const triggeredBy = critical ? data.alert.triggeredBy : null;
+
+  return CircleEvent.append(circleId, event, data, {
+    critical,
+    excludeUserId: triggeredBy && (triggeredBy._id || triggeredBy),
+    hiddenFrom
+  })
+    .catch((error) => {
+      console.error(`Failed to log ${event} for circle ${circleId}:`, error.message);
+      return null;
+    })
+    .then((entry) => {
+      const room = io.to(`circle:${circleId}`);
+      (hiddenFrom ? room.except(`user:${hiddenFrom}`) : room).emit(
+        event,
+        entry ? { ...data, circleId, seq: entry.seq, requiresAck: critical } : data
+      );
+      return entry ? entry.seq : null;
     });
+};
 
-    socket.on('typing:stop', (data) => {
-      const { circleId } = data;
-      socket.to(`circle:${circleId}`).emit('user:stopped-typing', {
-        userId: socket.userId
-      });
-    });
+/**
+ * Emit a short-lived event to a circle without logging it (like location:updated):
+ * each one is superseded by the next, so there is nothing to ack or replay
+ */
+const emitTransientToCircle = (io, circleId, event, data) => {
+  io.to(`circle:${circleId}`).emit(event, { ...data, circleId });
+};
 
-    // Handle user status (online/offline)
-    socket.on('status:update', (data) => {
-      const { status } = data;
-
-      // Broadcast status to all user's circles
-      if (socket.user.circles && socket.user.circles.length > 0) {
-        socket.user.circles.forEach((circleId) => {
-          socket.to(`circle:${circleId.toString()}`).emit('user:status-changed', {
-            userId: socket.userId,
-            status
-          });
-        });
-      }
-    });
+/**
+ * Emit event to a circle using the Socket.io instance attached to the Express app
+ * (controllers call this only after their database write has succeeded)
+ */
+const emitToCircleFromRequest = (req, circleId, event, data, options) => {
+  const io = req.app.get('io');
 
-    // Handle disconnect
-    socket.on('disconnect', (reason) => {
-      console.log(`User disconnected: ${socket.userId}, reason: ${reason}`);
+  if (!io) {
+    return;
+  }
 
-      // Notify circles that user is offline
-      if (socket.user.circles && socket.user.circles.length > 0) {
-        socket.user.circles.forEach((circleId) => {
-          socket.to(`circle:${circleId.toString()}`).emit('user:status-changed', {
-            userId: socket.userId,
-            status: 'offline'
-          });
-        });
-      }
-    });
+  emitToCircle(io, circleId.toString(), event, data, options);
+};
 
-    // Handle errors
-    socket.on('error', (error) => {
-      console.error(`Socket error for user ${socket.userId}:`, error);
-    });
-  });
+/**
+ * Add a user's connected sockets to a circle room (after they join the circle)
+ */
+const addUserToCircleRoom = (io, userId, circleId) => {
+  io.in(`user:${userId}`).socketsJoin(`circle:${circleId}`);
+};
 
-  return io;
+/**
+ * Remove a user's connected sockets from a circle room (after they leave or are removed)
+ */
+const removeUserFromCircleRoom = (io, userId, circleId) => {
+  io.in(`user:${userId}`).socketsLeave(`circle:${circleId}`);
 };
 
 /**
- * Emit event to specific user
+ * Update a user's circle room membership using the Socket.io instance attached to the Express app
  */
-const emitToUser = (io, userId, event, data) => {
-  io.to(`user:${userId}`).emit(event, data);
+const syncCircleRoomFromRequest = (req, userId, circleId, isMember) => {
+  const io = req.app.get('io');
+
+  if (!io) {
+    return;
+  }
+
+  if (isMember) {
+    addUserToCircleRoom(io, userId.toString(), circleId.toString());
+  } else {
+    removeUserFromCircleRoom(io, userId.toString(), circleId.toString());
+  }
 };
 
 /**
- * Emit event to all members of a circle
+ * Disconnect the sockets opened by revoked sessions, on every API instance
  */
-const emitToCircle = (io, circleId, event, data) => {
-  io.to(`circle:${circleId}`).emit(event, data);
+const disconnectSessionsFromRequest = (req, sessionIds) => {
+  const io = req.app.get('io');
+
+  if (!io || sessionIds.length === 0) {
+    return;
+  }
+
+  io.in(sessionIds.map((sessionId) => `session:${sessionId}`)).disconnectSockets(true);
 };
 
 /**
@@ -254,9 +723,29 @@ const emitToUsers = (io, userIds, event, data) => {
   });
 };
 
+/**
+ * Emit event to multiple users using the Socket.io instance attached to the Express app
+ */
+const emitToUsersFromRequest = (req, userIds, event, data) => {
+  const io = req.app.get('io');
+
+  if (!io) {
+    return;
+  }
+
+  emitToUsers(io, userIds.map((userId) => userId.toString()), event, data);
+};
+
 module.exports = {
   initializeSocket,
   emitToUser,
   emitToCircle,
-  emitToUsers
+  emitTransientToCircle,
+  emitToCircleFromRequest,
+  emitToUsers,
+  emitToUsersFromRequest,
+  addUserToCircleRoom,
+  removeUserFromCircleRoom,
+  syncCircleRoomFromRequest,
+  disconnectSessionsFromRequest
 };
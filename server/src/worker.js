@@ -0,0 +1,40 @@
+// File: server/worker.js
+// Purpose: Background job worker - runs scheduled jobs outside the API processes and
+//          emits to clients through the shared realtime backend
+// Dependencies: dotenv, database connection, realtime backend, background jobs
+
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const connectDB = require('./config/db');
+const { createRealtimeBackend } = require('./services/realtime');
+const { startJobs, stopJobs } = require('./jobs');
+
+// Connect to database
+connectDB();
+
+// The emitter reaches sockets on every API instance, so a shared backend is required
+const realtime = createRealtimeBackend();
+
+realtime
+  .createEmitter()
+  .then((emitter) => {
+    startJobs(emitter);
+    console.log(`Background job worker started (realtime: ${realtime.name})`);
+  })
+  .catch((err) => {
+    console.error(`Failed to start background job worker: ${err.message}`);
+    process.exit(1);
+  });
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+  console.log('SIGTERM signal received: stopping background jobs');
+  stopJobs();
+  realtime
+    .close()
+    .catch((err) => console.error(`Failed to close realtime backend: ${err.message}`))
+    .finally(() => process.exit(0));
+});
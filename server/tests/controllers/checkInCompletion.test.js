@@ -0,0 +1,140 @@
+// File: server/tests/controllers/checkInCompletion.test.js
+// Purpose: Tests that completing a late check-in, by hand or by arriving, retracts its overdue alert
+// Dependencies: jest, mongoose, CheckIn, Alert and LocationPoint models, check-in controller
+
+const mongoose = require('mongoose');
+const CheckIn = require('../../src/models/CheckIn');
+const Alert = require('../../src/models/Alert');
+const LocationPoint = require('../../src/models/LocationPoint');
+const { completeCheckIn, updateCheckInLocation } = require('../../src/controllers/checkInController');
+
+const HOME = [-73.98, 40.75];
+const START = [-73.99, 40.74];
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ana', duressPin: { enabled: false } };
+
+const buildCheckIn = (fields = {}) => {
+  const checkIn = new CheckIn({
+    user: user._id,
+    circle: new mongoose.Types.ObjectId(),
+    location: { type: 'Point', coordinates: START },
+    expectedReturnTime: new Date(Date.now() - 30 * 60 * 1000),
+    status: 'overdue',
+    notifications: { notifyIfOverdue: true, overdueNotificationSent: true, notifyOnComplete: false },
+    ...fields
+  });
+  jest.spyOn(checkIn, 'save').mockResolvedValue(checkIn);
+  jest.spyOn(CheckIn, 'findById').mockResolvedValue(checkIn);
+  return checkIn;
+};
+
+const buildJourney = (fields = {}) =>
+  buildCheckIn({
+    mode: 'journey',
+    journey: {
+      origin: { coordinates: START },
+      destination: { coordinates: HOME },
+      arrivalRadius: 100,
+      corridorMeters: 500,
+      stationaryMinutes: 10,
+      totalDistance: 1400,
+      deviation: { type: null }
+    },
+    ...fields
+  });
+
+// An open overdue alert for the check-in
+const useOverdueAlert = (checkIn) => {
+  const alert = new Alert({
+    triggeredBy: user._id,
+    circle: checkIn.circle,
+    type: 'check-in-overdue',
+    title: 'Ana has not checked in',
+    location: { type: 'Point', coordinates: START },
+    relatedCheckIn: checkIn._id
+  });
+  jest.spyOn(alert, 'save').mockResolvedValue(alert);
+  const find = jest.spyOn(Alert, 'find').mockResolvedValue([alert]);
+  return { alert, find };
+};
+
+const buildRequest = (checkIn, body) => ({
+  params: { id: checkIn._id.toString() },
+  body,
+  user,
+  app: { get: () => null }
+});
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.spyOn(LocationPoint, 'record').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('completeCheckIn', () => {
+  it('cancels the overdue alert of a late check-in', async () => {
+    const checkIn = buildCheckIn();
+    const { alert } = useOverdueAlert(checkIn);
+    const res = buildResponse();
+
+    await completeCheckIn(buildRequest(checkIn, {}), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(checkIn.status).toBe('completed');
+    expect(alert.status).toBe('cancelled');
+    expect(alert.resolutionNotes).toMatch('Checked in');
+  });
+
+  it('looks for no alert when the check-in was on time', async () => {
+    const checkIn = buildCheckIn({
+      status: 'active',
+      expectedReturnTime: new Date(Date.now() + 30 * 60 * 1000),
+      notifications: { overdueNotificationSent: false }
+    });
+    const find = jest.spyOn(Alert, 'find');
+
+    await completeCheckIn(buildRequest(checkIn, {}), buildResponse(), jest.fn());
+
+    expect(checkIn.status).toBe('completed');
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateCheckInLocation', () => {
+  it('cancels the overdue alert when a late journey arrives', async () => {
+    const checkIn = buildJourney();
+    const { alert } = useOverdueAlert(checkIn);
+    const res = buildResponse();
+
+    await updateCheckInLocation(buildRequest(checkIn, { longitude: HOME[0], latitude: HOME[1] }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(checkIn.completionStatus).toBe('auto-completed');
+    expect(alert.status).toBe('cancelled');
+    expect(alert.resolutionNotes).toMatch('Arrived at destination');
+  });
+
+  it('leaves the alert open while the late journey is still on its way', async () => {
+    const checkIn = buildJourney();
+    const { alert, find } = useOverdueAlert(checkIn);
+
+    await updateCheckInLocation(
+      buildRequest(checkIn, { longitude: START[0], latitude: START[1] }),
+      buildResponse(),
+      jest.fn()
+    );
+
+    expect(checkIn.status).toBe('overdue');
+    expect(find).not.toHaveBeenCalled();
+    expect(alert.status).toBe('active');
+  });
+});
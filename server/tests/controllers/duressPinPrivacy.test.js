@@ -0,0 +1,74 @@
+// File: server/tests/controllers/duressPinPrivacy.test.js
+// Purpose: Tests that whether a duress PIN is set shows only on its own settings endpoint
+// Dependencies: jest, mongoose, User and AuditLog models, auth and audit controllers
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const { getDuressPinStatus } = require('../../src/controllers/authController');
+const { getMyAuditLog } = require('../../src/controllers/auditController');
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buildUser = async () => {
+  const user = new User({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' });
+  await user.setDuressPin('25802580');
+  return user;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('duress PIN status', () => {
+  it('is left out of the public profile and of user documents sent as JSON', async () => {
+    const user = await buildUser();
+
+    expect(JSON.stringify(user.getPublicProfile())).not.toMatch(/duress/i);
+    expect(JSON.stringify(user)).not.toMatch(/duress/i);
+  });
+
+  it('is reported by its own endpoint', async () => {
+    const user = await buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = buildResponse();
+
+    await getDuressPinStatus({ user: { _id: user._id } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual({ enabled: true, updatedAt: user.duressPin.updatedAt });
+  });
+});
+
+describe('getMyAuditLog', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const readOwnLog = async (query = {}) => {
+    const findPage = jest.spyOn(AuditLog, 'findPage').mockResolvedValue([]);
+    const next = jest.fn();
+
+    await getMyAuditLog({ user: { _id: userId }, query }, buildResponse(), next);
+
+    expect(next).not.toHaveBeenCalled();
+    return findPage.mock.calls[0];
+  };
+
+  it('leaves duress PIN changes out of the account\'s own log', async () => {
+    const [filter] = await readOwnLog();
+
+    expect(filter.$and).toContainEqual({ action: { $nin: ['user.duress-pin-changed'] } });
+  });
+
+  it('keeps them out when asked for by action', async () => {
+    const [filter, options] = await readOwnLog({ action: 'user.duress-pin-changed' });
+
+    // findPage adds the action alongside the filter, so both must hold
+    expect(options.action).toBe('user.duress-pin-changed');
+    expect(filter.$and).toContainEqual({ action: { $nin: ['user.duress-pin-changed'] } });
+  });
+});
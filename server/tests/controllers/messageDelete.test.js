@@ -0,0 +1,110 @@
+// File: server/tests/controllers/messageDelete.test.js
+// Purpose: Tests that deleting a message in a silent alert's thread stays hidden from the alert's creator
+// Dependencies: jest, mongoose, Message, Circle, Alert and CircleEvent models, message controller
+
+const mongoose = require('mongoose');
+const Message = require('../../src/models/Message');
+const Circle = require('../../src/models/Circle');
+const Alert = require('../../src/models/Alert');
+const CircleEvent = require('../../src/models/CircleEvent');
+const { deleteMessage } = require('../../src/controllers/messageController');
+
+const creator = new mongoose.Types.ObjectId();
+const member = new mongoose.Types.ObjectId();
+
+const circle = {
+  _id: new mongoose.Types.ObjectId(),
+  isMember: () => true,
+  isAdmin: () => false
+};
+
+const buildIo = () => {
+  const emit = jest.fn();
+  const except = jest.fn(() => ({ emit }));
+  const to = jest.fn(() => ({ emit, except }));
+  return { io: { to }, except, emit };
+};
+
+// A message posted by a member in the thread of an alert raised by the creator
+const useThreadMessage = ({ isSilent }) => {
+  const alert = new Alert({
+    triggeredBy: creator,
+    circle: circle._id,
+    title: 'Emergency',
+    location: { type: 'Point', coordinates: [-73.98, 40.75] },
+    isSilent
+  });
+  const message = new Message({ circle: circle._id, sender: member, alert: alert._id, content: 'On my way' });
+  jest.spyOn(message, 'save').mockResolvedValue(message);
+
+  jest.spyOn(Circle, 'findOne').mockResolvedValue(circle);
+  jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+  jest.spyOn(Alert, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(alert) });
+  return message;
+};
+
+const remove = async (userId, io = null) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await deleteMessage(
+    {
+      params: { id: circle._id.toString(), messageId: new mongoose.Types.ObjectId().toString() },
+      user: { _id: userId },
+      app: { get: () => io }
+    },
+    res,
+    next
+  );
+  return { res, next };
+};
+
+beforeEach(() => {
+  jest.spyOn(CircleEvent, 'append').mockResolvedValue({ seq: 3 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deleteMessage', () => {
+  it('keeps the deletion of a silent alert\'s thread message from the alert\'s creator', async () => {
+    const message = useThreadMessage({ isSilent: true });
+    const { io, except } = buildIo();
+
+    const { res } = await remove(member, io);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(message.isDeleted).toBe(true);
+    expect(CircleEvent.append).toHaveBeenCalledWith(
+      circle._id.toString(),
+      'message:deleted',
+      expect.objectContaining({ messageId: message._id }),
+      expect.objectContaining({ hiddenFrom: creator })
+    );
+    await new Promise(setImmediate);
+    expect(except).toHaveBeenCalledWith(`user:${creator}`);
+  });
+
+  it('broadcasts to the whole circle for an ordinary alert', async () => {
+    useThreadMessage({ isSilent: false });
+    const { io, except, emit } = buildIo();
+
+    await remove(member, io);
+    await new Promise(setImmediate);
+
+    expect(except).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith('message:deleted', expect.objectContaining({ seq: 3 }));
+  });
+
+  it('does not find the message for the creator of the silent alert', async () => {
+    const message = useThreadMessage({ isSilent: true });
+
+    const { next } = await remove(creator);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 404, message: 'Message not found' }));
+    expect(message.isDeleted).toBe(false);
+  });
+});
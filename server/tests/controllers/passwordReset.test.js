@@ -0,0 +1,89 @@
+// File: server/tests/controllers/passwordReset.test.js
+// Purpose: Tests for resetting a password through an emailed link
+// Dependencies: jest, User, Session and AuditLog models, auth controller
+
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const AuditLog = require('../../src/models/AuditLog');
+const { resetPassword } = require('../../src/controllers/authController');
+
+const DURESS_PIN = '25802580';
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buildRequest = (password) => ({
+  params: { token: 'a'.repeat(64) },
+  body: { password },
+  headers: {},
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  app: { get: () => null }
+});
+
+// A user with a duress PIN, holding a valid reset link
+const useResetLink = async () => {
+  const user = new User({ name: 'Ana', email: 'ana@example.com', password: 'old password' });
+  await user.setDuressPin(DURESS_PIN);
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+
+  jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  const consume = jest.spyOn(User, 'consumeAuthToken').mockResolvedValue(user);
+  return { user, consume };
+};
+
+const reset = async (password) => {
+  const res = buildResponse();
+  const next = jest.fn();
+  await resetPassword(buildRequest(password), res, next);
+  return { res, next };
+};
+
+beforeEach(() => {
+  jest.spyOn(Session, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resetPassword', () => {
+  it('sets the new password and signs the user out everywhere', async () => {
+    const { user, consume } = await useResetLink();
+
+    const { res, next } = await reset('new password');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(consume).toHaveBeenCalled();
+    expect(user.save).toHaveBeenCalled();
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'password-reset');
+  });
+
+  it('refuses the duress PIN as the new password, keeping the link usable', async () => {
+    const { user, consume } = await useResetLink();
+
+    const { res, next } = await reset(DURESS_PIN);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 400, message: 'New password cannot be the same as your duress PIN' })
+    );
+    expect(res.status).not.toHaveBeenCalled();
+    expect(consume).not.toHaveBeenCalled();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses an invalid or expired link', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    const { next } = await reset('new password');
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,166 @@
+// File: server/tests/controllers/sessions.test.js
+// Purpose: Tests for refresh token rotation, reuse detection and revoked sessions
+// Dependencies: jest, mongoose, crypto, User and Session models, auth middleware, auth controller,
+//               memory collection helper
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const { protect, verifyRefreshToken } = require('../../src/middleware/auth');
+const { refreshToken } = require('../../src/controllers/authController');
+const { useMemoryCollection } = require('../helpers/memoryCollection');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buildRequest = (fields) => ({
+  headers: {},
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  app: { get: () => null },
+  ...fields
+});
+
+// A signed-in user with one session holding its first refresh token
+const signIn = () => {
+  const user = new User({ name: 'Ana', email: 'ana@example.com', password: 'Password123!' });
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  const token = user.generateRefreshToken(session._id);
+  session.tokenHash = hashToken(token);
+
+  useMemoryCollection(Session, [session]);
+  return { user, session, token };
+};
+
+// Present a refresh token to the refresh endpoint
+const refresh = async (user, session, token) => {
+  const res = buildResponse();
+  await refreshToken(buildRequest({ body: { refreshToken: token }, user, authSession: session }), res, jest.fn());
+  return res;
+};
+
+// Present a refresh token to the refresh middleware
+const verifyRefresh = async (user, session, token) => {
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(Session, 'findOne').mockImplementation(async () => Session.hydrate({ ...session }));
+
+  const res = buildResponse();
+  const next = jest.fn();
+  await verifyRefreshToken(buildRequest({ body: { refreshToken: token } }), res, next);
+  return { res, next };
+};
+
+// Run a step a second on, so the tokens it signs differ from those signed at sign-in
+const aSecondLater = async (step) => {
+  jest.useFakeTimers({ now: Date.now() + 1000, doNotFake: ['nextTick', 'setImmediate'] });
+  try {
+    return await step();
+  } finally {
+    jest.useRealTimers();
+  }
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh token rotation', () => {
+  it('issues a new refresh token and stores only its hash', async () => {
+    const { user, session, token } = signIn();
+
+    const res = await aSecondLater(() => refresh(user, session, token));
+
+    const { refreshToken: rotated, accessToken } = res.json.mock.calls[0][0].data;
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(rotated).not.toBe(token);
+    expect(accessToken).toEqual(expect.any(String));
+    expect(session.tokenHash).toBe(hashToken(rotated));
+  });
+
+  it('rejects the old token once it has been rotated, revoking the session', async () => {
+    const { user, session, token } = signIn();
+
+    await aSecondLater(() => refresh(user, session, token));
+    const res = await refresh(user, session, token);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REFRESH_TOKEN_REUSED' }));
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('token-reuse');
+  });
+
+  it('refuses the latest token too once reuse has revoked the session', async () => {
+    const { user, session, token } = signIn();
+    session.tokenHash = hashToken('a token issued later');
+
+    await refresh(user, session, token);
+    const { res, next } = await verifyRefresh(user, session, user.generateRefreshToken(session._id));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+  });
+});
+
+describe('protect', () => {
+  const authenticate = async (user, session) => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    const req = buildRequest({ headers: { authorization: `Bearer ${user.generateAccessToken(session._id)}` } });
+    const res = buildResponse();
+    const next = jest.fn();
+    await protect(req, res, next);
+    return { req, res, next };
+  };
+
+  it('accepts an access token of an active session', async () => {
+    const { user, session } = signIn();
+
+    const { req, next } = await authenticate(user, session);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId.toString()).toBe(session._id.toString());
+  });
+
+  it('refuses an access token of a revoked session before it expires', async () => {
+    const { user, session } = signIn();
+    await Session.revoke(session._id, 'signed-out');
+
+    const { res, next } = await authenticate(user, session);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+  });
+});
+
+describe('Session.revokeAllForUser', () => {
+  it('revokes every other session of the user', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const current = { _id: new mongoose.Types.ObjectId(), user: userId, revokedAt: null };
+    const other = { _id: new mongoose.Types.ObjectId(), user: userId, revokedAt: null };
+    const someoneElse = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), revokedAt: null };
+    useMemoryCollection(Session, [current, other, someoneElse]);
+
+    await Session.revokeAllForUser(userId, 'password-changed', current._id);
+
+    expect(current.revokedAt).toBeNull();
+    expect(other).toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'password-changed' });
+    expect(someoneElse.revokedAt).toBeNull();
+  });
+});
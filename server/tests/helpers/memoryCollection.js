@@ -0,0 +1,145 @@
+// File: server/tests/helpers/memoryCollection.js
+// Purpose: In-memory stand-in for a model's atomic write queries, to exercise claims and
+//          compare-and-set updates without MongoDB
+// Dependencies: None
+
+/**
+ * Read a dotted path from a plain object
+ */
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+/**
+ * Write a dotted path on a plain object, creating parents as needed
+ */
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === null || target[key] === undefined) {
+      target[key] = {};
+    }
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+/**
+ * Compare two values the way MongoDB equality does for the types used here
+ * (null also matches a missing field)
+ */
+const isEqual = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a.toString() === b.toString();
+};
+
+/**
+ * Equality that also matches an array field containing the value
+ */
+const matchesValue = (value, condition) =>
+  Array.isArray(value) && !Array.isArray(condition)
+    ? value.some((item) => isEqual(item, condition))
+    : isEqual(value, condition);
+
+const OPERATORS = {
+  $in: (value, list) => list.some((item) => matchesValue(value, item)),
+  $ne: (value, other) => !matchesValue(value, other),
+  $lt: (value, other) => value !== null && value !== undefined && value < other,
+  $lte: (value, other) => value !== null && value !== undefined && value <= other,
+  $gt: (value, other) => value !== null && value !== undefined && value > other,
+  $exists: (value, exists) => (value !== undefined) === exists
+};
+
+/**
+ * Check a document against a filter (equality, $or and the operators above)
+ */
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') {
+      return condition.some((branch) => matches(doc, branch));
+    }
+
+    const value = getPath(doc, path);
+    const isOperatorObject =
+      condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      Object.keys(condition).some((key) => key.startsWith('$'));
+
+    if (isOperatorObject) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+
+    return matchesValue(value, condition);
+  });
+
+/**
+ * Apply $set, $unset, $inc, $addToSet, $pull and $push (with $each/$slice) to a document
+ */
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  Object.keys(update.$unset || {}).forEach((path) => setPath(doc, path, undefined));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries(update.$addToSet || {}).forEach(([path, value]) => {
+    const list = getPath(doc, path) || [];
+    setPath(doc, path, list.some((item) => isEqual(item, value)) ? list : [...list, value]);
+  });
+  Object.entries(update.$pull || {}).forEach(([path, value]) => {
+    setPath(doc, path, (getPath(doc, path) || []).filter((item) => !isEqual(item, value)));
+  });
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const items = value && value.$each ? value.$each : [value];
+    let list = [...(getPath(doc, path) || []), ...items];
+    if (value && value.$slice !== undefined) {
+      list = list.slice(value.$slice);
+    }
+    setPath(doc, path, list);
+  });
+};
+
+/**
+ * Replace the model's findOneAndUpdate, updateOne, updateMany and exists with queries over
+ * `docs`. Matching and updating happen in one synchronous step, as they do atomically in MongoDB.
+ * Returns the jest spies by method name.
+ */
+const useMemoryCollection = (Model, docs) => {
+  const updateMatching = (filter, update, many) => {
+    const matched = docs.filter((doc) => matches(doc, filter));
+    const updated = many ? matched : matched.slice(0, 1);
+
+    updated.forEach((doc) => applyUpdate(doc, update));
+    return { matchedCount: updated.length, modifiedCount: updated.length };
+  };
+
+  return {
+    findOneAndUpdate: jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc) {
+        return null;
+      }
+
+      applyUpdate(doc, update);
+      return doc;
+    }),
+
+    updateOne: jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) =>
+      updateMatching(filter, update, false)
+    ),
+
+    updateMany: jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) =>
+      updateMatching(filter, update, true)
+    ),
+
+    exists: jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      return doc ? { _id: doc._id } : null;
+    })
+  };
+};
+
+module.exports = {
+  useMemoryCollection
+};
@@ -0,0 +1,102 @@
+// File: server/tests/jobs/deliveryFallback.test.js
+// Purpose: Tests for paging members who did not ack a critical circle event
+// Dependencies: jest, mongoose, CircleEvent, Alert and User models, notifications,
+//               delivery fallback job, memory collection helper
+
+const mongoose = require('mongoose');
+const CircleEvent = require('../../src/models/CircleEvent');
+const Alert = require('../../src/models/Alert');
+const User = require('../../src/models/User');
+const { send } = require('../../src/services/notifications');
+const { runDeliveryFallback } = require('../../src/jobs/deliveryFallbackJob');
+const { useMemoryCollection } = require('../helpers/memoryCollection');
+
+jest.mock('../../src/services/notifications', () => ({
+  ...jest.requireActual('../../src/services/notifications'),
+  send: jest.fn()
+}));
+
+const acked = new mongoose.Types.ObjectId();
+const unacked = new mongoose.Types.ObjectId();
+
+const alert = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Emergency',
+  type: 'emergency',
+  severity: 'critical'
+};
+
+const buildEvent = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  circle: new mongoose.Types.ObjectId(),
+  seq: 4,
+  event: 'alert:new',
+  critical: true,
+  data: { alert: { _id: alert._id.toString() } },
+  recipients: [acked, unacked],
+  ackedBy: [acked],
+  fallbackProcessedAt: null
+});
+
+// Resolve a chained .select() with the given result
+const selecting = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  send.mockReset();
+});
+
+describe('runDeliveryFallback', () => {
+  it('pages only the recipients who have not acked, once', async () => {
+    const event = buildEvent();
+    jest.spyOn(CircleEvent, 'findPendingFallback').mockResolvedValue([event]);
+    useMemoryCollection(CircleEvent, [event]);
+    jest.spyOn(Alert, 'findOne').mockReturnValue(selecting(alert));
+    const findUsers = jest
+      .spyOn(User, 'find')
+      .mockReturnValue(selecting([{ _id: unacked, name: 'Lee', phone: '+15550100' }]));
+
+    await runDeliveryFallback();
+    await runDeliveryFallback();
+
+    expect(findUsers).toHaveBeenCalledTimes(1);
+    expect(findUsers.mock.calls[0][0]._id.$in).toEqual([unacked]);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: 'sms',
+        recipient: { userId: unacked, address: '+15550100' }
+      })
+    );
+  });
+
+  it('sends nothing when every recipient has acked', async () => {
+    const event = { ...buildEvent(), ackedBy: [acked, unacked] };
+    jest.spyOn(CircleEvent, 'findPendingFallback').mockResolvedValue([event]);
+    useMemoryCollection(CircleEvent, [event]);
+    const findAlert = jest.spyOn(Alert, 'findOne');
+
+    await runDeliveryFallback();
+
+    expect(findAlert).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing once the alert is closed', async () => {
+    const event = buildEvent();
+    jest.spyOn(CircleEvent, 'findPendingFallback').mockResolvedValue([event]);
+    useMemoryCollection(CircleEvent, [event]);
+    jest.spyOn(Alert, 'findOne').mockReturnValue(selecting(null));
+
+    await runDeliveryFallback();
+
+    expect(Alert.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ status: { $in: ['active', 'acknowledged'] } })
+    );
+    expect(send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+// File: server/tests/jobs/overdueCheckIn.test.js
+// Purpose: Tests that the overdue sweep retries check-ins whose alert could not be raised
+// Dependencies: jest, mongoose, CheckIn, Alert and LocationPoint models, overdue check-in job,
+//               memory collection helper
+
+const mongoose = require('mongoose');
+const CheckIn = require('../../src/models/CheckIn');
+const Alert = require('../../src/models/Alert');
+const LocationPoint = require('../../src/models/LocationPoint');
+const { runOverdueSweep } = require('../../src/jobs/overdueCheckInJob');
+const { useMemoryCollection } = require('../helpers/memoryCollection');
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ana' };
+
+const circle = {
+  _id: new mongoose.Types.ObjectId(),
+  isActive: true,
+  settings: { checkInGracePeriodMinutes: 0 }
+};
+
+// An overdue check-in, populated as findPendingOverdueAlerts returns it
+const buildCheckIn = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user,
+  circle,
+  status: 'overdue',
+  createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+  expectedReturnTime: new Date(Date.now() - 60 * 60 * 1000),
+  location: { coordinates: [-73.98, 40.75] },
+  notifications: { notifyIfOverdue: true, overdueNotificationSent: false }
+});
+
+// Serve the check-ins still waiting for their alert, as the real query would
+const useCheckIns = (checkIns) => {
+  jest
+    .spyOn(CheckIn, 'findPendingOverdueAlerts')
+    .mockImplementation(async () => checkIns.filter((checkIn) => !checkIn.notifications.overdueNotificationSent));
+  useMemoryCollection(CheckIn, checkIns);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runOverdueSweep', () => {
+  it('retries on the next sweep when the alert could not be created', async () => {
+    const checkIn = buildCheckIn();
+    useCheckIns([checkIn]);
+    const create = jest.spyOn(Alert, 'create').mockRejectedValue(new Error('Write failed'));
+
+    await runOverdueSweep(null);
+
+    expect(checkIn.notifications.overdueNotificationSent).toBe(false);
+
+    await runOverdueSweep(null);
+
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps going with the other check-ins after a failure', async () => {
+    const failing = buildCheckIn();
+    const next = buildCheckIn();
+    useCheckIns([failing, next]);
+    const create = jest.spyOn(Alert, 'create').mockRejectedValue(new Error('Write failed'));
+
+    await runOverdueSweep(null);
+
+    expect(create.mock.calls.map(([data]) => data.relatedCheckIn)).toEqual([failing._id, next._id]);
+  });
+
+  it('does not raise the alert again when a later step fails', async () => {
+    const checkIn = buildCheckIn();
+    useCheckIns([checkIn]);
+    const create = jest.spyOn(Alert, 'create').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    jest.spyOn(LocationPoint, 'pinForAlert').mockRejectedValue(new Error('Write failed'));
+
+    await runOverdueSweep(null);
+    await runOverdueSweep(null);
+
+    expect(checkIn.notifications.overdueNotificationSent).toBe(true);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
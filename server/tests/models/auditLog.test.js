@@ -0,0 +1,49 @@
+// File: server/tests/models/auditLog.test.js
+// Purpose: Tests that audit log entries cannot be changed or removed once written
+// Dependencies: jest, mongoose, AuditLog model
+
+const mongoose = require('mongoose');
+const AuditLog = require('../../src/models/AuditLog');
+
+const REFUSED = 'Audit log entries cannot be modified';
+
+// An entry as loaded from the database
+const loadEntry = () =>
+  AuditLog.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    actor: new mongoose.Types.ObjectId(),
+    action: 'user.password-changed',
+    target: { kind: 'User', id: new mongoose.Types.ObjectId() },
+    changes: { before: {}, after: {} },
+    createdAt: new Date('2026-10-19T12:00:00Z')
+  });
+
+describe('AuditLog append-only hooks', () => {
+  const filter = { action: 'user.password-changed' };
+  const update = { $set: { action: 'user.privacy-updated' } };
+
+  it('refuses query updates', async () => {
+    await expect(AuditLog.updateOne(filter, update)).rejects.toThrow(REFUSED);
+    await expect(AuditLog.updateMany(filter, update)).rejects.toThrow(REFUSED);
+    await expect(AuditLog.findOneAndUpdate(filter, update)).rejects.toThrow(REFUSED);
+    await expect(AuditLog.replaceOne(filter, { action: 'user.privacy-updated' })).rejects.toThrow(REFUSED);
+    await expect(AuditLog.findOneAndReplace(filter, { action: 'user.privacy-updated' })).rejects.toThrow(REFUSED);
+  });
+
+  it('refuses query deletes', async () => {
+    await expect(AuditLog.deleteOne(filter)).rejects.toThrow(REFUSED);
+    await expect(AuditLog.deleteMany({})).rejects.toThrow(REFUSED);
+    await expect(AuditLog.findOneAndDelete(filter)).rejects.toThrow(REFUSED);
+  });
+
+  it('refuses deleting a loaded entry', async () => {
+    await expect(loadEntry().deleteOne()).rejects.toThrow(REFUSED);
+  });
+
+  it('refuses saving a loaded entry again', async () => {
+    const entry = loadEntry();
+    entry.action = 'user.privacy-updated';
+
+    await expect(entry.save()).rejects.toThrow(REFUSED);
+  });
+});
@@ -0,0 +1,47 @@
+// File: server/tests/models/authTokens.test.js
+// Purpose: Tests for single-use password reset and email verification tokens
+// Dependencies: jest, crypto, User model
+
+const crypto = require('crypto');
+const User = require('../../src/models/User');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildUser = () => new User({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' });
+
+describe('User.createAuthToken', () => {
+  it('stores only the hash of the token it returns', () => {
+    const user = buildUser();
+
+    const token = user.createAuthToken('passwordReset');
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.passwordResetToken).toBe(hashToken(token));
+    expect(user.passwordResetToken).not.toBe(token);
+  });
+
+  it('expires each kind after its own lifetime', () => {
+    const user = buildUser();
+    const before = Date.now();
+
+    user.createAuthToken('passwordReset');
+    user.createAuthToken('emailVerification');
+
+    expect(user.passwordResetExpires.getTime() - before).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(user.passwordResetExpires.getTime() - before).toBeLessThan(31 * 60 * 1000);
+    expect(user.emailVerificationExpires.getTime() - before).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    expect(user.emailVerificationExpires.getTime() - before).toBeLessThan(24 * 60 * 60 * 1000 + 60 * 1000);
+  });
+
+  it('replaces an earlier token of the same kind only', () => {
+    const user = buildUser();
+    const verification = user.createAuthToken('emailVerification');
+    const first = user.createAuthToken('passwordReset');
+
+    const second = user.createAuthToken('passwordReset');
+
+    expect(second).not.toBe(first);
+    expect(user.passwordResetToken).toBe(hashToken(second));
+    expect(user.emailVerificationToken).toBe(hashToken(verification));
+  });
+});
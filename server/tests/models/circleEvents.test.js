@@ -0,0 +1,141 @@
+// File: server/tests/models/circleEvents.test.js
+// Purpose: Tests for appending to and reading back a circle's replay log
+// Dependencies: jest, mongoose, Circle and CircleEvent models
+
+const mongoose = require('mongoose');
+const Circle = require('../../src/models/Circle');
+const CircleEvent = require('../../src/models/CircleEvent');
+
+const sender = new mongoose.Types.ObjectId();
+const member = new mongoose.Types.ObjectId();
+const formerMember = new mongoose.Types.ObjectId();
+
+const buildCircle = (eventSequence) => {
+  const circle = new Circle({
+    name: 'Family',
+    createdBy: sender,
+    members: [
+      { user: sender, role: 'admin' },
+      { user: member },
+      { user: formerMember, isActive: false }
+    ]
+  });
+  circle.eventSequence = eventSequence;
+  return circle;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CircleEvent.append', () => {
+  beforeEach(() => {
+    jest.spyOn(CircleEvent, 'create').mockImplementation(async (data) => data);
+  });
+
+  it('numbers the event with the circle\'s next sequence number', async () => {
+    const circle = buildCircle(8);
+    const findByIdAndUpdate = jest.spyOn(Circle, 'findByIdAndUpdate').mockResolvedValue(circle);
+
+    const entry = await CircleEvent.append(circle._id, 'place:created', { name: 'Home' });
+
+    expect(findByIdAndUpdate).toHaveBeenCalledWith(
+      circle._id,
+      { $inc: { eventSequence: 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(entry).toMatchObject({ seq: 8, event: 'place:created', critical: false, recipients: [] });
+  });
+
+  it('addresses critical events to the active members other than the sender', async () => {
+    const circle = buildCircle(3);
+    jest.spyOn(Circle, 'findByIdAndUpdate').mockResolvedValue(circle);
+
+    const entry = await CircleEvent.append(
+      circle._id,
+      'alert:new',
+      { alert: { _id: 'a1' } },
+      { critical: true, excludeUserId: sender }
+    );
+
+    expect(entry.recipients.map(String)).toEqual([member.toString()]);
+  });
+
+  it('stores ObjectIds and dates as they were sent over the socket', async () => {
+    const circle = buildCircle(1);
+    jest.spyOn(Circle, 'findByIdAndUpdate').mockResolvedValue(circle);
+    const placeId = new mongoose.Types.ObjectId();
+
+    const entry = await CircleEvent.append(circle._id, 'place:created', {
+      place: { _id: placeId, createdAt: new Date('2026-10-19T12:00:00Z') }
+    });
+
+    expect(entry.data).toEqual({ place: { _id: placeId.toString(), createdAt: '2026-10-19T12:00:00.000Z' } });
+  });
+
+  it('fails for a circle that no longer exists', async () => {
+    jest.spyOn(Circle, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    await expect(CircleEvent.append(new mongoose.Types.ObjectId(), 'place:created', {})).rejects.toThrow(
+      'Circle not found'
+    );
+    expect(CircleEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('leaves personal data out of the stored copy', async () => {
+    const circle = buildCircle(2);
+    jest.spyOn(Circle, 'findByIdAndUpdate').mockResolvedValue(circle);
+    const alertId = new mongoose.Types.ObjectId();
+
+    const entry = await CircleEvent.append(circle._id, 'alert:new', {
+      alert: {
+        _id: alertId,
+        title: 'Emergency',
+        location: { type: 'Point', coordinates: [-73.98, 40.75] },
+        triggeredBy: { _id: sender, name: 'Ana', email: 'ana@example.com', phone: '+15550100' },
+        notifiedUsers: [{ user: member }]
+      },
+      user: { id: sender, name: 'Ana', email: 'ana@example.com' }
+    });
+
+    expect(entry.data).toEqual({
+      alert: { _id: alertId.toString(), title: 'Emergency', triggeredBy: sender.toString() },
+      user: { id: sender.toString(), name: 'Ana' }
+    });
+  });
+});
+
+describe('CircleEvent.hasExpiredSince', () => {
+  // Resolve a find query chain with the given result
+  const chain = (result) => {
+    const query = {};
+    query.sort = jest.fn(() => query);
+    query.select = jest.fn(() => query);
+    query.lean = jest.fn().mockResolvedValue(result);
+    return query;
+  };
+
+  const circleId = new mongoose.Types.ObjectId();
+
+  it('is false while the oldest retained event follows on from the client\'s last one', async () => {
+    jest.spyOn(CircleEvent, 'findOne').mockReturnValue(chain({ seq: 11 }));
+
+    expect(await CircleEvent.hasExpiredSince(circleId, 10)).toBe(false);
+    expect(await CircleEvent.hasExpiredSince(circleId, 15)).toBe(false);
+  });
+
+  it('is true once events after the client\'s last one have been dropped', async () => {
+    jest.spyOn(CircleEvent, 'findOne').mockReturnValue(chain({ seq: 12 }));
+
+    expect(await CircleEvent.hasExpiredSince(circleId, 10)).toBe(true);
+  });
+
+  it('compares with the circle\'s sequence when nothing is retained', async () => {
+    jest.spyOn(CircleEvent, 'findOne').mockReturnValue(chain(null));
+    const findCircle = jest.spyOn(Circle, 'findById').mockReturnValue(chain({ eventSequence: 10 }));
+
+    expect(await CircleEvent.hasExpiredSince(circleId, 10)).toBe(false);
+    expect(await CircleEvent.hasExpiredSince(circleId, 9)).toBe(true);
+    expect(findCircle).toHaveBeenCalledWith(circleId);
+  });
+});
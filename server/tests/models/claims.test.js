@@ -0,0 +1,220 @@
+// File: server/tests/models/claims.test.js
+// Purpose: Tests that the atomic claim statics let exactly one caller win
+// Dependencies: jest, mongoose, CheckIn, CheckInSchedule, Alert, CircleEvent, Session and User models, memory collection helper
+
+const mongoose = require('mongoose');
+const CheckIn = require('../../src/models/CheckIn');
+const CheckInSchedule = require('../../src/models/CheckInSchedule');
+const Alert = require('../../src/models/Alert');
+const CircleEvent = require('../../src/models/CircleEvent');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const { useMemoryCollection } = require('../helpers/memoryCollection');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Run the same claim from several callers at once and keep the ones that won
+const race = async (claim, callers = 5) =>
+  (await Promise.all(Array.from({ length: callers }, () => claim()))).filter(Boolean);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Alert.claimForEscalation', () => {
+  it('leases the alert to one instance until the lease expires', async () => {
+    const alert = { _id: newId(), status: 'active', autoEscalate: { escalated: false, claimExpiresAt: null } };
+    useMemoryCollection(Alert, [alert]);
+
+    const winners = await Promise.all(
+      ['instance-a', 'instance-b', 'instance-c'].map((instance) => Alert.claimForEscalation(alert._id, instance))
+    );
+
+    expect(winners.filter(Boolean)).toHaveLength(1);
+    const holder = alert.autoEscalate.claimedBy;
+
+    expect(await Alert.claimForEscalation(alert._id, 'instance-d')).toBeNull();
+    expect(alert.autoEscalate.claimedBy).toBe(holder);
+
+    alert.autoEscalate.claimExpiresAt = new Date(Date.now() - 1000);
+    expect(await Alert.claimForEscalation(alert._id, 'instance-d')).not.toBeNull();
+    expect(alert.autoEscalate.claimedBy).toBe('instance-d');
+  });
+
+  it('does not claim an alert that was already escalated or is no longer active', async () => {
+    const escalated = { _id: newId(), status: 'active', autoEscalate: { escalated: true } };
+    const cancelled = { _id: newId(), status: 'cancelled', autoEscalate: { escalated: false } };
+    useMemoryCollection(Alert, [escalated, cancelled]);
+
+    expect(await Alert.claimForEscalation(escalated._id, 'instance-a')).toBeNull();
+    expect(await Alert.claimForEscalation(cancelled._id, 'instance-a')).toBeNull();
+  });
+});
+
+describe('CheckIn.claimOverdueNotification', () => {
+  it('marks the check-in overdue for exactly one caller', async () => {
+    const checkIn = { _id: newId(), status: 'active', notifications: { overdueNotificationSent: false } };
+    useMemoryCollection(CheckIn, [checkIn]);
+
+    const winners = await race(() => CheckIn.claimOverdueNotification(checkIn._id));
+
+    expect(winners).toHaveLength(1);
+    expect(checkIn.status).toBe('overdue');
+    expect(checkIn.notifications.overdueNotificationSent).toBe(true);
+  });
+
+  it('does not claim a check-in that was completed', async () => {
+    const checkIn = { _id: newId(), status: 'completed', notifications: { overdueNotificationSent: false } };
+    useMemoryCollection(CheckIn, [checkIn]);
+
+    expect(await CheckIn.claimOverdueNotification(checkIn._id)).toBeNull();
+    expect(checkIn.status).toBe('completed');
+  });
+});
+
+describe('CircleEvent.claimFallback', () => {
+  it('lets one caller send the fallback notification', async () => {
+    const event = { _id: newId(), fallbackProcessedAt: null };
+    useMemoryCollection(CircleEvent, [event]);
+
+    const winners = await race(() => CircleEvent.claimFallback(event._id));
+
+    expect(winners).toHaveLength(1);
+    expect(event.fallbackProcessedAt).toBeInstanceOf(Date);
+    expect(await CircleEvent.claimFallback(event._id)).toBeNull();
+  });
+});
+
+describe('Session.rotate', () => {
+  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const buildSession = () => {
+    const session = new Session({ user: newId() });
+    session.setToken('first-token', expiresAt);
+    return session.toObject();
+  };
+
+  it('rotates a refresh token once, so a reused token is refused', async () => {
+    const session = buildSession();
+    useMemoryCollection(Session, [session]);
+
+    const winners = await Promise.all(
+      ['second-token', 'other-token'].map((next) => Session.rotate(session._id, 'first-token', next, expiresAt))
+    );
+
+    expect(winners.filter(Boolean)).toHaveLength(1);
+    expect(await Session.rotate(session._id, 'first-token', 'third-token', expiresAt)).toBeNull();
+  });
+
+  it('does not rotate a revoked session', async () => {
+    const session = { ...buildSession(), revokedAt: new Date() };
+    useMemoryCollection(Session, [session]);
+
+    expect(await Session.rotate(session._id, 'first-token', 'second-token', expiresAt)).toBeNull();
+  });
+});
+
+describe('User.consumeAuthToken', () => {
+  const buildUser = () => {
+    const user = new User({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' });
+    const token = user.createAuthToken('passwordReset');
+    return { user: user.toObject(), token };
+  };
+
+  it('redeems a token once and applies the update', async () => {
+    const { user, token } = buildUser();
+    useMemoryCollection(User, [user]);
+
+    const winners = await race(() =>
+      User.consumeAuthToken('passwordReset', token, { $set: { isVerified: true } })
+    );
+
+    expect(winners).toHaveLength(1);
+    expect(user.isVerified).toBe(true);
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(await User.consumeAuthToken('passwordReset', token)).toBeNull();
+  });
+
+  it('refuses an expired or unknown token', async () => {
+    const { user, token } = buildUser();
+    user.passwordResetExpires = new Date(Date.now() - 1000);
+    useMemoryCollection(User, [user]);
+
+    expect(await User.consumeAuthToken('passwordReset', token)).toBeNull();
+    expect(await User.consumeAuthToken('passwordReset', 'not-a-token')).toBeNull();
+  });
+});
+
+describe('CheckInSchedule.claimOccurrence', () => {
+  const startsAt = new Date('2026-10-19T12:30:00Z');
+  const next = new Date('2026-10-20T12:30:00Z');
+  const occurrence = { startsAt, date: '2026-10-19' };
+
+  const buildSchedule = (fields = {}) => ({
+    _id: newId(),
+    nextOccurrenceAt: new Date(startsAt),
+    isPaused: false,
+    isDeleted: false,
+    ...fields
+  });
+
+  it('hands each occurrence to one caller and moves on to the next', async () => {
+    const schedule = buildSchedule();
+    useMemoryCollection(CheckInSchedule, [schedule]);
+
+    const winners = await race(() => CheckInSchedule.claimOccurrence(schedule._id, occurrence, next));
+
+    expect(winners).toHaveLength(1);
+    expect(schedule.nextOccurrenceAt).toBe(next);
+    expect(schedule.lastOccurrenceDate).toBe('2026-10-19');
+  });
+
+  it('does not claim a paused schedule', async () => {
+    const schedule = buildSchedule({ isPaused: true });
+    useMemoryCollection(CheckInSchedule, [schedule]);
+
+    expect(await CheckInSchedule.claimOccurrence(schedule._id, occurrence, next)).toBeNull();
+  });
+
+  it('does not claim an occurrence the schedule has since moved past', async () => {
+    const schedule = buildSchedule({ nextOccurrenceAt: next });
+    useMemoryCollection(CheckInSchedule, [schedule]);
+
+    expect(await CheckInSchedule.claimOccurrence(schedule._id, occurrence, next)).toBeNull();
+  });
+});
+
+describe('CheckIn.claimStationaryWarning', () => {
+  const buildJourney = (lastMovedAt) => ({
+    _id: newId(),
+    status: 'active',
+    journey: {
+      lastMovedAt,
+      lastMovedFrom: [-73.98, 40.75],
+      stationaryMinutes: 10,
+      deviation: { type: null },
+      warnings: []
+    }
+  });
+
+  it('raises the warning once', async () => {
+    const lastMovedAt = new Date(Date.now() - 15 * 60 * 1000);
+    const checkIn = buildJourney(lastMovedAt);
+    useMemoryCollection(CheckIn, [checkIn]);
+
+    const winners = await race(() => CheckIn.claimStationaryWarning(checkIn));
+
+    expect(winners).toHaveLength(1);
+    expect(checkIn.journey.deviation.type).toBe('stationary');
+    expect(checkIn.journey.warnings).toHaveLength(1);
+  });
+
+  it('does not warn when the journey moved since it was read', async () => {
+    const stale = buildJourney(new Date(Date.now() - 15 * 60 * 1000));
+    const stored = { ...stale, journey: { ...stale.journey, lastMovedAt: new Date() } };
+    useMemoryCollection(CheckIn, [stored]);
+
+    expect(await CheckIn.claimStationaryWarning(stale)).toBeNull();
+    expect(stored.journey.deviation.type).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+// File: server/tests/models/duressVisibility.test.js
+// Purpose: Tests that silent (duress) alerts stay hidden from the user who raised them
+// Dependencies: jest, mongoose, bcryptjs, Alert model, User model, CircleEvent model, duress service, socket utils
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Alert = require('../../src/models/Alert');
+const User = require('../../src/models/User');
+const CircleEvent = require('../../src/models/CircleEvent');
+const { checkConfirmation, requiresConfirmation } = require('../../src/services/duress');
+const { emitToCircle } = require('../../src/utils/socket');
+
+const triggeredBy = new mongoose.Types.ObjectId();
+const otherMember = new mongoose.Types.ObjectId();
+
+const buildAlert = (fields = {}) =>
+  new Alert({
+    triggeredBy,
+    circle: new mongoose.Types.ObjectId(),
+    title: 'Emergency',
+    location: { type: 'Point', coordinates: [-73.98, 40.75] },
+    ...fields
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Alert visibility', () => {
+  it('hides a silent alert from the user who raised it, and only from them', () => {
+    const alert = buildAlert({ isSilent: true });
+
+    expect(alert.isHiddenFrom(triggeredBy)).toBe(true);
+    expect(alert.isHiddenFrom(triggeredBy.toString())).toBe(true);
+    expect(alert.isHiddenFrom(otherMember)).toBe(false);
+    expect(alert.getHiddenFrom().toString()).toBe(triggeredBy.toString());
+  });
+
+  it('hides a normal alert from nobody', () => {
+    const alert = buildAlert();
+
+    expect(alert.isHiddenFrom(triggeredBy)).toBe(false);
+    expect(alert.getHiddenFrom()).toBeNull();
+  });
+
+  it('works with a populated triggeredBy', () => {
+    const alert = buildAlert({ isSilent: true });
+    alert.triggeredBy = { _id: triggeredBy, name: 'Ana' };
+
+    expect(alert.isHiddenFrom(triggeredBy)).toBe(true);
+    expect(alert.getHiddenFrom().toString()).toBe(triggeredBy.toString());
+  });
+
+  it('builds a query filter that leaves out only the viewer\'s own silent alerts', () => {
+    expect(Alert.visibleTo(triggeredBy)).toEqual({ $nor: [{ isSilent: true, triggeredBy }] });
+  });
+
+  it('answers a duress cancellation with a copy, leaving the real alert open', () => {
+    const alert = buildAlert({ isSilent: true });
+    const copy = Alert.hydrate(alert.toObject());
+
+    copy.applyCancellation(triggeredBy, 'False alarm');
+
+    expect(copy.status).toBe('cancelled');
+    expect(alert.status).toBe('active');
+    expect(alert.activityLog).toHaveLength(0);
+  });
+});
+
+describe('emitToCircle', () => {
+  const buildIo = () => {
+    const emit = jest.fn();
+    const except = jest.fn(() => ({ emit }));
+    const to = jest.fn(() => ({ emit, except }));
+    return { io: { to }, to, except, emit };
+  };
+
+  it('skips the hidden user\'s room when broadcasting a silent alert', async () => {
+    jest.spyOn(CircleEvent, 'append').mockResolvedValue({ seq: 7 });
+    const { io, to, except, emit } = buildIo();
+
+    await emitToCircle(io, 'circle1', 'alert:escalated', { alertId: 'a1' }, { hiddenFrom: triggeredBy });
+
+    expect(to).toHaveBeenCalledWith('circle:circle1');
+    expect(except).toHaveBeenCalledWith(`user:${triggeredBy}`);
+    expect(emit).toHaveBeenCalledWith('alert:escalated', expect.objectContaining({ seq: 7 }));
+    expect(CircleEvent.append).toHaveBeenCalledWith(
+      'circle1',
+      'alert:escalated',
+      { alertId: 'a1' },
+      expect.objectContaining({ hiddenFrom: triggeredBy })
+    );
+  });
+
+  it('broadcasts to the whole circle otherwise', async () => {
+    jest.spyOn(CircleEvent, 'append').mockResolvedValue({ seq: 8 });
+    const { io, except, emit } = buildIo();
+
+    await emitToCircle(io, 'circle1', 'alert:resolved', { alertId: 'a1' });
+
+    expect(except).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Duress PIN', () => {
+  const buildUser = async ({ pin } = {}) => {
+    const user = new User({ name: 'Ana', email: 'ana@example.com' });
+    user.password = await bcrypt.hash('correct horse', 4);
+    if (pin) {
+      await user.setDuressPin(pin);
+    }
+    return user;
+  };
+
+  it('stores the PIN hashed and matches only that PIN', async () => {
+    const user = await buildUser({ pin: '4321' });
+
+    expect(user.duressPin.enabled).toBe(true);
+    expect(user.duressPin.hash).not.toBe('4321');
+    expect(await user.isDuressPin('4321')).toBe(true);
+    expect(await user.isDuressPin('1234')).toBe(false);
+    expect(await user.isDuressPin('')).toBe(false);
+  });
+
+  it('matches nothing once the PIN is removed', async () => {
+    const user = await buildUser({ pin: '4321' });
+    await user.setDuressPin(null);
+
+    expect(user.duressPin.enabled).toBe(false);
+    expect(await user.isDuressPin('4321')).toBe(false);
+  });
+
+  it('requires confirmation only once a PIN is set', async () => {
+    expect(requiresConfirmation(await buildUser())).toBe(false);
+    expect(requiresConfirmation(await buildUser({ pin: '4321' }))).toBe(true);
+  });
+
+  it('tells the password, the duress PIN and anything else apart', async () => {
+    const user = await buildUser({ pin: '4321' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+
+    expect(await checkConfirmation(user._id, 'correct horse')).toBe('password');
+    expect(await checkConfirmation(user._id, '4321')).toBe('duress');
+    expect(await checkConfirmation(user._id, 'wrong')).toBeNull();
+    expect(await checkConfirmation(user._id, '')).toBeNull();
+  });
+});
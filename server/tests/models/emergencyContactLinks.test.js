@@ -0,0 +1,88 @@
+// File: server/tests/models/emergencyContactLinks.test.js
+// Purpose: Tests for the public status links sent to emergency contacts
+// Dependencies: jest, mongoose, crypto, Alert model
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Alert = require('../../src/models/Alert');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const buildAlert = (fields = {}) =>
+  new Alert({
+    triggeredBy: new mongoose.Types.ObjectId(),
+    circle: new mongoose.Types.ObjectId(),
+    title: 'Emergency',
+    location: { type: 'Point', coordinates: [-73.98, 40.75] },
+    ...fields
+  });
+
+const contact = { _id: new mongoose.Types.ObjectId(), name: 'Sam', relationship: 'Brother' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Alert#createContactLink', () => {
+  it('returns a random token and stores only its hash', () => {
+    const alert = buildAlert();
+
+    const first = alert.createContactLink(contact);
+    const second = alert.createContactLink(contact);
+
+    expect(first.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.token).not.toBe(first.token);
+    expect(first.link.tokenHash).toBe(sha256(first.token));
+    expect(JSON.stringify(alert.emergencyContactLinks)).not.toContain(first.token);
+  });
+
+  it('copies the contact and expires after the given number of hours', () => {
+    const alert = buildAlert();
+    const before = Date.now();
+
+    const { link } = alert.createContactLink(contact, 2);
+
+    expect(link.contactId.toString()).toBe(contact._id.toString());
+    expect(link.name).toBe('Sam');
+    expect(link.relationship).toBe('Brother');
+    expect(link.expiresAt.getTime() - before).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000);
+    expect(link.expiresAt.getTime() - before).toBeLessThan(2 * 60 * 60 * 1000 + 1000);
+  });
+});
+
+describe('Alert.findByContactToken', () => {
+  it('looks the alert up by the token hash', () => {
+    const select = jest.fn();
+    jest.spyOn(Alert, 'findOne').mockReturnValue({ select });
+
+    Alert.findByContactToken('abc123');
+
+    expect(Alert.findOne).toHaveBeenCalledWith({
+      'emergencyContactLinks.tokenHash': sha256('abc123'),
+      isDeleted: false
+    });
+    expect(select).toHaveBeenCalledWith('+emergencyContactLinks.tokenHash');
+  });
+});
+
+describe('Alert#recordContactResponse', () => {
+  it('marks the link as responded and logs who is responding', async () => {
+    const alert = buildAlert();
+    jest.spyOn(alert, 'save').mockResolvedValue(alert);
+    const { link } = alert.createContactLink(contact);
+
+    await alert.recordContactResponse(link._id, 'On my way');
+
+    expect(link.respondedAt).toBeInstanceOf(Date);
+    expect(alert.activityLog[alert.activityLog.length - 1].details).toBe(
+      'Emergency contact Sam (Brother) is responding: On my way'
+    );
+  });
+
+  it('refuses responses once the alert is closed', () => {
+    const alert = buildAlert({ status: 'resolved' });
+    const { link } = alert.createContactLink(contact);
+
+    expect(() => alert.recordContactResponse(link._id)).toThrow('This alert is no longer active');
+  });
+});
@@ -0,0 +1,125 @@
+// File: server/tests/models/locationHistory.test.js
+// Purpose: Tests for location history retention and trail playback
+// Dependencies: jest, mongoose, LocationPoint model
+
+const mongoose = require('mongoose');
+const LocationPoint = require('../../src/models/LocationPoint');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildUser = (retentionDays) => ({
+  _id: new mongoose.Types.ObjectId(),
+  privacySettings: retentionDays === undefined ? {} : { locationHistoryRetentionDays: retentionDays }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LocationPoint.record', () => {
+  beforeEach(() => {
+    jest.spyOn(LocationPoint, 'create').mockImplementation(async (data) => data);
+  });
+
+  it('expires the point after the user\'s retention period', async () => {
+    const recordedAt = new Date('2026-10-19T12:00:00Z');
+
+    const point = await LocationPoint.record(buildUser(7), [-73.98, 40.75], { recordedAt, accuracy: 12 });
+
+    expect(point.expiresAt).toEqual(new Date(recordedAt.getTime() + 7 * DAY_MS));
+    expect(point).toMatchObject({ accuracy: 12, source: 'location-update' });
+  });
+
+  it('keeps 30 days when the user has not chosen', async () => {
+    const point = await LocationPoint.record(buildUser(), [-73.98, 40.75]);
+
+    expect(point.expiresAt.getTime() - point.recordedAt.getTime()).toBe(30 * DAY_MS);
+  });
+
+  it('stores nothing for users who keep no history', async () => {
+    expect(await LocationPoint.record(buildUser(0), [-73.98, 40.75])).toBeNull();
+    expect(LocationPoint.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('LocationPoint.applyRetention', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const unpinned = { user: userId, 'pinnedByAlerts.0': { $exists: false } };
+
+  it('deletes the unpinned history when retention is turned off', async () => {
+    const deleteMany = jest.spyOn(LocationPoint, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await LocationPoint.applyRetention(userId, 0);
+
+    expect(deleteMany).toHaveBeenCalledWith(unpinned);
+  });
+
+  it('recomputes expiry from each point\'s recordedAt, leaving pinned points alone', async () => {
+    const updateMany = jest.spyOn(LocationPoint, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await LocationPoint.applyRetention(userId, 14);
+
+    expect(updateMany).toHaveBeenCalledWith(unpinned, [
+      { $set: { expiresAt: { $add: ['$recordedAt', 14 * DAY_MS] } } }
+    ]);
+  });
+});
+
+describe('LocationPoint.findTrail', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const points = [1, 2, 3, 4, 5].map((minute) => ({
+    recordedAt: new Date(Date.UTC(2026, 9, 19, 12, minute)),
+    location: { coordinates: [-73.98, 40.75] }
+  }));
+  const from = points[0].recordedAt;
+  const to = points[4].recordedAt;
+
+  // Serve the points through find().select().sort().limit().lean() as MongoDB would
+  beforeEach(() => {
+    let sort;
+    let limit;
+    const query = {
+      select: () => query,
+      sort: (value) => {
+        sort = value;
+        return query;
+      },
+      limit: (value) => {
+        limit = value;
+        return query;
+      },
+      lean: async () =>
+        [...points].sort((a, b) => sort.recordedAt * (a.recordedAt - b.recordedAt)).slice(0, limit)
+    };
+    jest.spyOn(LocationPoint, 'find').mockReturnValue(query);
+  });
+
+  it('returns the points oldest first', async () => {
+    expect(await LocationPoint.findTrail(userId, from, to)).toEqual(points);
+  });
+
+  it('keeps the newest points when the trail is over the limit', async () => {
+    expect(await LocationPoint.findTrail(userId, from, to, 3)).toEqual(points.slice(2));
+  });
+});
+
+describe('LocationPoint.pinForAlert', () => {
+  it('keeps the trail for a bounded time rather than forever', async () => {
+    const updateMany = jest.spyOn(LocationPoint, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    const userId = new mongoose.Types.ObjectId();
+    const alertId = new mongoose.Types.ObjectId();
+    const to = new Date();
+    const from = new Date(to.getTime() - 15 * 60 * 1000);
+
+    await LocationPoint.pinForAlert(userId, alertId, from, to);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ user: userId, recordedAt: { $gte: from, $lte: to } });
+    expect(update.$addToSet).toEqual({ pinnedByAlerts: alertId });
+    expect(update.$unset).toBeUndefined();
+    // A longer expiry, from the user's retention or an earlier alert, is kept
+    expect(update.$max.expiresAt.getTime() - to.getTime()).toBeGreaterThanOrEqual(365 * DAY_MS);
+    expect(update.$max.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(365 * DAY_MS);
+  });
+});
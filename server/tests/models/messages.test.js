@@ -0,0 +1,69 @@
+// File: server/tests/models/messages.test.js
+// Purpose: Tests for chat messages, alert threads and read receipts
+// Dependencies: jest, mongoose, Message model
+
+const mongoose = require('mongoose');
+const Message = require('../../src/models/Message');
+
+const circleId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const alertId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Message JSON', () => {
+  it('keeps a deleted message in place without its content', async () => {
+    const message = new Message({ circle: circleId, sender: userId, content: 'On my way' });
+    jest.spyOn(message, 'save').mockResolvedValue(message);
+
+    expect(message.toJSON().content).toBe('On my way');
+
+    await message.softDelete(userId);
+
+    expect(message.toJSON()).toMatchObject({ content: '', isDeleted: true, deletedBy: userId });
+  });
+});
+
+describe('Message.markRead', () => {
+  it('marks only other members\' messages the user has not read yet', async () => {
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const upTo = new Date('2026-10-19T12:00:00Z');
+
+    await Message.markRead(circleId, userId, upTo);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({
+      circle: circleId,
+      sender: { $ne: userId },
+      createdAt: { $lte: upTo },
+      'readBy.user': { $ne: userId }
+    });
+    expect(update.$push.readBy.user).toBe(userId);
+  });
+
+  it('narrows to an alert thread, or to general chat with null', async () => {
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    await Message.markRead(circleId, userId, new Date(), alertId);
+    await Message.markRead(circleId, userId, new Date(), null);
+
+    expect(updateMany.mock.calls[0][0].alert).toBe(alertId);
+    expect(updateMany.mock.calls[1][0]).toHaveProperty('alert', null);
+  });
+});
+
+describe('Message.countUnread', () => {
+  it('counts other members\' unread messages, leaving out deleted ones', async () => {
+    const countDocuments = jest.spyOn(Message, 'countDocuments').mockResolvedValue(3);
+
+    expect(await Message.countUnread(circleId, userId)).toBe(3);
+    expect(countDocuments).toHaveBeenCalledWith({
+      circle: circleId,
+      sender: { $ne: userId },
+      isDeleted: false,
+      'readBy.user': { $ne: userId }
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// File: server/tests/services/alertTimeline.test.js
+// Purpose: Tests for building an alert's chronological event stream
+// Dependencies: jest, mongoose, alert timeline service
+
+const mongoose = require('mongoose');
+const { buildAlertTimeline } = require('../../src/services/alertTimeline');
+
+const ana = { _id: new mongoose.Types.ObjectId(), name: 'Ana' };
+const lee = { _id: new mongoose.Types.ObjectId(), name: 'Lee' };
+
+// Minutes after the alert was raised
+const RAISED_AT = new Date('2026-10-19T12:00:00Z').getTime();
+const at = (minutes) => new Date(RAISED_AT + minutes * 60 * 1000);
+
+const buildAlert = (overrides = {}) => ({
+  type: 'emergency',
+  severity: 'critical',
+  createdAt: at(0),
+  triggeredBy: ana,
+  acknowledgedBy: [],
+  activityLog: [{ action: 'created', performedBy: ana, timestamp: at(0) }],
+  notifications: { sentTo: [], failedNotifications: [] },
+  ...overrides
+});
+
+describe('buildAlertTimeline', () => {
+  it('merges activity, deliveries and the check-in in time order', () => {
+    const checkInId = new mongoose.Types.ObjectId();
+    const alert = buildAlert({
+      type: 'check-in-overdue',
+      relatedCheckIn: { _id: checkInId, createdAt: at(-60), expectedReturnTime: at(-1) },
+      activityLog: [
+        { action: 'created', performedBy: ana, timestamp: at(0) },
+        { action: 'acknowledged', performedBy: lee, timestamp: at(5), details: 'Acknowledged with response: on-my-way' }
+      ],
+      notifications: {
+        sentTo: [{ user: lee, channel: 'sms', status: 'sent', sentAt: at(1) }],
+        failedNotifications: [{ user: lee, channel: 'push', error: 'Gone', attemptedAt: at(2) }]
+      }
+    });
+
+    const timeline = buildAlertTimeline(alert);
+
+    expect(timeline.map((event) => event.type)).toEqual([
+      'check-in-started',
+      'check-in-due',
+      'created',
+      'notified',
+      'delivery-attempt-failed',
+      'acknowledged'
+    ]);
+    expect(timeline[5].data).toEqual({ response: 'on-my-way' });
+    expect(timeline[3]).toMatchObject({ recipient: { id: lee._id, name: 'Lee' }, channel: 'sms' });
+  });
+
+  it('keeps source order for events at the same instant', () => {
+    const alert = buildAlert({
+      activityLog: [
+        { action: 'created', performedBy: ana, timestamp: at(0) },
+        { action: 'escalated', timestamp: at(3), details: 'Escalated to critical' },
+        { action: 'acknowledged', performedBy: lee, timestamp: at(3) }
+      ],
+      notifications: { sentTo: [{ user: lee, channel: 'email', status: 'sent', sentAt: at(0) }] }
+    });
+
+    expect(buildAlertTimeline(alert).map((event) => event.type)).toEqual([
+      'created',
+      'notified',
+      'escalated',
+      'acknowledged'
+    ]);
+  });
+
+  it('tells a false alarm from the final resolution', () => {
+    const alert = buildAlert({
+      resolutionStatus: 'safe',
+      resolutionNotes: 'Home now',
+      activityLog: [
+        { action: 'created', performedBy: ana, timestamp: at(0) },
+        { action: 'resolved', performedBy: ana, timestamp: at(1), details: 'Marked as false alarm' },
+        { action: 'resolved', performedBy: lee, timestamp: at(4) }
+      ]
+    });
+
+    const [, falseAlarm, resolved] = buildAlertTimeline(alert);
+
+    expect(falseAlarm.type).toBe('false-alarm');
+    expect(resolved).toMatchObject({
+      type: 'resolved',
+      actor: { name: 'Lee' },
+      data: { resolutionStatus: 'safe', notes: 'Home now' }
+    });
+  });
+
+  it('names users who no longer exist as unknown', () => {
+    const removedId = new mongoose.Types.ObjectId();
+    const alert = buildAlert({
+      activityLog: [{ action: 'created', performedBy: removedId, timestamp: at(0) }]
+    });
+
+    expect(buildAlertTimeline(alert)[0].actor).toEqual({ id: removedId, name: 'Unknown user', profilePhoto: null });
+  });
+});
@@ -0,0 +1,141 @@
+// File: server/tests/services/geofencing.test.js
+// Purpose: Tests for place enter/exit detection and quiet hours
+// Dependencies: jest, mongoose, Circle, Place and GeofenceTransition models, geofencing service,
+//               memory collection helper
+
+const mongoose = require('mongoose');
+const Circle = require('../../src/models/Circle');
+const Place = require('../../src/models/Place');
+const GeofenceTransition = require('../../src/models/GeofenceTransition');
+const { isWithinQuietHours, processLocationUpdate } = require('../../src/services/geofencing');
+const { useMemoryCollection } = require('../helpers/memoryCollection');
+
+const HOME = [-73.98, 40.75];
+const AWAY = [-73.9, 40.8];
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ana', circles: [] };
+
+const buildCircle = (geofencing = { enabled: true }) => {
+  const circle = new Circle({
+    name: 'Family',
+    createdBy: user._id,
+    members: [{ user: user._id, role: 'admin', geofencing }]
+  });
+  user.circles = [circle._id];
+  return circle;
+};
+
+const buildPlace = (circle, occupants = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  circle: circle._id,
+  name: 'Home',
+  category: 'home',
+  occupants,
+  containsPoint: (point) => point === HOME
+});
+
+// Serve the circle and place, and record transitions instead of saving them
+const useFixtures = (circle, place) => {
+  jest.spyOn(Circle, 'find').mockResolvedValue([circle]);
+  jest.spyOn(Place, 'findActiveByCircles').mockResolvedValue([place]);
+  useMemoryCollection(Place, [place]);
+  return jest.spyOn(GeofenceTransition, 'create').mockImplementation(async (data) => data);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isWithinQuietHours', () => {
+  const at = (iso) => new Date(iso);
+
+  it('is off unless enabled', () => {
+    expect(isWithinQuietHours(null)).toBe(false);
+    expect(isWithinQuietHours({ enabled: false, start: '00:00', end: '23:59' })).toBe(false);
+  });
+
+  it('handles a window within the day', () => {
+    const quietHours = { enabled: true, start: '09:00', end: '17:00', timezone: 'UTC' };
+
+    expect(isWithinQuietHours(quietHours, at('2026-10-19T09:00:00Z'))).toBe(true);
+    expect(isWithinQuietHours(quietHours, at('2026-10-19T16:59:00Z'))).toBe(true);
+    expect(isWithinQuietHours(quietHours, at('2026-10-19T17:00:00Z'))).toBe(false);
+  });
+
+  it('handles a window spanning midnight, in the member\'s time zone', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00', timezone: 'America/New_York' };
+
+    // 23:30 and 06:00 in New York (UTC-4)
+    expect(isWithinQuietHours(quietHours, at('2026-10-20T03:30:00Z'))).toBe(true);
+    expect(isWithinQuietHours(quietHours, at('2026-10-20T10:00:00Z'))).toBe(true);
+    // 12:00 in New York
+    expect(isWithinQuietHours(quietHours, at('2026-10-19T16:00:00Z'))).toBe(false);
+  });
+});
+
+describe('processLocationUpdate', () => {
+  it('records an enter transition when a member arrives', async () => {
+    const circle = buildCircle();
+    const place = buildPlace(circle);
+    const create = useFixtures(circle, place);
+
+    const transitions = await processLocationUpdate(null, user, HOME);
+
+    expect(transitions).toHaveLength(1);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ type: 'enter', suppressed: false }));
+    expect(place.occupants.map(String)).toEqual([user._id.toString()]);
+  });
+
+  it('records an exit transition when a member leaves', async () => {
+    const circle = buildCircle();
+    const place = buildPlace(circle, [user._id]);
+    const create = useFixtures(circle, place);
+
+    await processLocationUpdate(null, user, AWAY);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ type: 'exit' }));
+    expect(place.occupants).toEqual([]);
+  });
+
+  it('records nothing while the member stays on the same side', async () => {
+    const circle = buildCircle();
+    const create = useFixtures(circle, buildPlace(circle, [user._id]));
+
+    expect(await processLocationUpdate(null, user, HOME)).toEqual([]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('records a single transition for concurrent updates', async () => {
+    const circle = buildCircle();
+    const create = useFixtures(circle, buildPlace(circle));
+
+    await Promise.all([processLocationUpdate(null, user, HOME), processLocationUpdate(null, user, HOME)]);
+
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks transitions during quiet hours as suppressed', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const circle = buildCircle({
+      enabled: true,
+      quietHours: { enabled: true, start: '09:00', end: '17:00', timezone: 'UTC' }
+    });
+    const create = useFixtures(circle, buildPlace(circle));
+
+    try {
+      await processLocationUpdate(null, user, HOME);
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ suppressed: true }));
+  });
+
+  it('does nothing for members who have not opted in anywhere', async () => {
+    jest.spyOn(Circle, 'find').mockResolvedValue([]);
+    const findPlaces = jest.spyOn(Place, 'findActiveByCircles');
+
+    expect(await processLocationUpdate(null, user, HOME)).toEqual([]);
+    expect(findPlaces).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+// File: server/tests/services/incidentReport.test.js
+// Purpose: Tests for incident report content and its integrity hash
+// Dependencies: jest, mongoose, crypto, LocationPoint model, incident report service
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LocationPoint = require('../../src/models/LocationPoint');
+const { buildIncidentReport, renderIncidentReportPdf } = require('../../src/services/incidentReport');
+
+const ana = { _id: new mongoose.Types.ObjectId(), name: 'Ana', email: 'ana@example.com' };
+const lee = { _id: new mongoose.Types.ObjectId(), name: 'Lee', email: 'lee@example.com' };
+
+const buildAlert = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'emergency',
+  severity: 'critical',
+  title: 'Emergency',
+  status: 'resolved',
+  createdAt: new Date('2026-10-19T12:00:00Z'),
+  triggeredBy: ana,
+  circle: { _id: new mongoose.Types.ObjectId(), name: 'Family' },
+  location: { coordinates: [-73.98, 40.75], accuracy: 10 },
+  resolutionStatus: 'safe',
+  resolvedAt: new Date('2026-10-19T12:20:00Z'),
+  resolvedBy: lee,
+  locationTrail: { from: new Date('2026-10-19T11:45:00Z'), to: new Date('2026-10-19T12:20:00Z') },
+  acknowledgedBy: [],
+  activityLog: [
+    { action: 'created', performedBy: ana, timestamp: new Date('2026-10-19T12:00:00Z') },
+    { action: 'resolved', performedBy: lee, timestamp: new Date('2026-10-19T12:20:00Z') }
+  ],
+  notifications: { sentTo: [], failedNotifications: [] }
+});
+
+const sha256 = (content) => crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+
+beforeEach(() => {
+  jest.spyOn(LocationPoint, 'findTrail').mockResolvedValue([
+    {
+      recordedAt: new Date('2026-10-19T11:50:00Z'),
+      location: { coordinates: [-73.99, 40.74] },
+      accuracy: 15,
+      source: 'location-update'
+    }
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildIncidentReport', () => {
+  it('hashes the content so the hash can be recomputed from the export', async () => {
+    const report = await buildIncidentReport(buildAlert(), lee);
+
+    expect(report.integrity).toEqual({ algorithm: 'sha256', hash: sha256(report.content) });
+    expect(sha256(JSON.parse(JSON.stringify(report.content)))).toBe(report.integrity.hash);
+  });
+
+  it('produces the same hash every time the same incident is exported', async () => {
+    const alert = buildAlert();
+
+    const first = await buildIncidentReport(alert, lee);
+    const second = await buildIncidentReport(alert, ana);
+
+    expect(second.generatedBy.name).toBe('Ana');
+    expect(second.integrity.hash).toBe(first.integrity.hash);
+  });
+
+  it('changes the hash when the content changes', async () => {
+    const alert = buildAlert();
+    const original = await buildIncidentReport(alert, lee);
+
+    alert.resolutionNotes = 'Edited afterwards';
+
+    expect((await buildIncidentReport(alert, lee)).integrity.hash).not.toBe(original.integrity.hash);
+  });
+
+  it('includes the location trail around the alert', async () => {
+    const alert = buildAlert();
+
+    const { content } = await buildIncidentReport(alert, lee);
+
+    expect(LocationPoint.findTrail).toHaveBeenCalledWith(ana._id, alert.locationTrail.from, alert.locationTrail.to);
+    expect(content.locationTrail.points).toHaveLength(1);
+  });
+});
+
+describe('renderIncidentReportPdf', () => {
+  it('renders the report as a PDF document', async () => {
+    const pdf = await renderIncidentReportPdf(await buildIncidentReport(buildAlert(), lee));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
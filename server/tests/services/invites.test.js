@@ -0,0 +1,92 @@
+// File: server/tests/services/invites.test.js
+// Purpose: Tests for signed circle invite link tokens
+// Dependencies: jest, mongoose, jsonwebtoken, Circle model, invites service
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Circle = require('../../src/models/Circle');
+const { createInviteToken, resolveInviteToken } = require('../../src/services/invites');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const buildCircle = () => {
+  const circle = new Circle({
+    name: 'Family',
+    createdBy: new mongoose.Types.ObjectId(),
+    pendingInvites: [{ email: 'ana@example.com', expiresAt: Date.now() + 60 * 60 * 1000 }]
+  });
+  jest.spyOn(Circle, 'findOne').mockResolvedValue(circle);
+  return circle;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createInviteToken', () => {
+  it('signs the circle, invite and email, expiring with the invite', () => {
+    const circle = buildCircle();
+    const [invite] = circle.pendingInvites;
+
+    const decoded = jwt.verify(createInviteToken(circle, invite), 'test-secret');
+
+    expect(decoded).toMatchObject({
+      circleId: circle._id.toString(),
+      inviteId: invite._id.toString(),
+      email: 'ana@example.com',
+      exp: Math.floor(invite.expiresAt.getTime() / 1000)
+    });
+  });
+});
+
+describe('resolveInviteToken', () => {
+  it('resolves a valid token to its circle and pending invite', async () => {
+    const circle = buildCircle();
+    const [invite] = circle.pendingInvites;
+
+    const resolved = await resolveInviteToken(createInviteToken(circle, invite));
+
+    expect(resolved.circle).toBe(circle);
+    expect(resolved.invite._id.toString()).toBe(invite._id.toString());
+    expect(Circle.findOne).toHaveBeenCalledWith({ _id: circle._id.toString(), isActive: true });
+  });
+
+  it('rejects tampered and foreign tokens', async () => {
+    const circle = buildCircle();
+    const token = createInviteToken(circle, circle.pendingInvites[0]);
+
+    expect(await resolveInviteToken(`${token.slice(0, -2)}xx`)).toBeNull();
+    expect(await resolveInviteToken(jwt.sign({ circleId: circle._id.toString() }, 'other-secret'))).toBeNull();
+    expect(await resolveInviteToken('not-a-token')).toBeNull();
+  });
+
+  it('rejects a token whose invite was revoked or re-issued to another address', async () => {
+    const circle = buildCircle();
+    const [invite] = circle.pendingInvites;
+    const token = createInviteToken(circle, invite);
+
+    invite.email = 'someone@example.com';
+    expect(await resolveInviteToken(token)).toBeNull();
+
+    circle.pendingInvites.pull(invite._id);
+    expect(await resolveInviteToken(token)).toBeNull();
+  });
+
+  it('rejects a token once the invite has expired', async () => {
+    const circle = buildCircle();
+    const [invite] = circle.pendingInvites;
+    const token = createInviteToken(circle, invite);
+
+    // The stored invite is checked, not only the token's own expiry
+    invite.expiresAt = Date.now() - 1000;
+    expect(await resolveInviteToken(token)).toBeNull();
+  });
+
+  it('rejects a token for a circle that no longer exists', async () => {
+    const circle = buildCircle();
+    const token = createInviteToken(circle, circle.pendingInvites[0]);
+    Circle.findOne.mockResolvedValue(null);
+
+    expect(await resolveInviteToken(token)).toBeNull();
+  });
+});
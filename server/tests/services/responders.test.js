@@ -0,0 +1,83 @@
+// File: server/tests/services/responders.test.js
+// Purpose: Tests for ranking circle members by distance to an alert
+// Dependencies: jest, mongoose, Circle and User models, responders service
+
+const mongoose = require('mongoose');
+const Circle = require('../../src/models/Circle');
+const User = require('../../src/models/User');
+const { findNearestResponders } = require('../../src/services/responders');
+
+const triggeredBy = new mongoose.Types.ObjectId();
+const nearby = new mongoose.Types.ObjectId();
+const farAway = new mongoose.Types.ObjectId();
+const removed = new mongoose.Types.ObjectId();
+
+const alert = { triggeredBy, location: { coordinates: [-73.98, 40.75] } };
+
+const circle = new Circle({
+  name: 'Family',
+  createdBy: triggeredBy,
+  members: [
+    { user: triggeredBy, role: 'admin' },
+    { user: nearby },
+    { user: farAway },
+    { user: removed, isActive: false }
+  ]
+});
+
+// $geoNear output, nearest first
+const geoNearResult = (now) => [
+  {
+    _id: nearby,
+    name: 'Sam',
+    distanceMeters: 420.4,
+    lastKnownLocation: { coordinates: [-73.985, 40.752], timestamp: new Date(now - 2 * 60 * 1000) }
+  },
+  {
+    _id: farAway,
+    name: 'Lee',
+    distanceMeters: 15000,
+    lastKnownLocation: { coordinates: [-73.8, 40.7], timestamp: new Date(now - 3 * 60 * 60 * 1000) }
+  }
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findNearestResponders', () => {
+  it('ranks the other active members by distance from the alert', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue(geoNearResult(Date.now()));
+
+    const responders = await findNearestResponders(alert, circle, { limit: 5 });
+
+    const [{ $geoNear }, , { $limit }] = aggregate.mock.calls[0][0];
+    expect($geoNear.near.coordinates).toEqual([-73.98, 40.75]);
+    expect($geoNear.query._id.$in.map(String)).toEqual([nearby.toString(), farAway.toString()]);
+    expect($geoNear.query['privacySettings.shareLocationWithCircles']).toBe(true);
+    expect($limit).toBe(5);
+
+    expect(responders.map((responder) => responder.user.name)).toEqual(['Sam', 'Lee']);
+    expect(responders[0].distanceMeters).toBe(420);
+  });
+
+  it('estimates walking and driving times and flags stale locations', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue(geoNearResult(Date.now()));
+
+    const [near, far] = await findNearestResponders(alert, circle);
+
+    expect(near.eta).toEqual({ walkingMinutes: 6, drivingMinutes: 1 });
+    expect(far.eta).toEqual({ walkingMinutes: 179, drivingMinutes: 23 });
+    expect(near.location.isStale).toBe(false);
+    expect(far.location.isStale).toBe(true);
+    expect(far.location.ageSeconds).toBeGreaterThanOrEqual(3 * 60 * 60);
+  });
+
+  it('skips the query when nobody else is in the circle', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate');
+    const alone = new Circle({ name: 'Solo', createdBy: triggeredBy, members: [{ user: triggeredBy }] });
+
+    expect(await findNearestResponders(alert, alone)).toEqual([]);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
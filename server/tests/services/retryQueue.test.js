@@ -0,0 +1,116 @@
+// File: server/tests/services/retryQueue.test.js
+// Purpose: Tests for notification delivery retries with exponential backoff
+// Dependencies: jest, retry queue
+
+const createRetryQueue = require('../../src/services/notifications/retryQueue');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  // No jitter, so the backoff delays are exact
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// Let the queued setImmediate and the handlers it awaits run
+const flush = async () => {
+  await jest.advanceTimersByTimeAsync(0);
+};
+
+describe('createRetryQueue', () => {
+  it('runs a job on the next tick and reports success', async () => {
+    const queue = createRetryQueue();
+    const onSuccess = jest.fn();
+
+    queue.enqueue({ task: async () => 'sent', onSuccess });
+
+    expect(queue.size()).toBe(1);
+    await flush();
+
+    expect(onSuccess).toHaveBeenCalledWith('sent', 1);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('retries with exponentially growing delays until the task succeeds', async () => {
+    const queue = createRetryQueue({ maxAttempts: 4, baseDelayMs: 1000 });
+    const task = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValue('sent');
+    const onAttemptFailed = jest.fn();
+    const onSuccess = jest.fn();
+
+    queue.enqueue({ task, onAttemptFailed, onSuccess });
+    await flush();
+    expect(task).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(task).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(task).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(3);
+
+    expect(onAttemptFailed.mock.calls.map(([, attempt, willRetry]) => [attempt, willRetry])).toEqual([
+      [1, true],
+      [2, true]
+    ]);
+    expect(onSuccess).toHaveBeenCalledWith('sent', 3);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('caps the delay at maxDelayMs', async () => {
+    const queue = createRetryQueue({ maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 1500 });
+    const task = jest.fn().mockRejectedValue(new Error('down'));
+
+    queue.enqueue({ task });
+    await flush();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    // The second delay would be 2000 ms without the cap
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const queue = createRetryQueue({ maxAttempts: 2, baseDelayMs: 10 });
+    const error = new Error('invalid number');
+    const onGiveUp = jest.fn();
+    const onSuccess = jest.fn();
+
+    queue.enqueue({ task: jest.fn().mockRejectedValue(error), onGiveUp, onSuccess });
+    await flush();
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(onGiveUp).toHaveBeenCalledWith(error);
+    expect(onSuccess).not.toHaveBeenCalled();
+    expect(queue.size()).toBe(0);
+  });
+
+  it('keeps going when an outcome handler throws', async () => {
+    const queue = createRetryQueue({ maxAttempts: 2, baseDelayMs: 10 });
+    const task = jest.fn().mockRejectedValueOnce(new Error('busy')).mockResolvedValue('sent');
+    const onSuccess = jest.fn();
+
+    queue.enqueue({
+      task,
+      onAttemptFailed: () => {
+        throw new Error('handler bug');
+      },
+      onSuccess
+    });
+    await flush();
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(onSuccess).toHaveBeenCalledWith('sent', 2);
+  });
+});
@@ -0,0 +1,105 @@
+// File: server/tests/utils/geo.test.js
+// Purpose: Tests for geometry helpers on [longitude, latitude] coordinates
+// Dependencies: jest, geo utils
+
+const {
+  haversineDistance,
+  isPointInPolygon,
+  simplifyPath,
+  isValidCoordinatePair
+} = require('../../src/utils/geo');
+
+// A square of roughly 1.1 km around a point in Manhattan
+const SQUARE = [
+  [-73.99, 40.74],
+  [-73.98, 40.74],
+  [-73.98, 40.75],
+  [-73.99, 40.75],
+  [-73.99, 40.74]
+];
+
+describe('haversineDistance', () => {
+  it('measures great-circle distances in meters', () => {
+    // One degree of latitude is about 111.2 km
+    expect(haversineDistance([0, 0], [0, 1])).toBeCloseTo(111195, -1);
+    expect(haversineDistance([-73.98, 40.75], [-73.98, 40.75])).toBe(0);
+  });
+
+  it('is symmetric', () => {
+    const a = [-0.1276, 51.5072];
+    const b = [2.3522, 48.8566];
+
+    expect(haversineDistance(a, b)).toBeCloseTo(haversineDistance(b, a), 6);
+    expect(haversineDistance(a, b) / 1000).toBeCloseTo(344, 0);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  it('tells points inside the ring from points outside it', () => {
+    expect(isPointInPolygon([-73.985, 40.745], SQUARE)).toBe(true);
+    expect(isPointInPolygon([-73.975, 40.745], SQUARE)).toBe(false);
+    expect(isPointInPolygon([-73.985, 40.76], SQUARE)).toBe(false);
+  });
+
+  it('handles concave rings', () => {
+    // A U shape open to the north
+    const ring = [
+      [0, 0],
+      [3, 0],
+      [3, 3],
+      [2, 3],
+      [2, 1],
+      [1, 1],
+      [1, 3],
+      [0, 3],
+      [0, 0]
+    ];
+
+    expect(isPointInPolygon([0.5, 2], ring)).toBe(true);
+    expect(isPointInPolygon([1.5, 2], ring)).toBe(false);
+    expect(isPointInPolygon([1.5, 0.5], ring)).toBe(true);
+  });
+});
+
+describe('isValidCoordinatePair', () => {
+  it('accepts [longitude, latitude] pairs within range only', () => {
+    expect(isValidCoordinatePair([-73.98, 40.75])).toBe(true);
+    expect(isValidCoordinatePair([180, -90])).toBe(true);
+    expect(isValidCoordinatePair([40.75, -181])).toBe(false);
+    expect(isValidCoordinatePair([0, 91])).toBe(false);
+    expect(isValidCoordinatePair(['0', 0])).toBe(false);
+    expect(isValidCoordinatePair([0])).toBe(false);
+  });
+});
+
+describe('simplifyPath', () => {
+  // Points along a street running east, about 85 m apart
+  const straight = [0, 1, 2, 3, 4].map((i) => [-73.99 + i * 0.001, 40.75]);
+
+  it('drops points that lie on the path within the tolerance', () => {
+    const wobbly = straight.map(([lng, lat], i) => [lng, lat + (i % 2 ? 0.00002 : 0)]);
+
+    expect(simplifyPath(wobbly, 10)).toEqual([wobbly[0], wobbly[4]]);
+  });
+
+  it('keeps corners farther from the path than the tolerance', () => {
+    const corner = [...straight.slice(0, 3), [-73.988, 40.752], [-73.988, 40.754]];
+
+    const simplified = simplifyPath(corner, 10);
+
+    expect(simplified).toEqual([corner[0], corner[2], corner[4]]);
+  });
+
+  it('returns short paths and a zero tolerance unchanged', () => {
+    expect(simplifyPath(straight.slice(0, 2), 10)).toEqual(straight.slice(0, 2));
+    expect(simplifyPath(straight, 0)).toBe(straight);
+  });
+
+  it('keeps the items themselves, using getPoint for their coordinates', () => {
+    const items = straight.map((coordinates, i) => ({ id: i, location: { coordinates } }));
+
+    const simplified = simplifyPath(items, 10, (item) => item.location.coordinates);
+
+    expect(simplified.map((item) => item.id)).toEqual([0, 4]);
+  });
+});
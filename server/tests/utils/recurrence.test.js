@@ -0,0 +1,173 @@
+// File: server/tests/utils/recurrence.test.js
+// Purpose: Tests for recurrence rules and time-zone-aware occurrences
+// Dependencies: jest, recurrence utils
+
+const {
+  parseRecurrence,
+  toRRule,
+  isValidTimeZone,
+  isValidDate,
+  isValidTime,
+  toLocalDate,
+  fromLocalDateTime,
+  occursOn,
+  getOccurrences
+} = require('../../src/utils/recurrence');
+
+describe('parseRecurrence', () => {
+  it('expands the presets', () => {
+    expect(parseRecurrence('daily')).toEqual({ frequency: 'daily', interval: 1, byDay: [] });
+    expect(parseRecurrence('Weekdays')).toEqual({
+      frequency: 'weekly',
+      interval: 1,
+      byDay: ['MO', 'TU', 'WE', 'TH', 'FR']
+    });
+    expect(parseRecurrence('weekends').byDay).toEqual(['SA', 'SU']);
+  });
+
+  it('parses RRULE strings, with or without the RRULE: prefix', () => {
+    expect(parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      byDay: ['MO', 'TH']
+    });
+    expect(parseRecurrence('freq=daily;interval=3')).toEqual({ frequency: 'daily', interval: 3, byDay: [] });
+  });
+
+  it('rejects rules it cannot honour', () => {
+    expect(() => parseRecurrence('')).toThrow('Recurrence is required');
+    expect(() => parseRecurrence('FREQ=MONTHLY')).toThrow('FREQ must be DAILY or WEEKLY');
+    expect(() => parseRecurrence('FREQ=DAILY;COUNT=3')).toThrow('Unsupported recurrence part: COUNT');
+    expect(() => parseRecurrence('FREQ=DAILY;INTERVAL=0')).toThrow('INTERVAL');
+    expect(() => parseRecurrence('FREQ=DAILY;BYDAY=MO')).toThrow('only supported with FREQ=WEEKLY');
+    expect(() => parseRecurrence('FREQ=WEEKLY;BYDAY=XX')).toThrow('BYDAY');
+  });
+
+  it('round-trips through toRRule', () => {
+    const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH';
+    expect(toRRule(parseRecurrence(rule))).toBe(rule);
+    expect(toRRule(parseRecurrence('daily'))).toBe('FREQ=DAILY');
+  });
+});
+
+describe('validators', () => {
+  it('checks time zones, calendar dates and times of day', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+
+    expect(isValidDate('2028-02-29')).toBe(true);
+    expect(isValidDate('2026-02-29')).toBe(false);
+    expect(isValidDate('2026-2-1')).toBe(false);
+
+    expect(isValidTime('23:59')).toBe(true);
+    expect(isValidTime('24:00')).toBe(false);
+    expect(isValidTime('7:30')).toBe(false);
+  });
+});
+
+describe('time zone conversion', () => {
+  it('converts wall-clock times on either side of a DST change', () => {
+    // New York moves from UTC-5 to UTC-4 on 2026-03-08
+    expect(fromLocalDateTime('2026-03-07', '08:30', 'America/New_York').toISOString()).toBe(
+      '2026-03-07T13:30:00.000Z'
+    );
+    expect(fromLocalDateTime('2026-03-09', '08:30', 'America/New_York').toISOString()).toBe(
+      '2026-03-09T12:30:00.000Z'
+    );
+  });
+
+  it('finds the local date of an instant', () => {
+    expect(toLocalDate(Date.parse('2026-10-20T02:00:00Z'), 'America/Los_Angeles')).toBe('2026-10-19');
+    expect(toLocalDate(Date.parse('2026-10-19T23:30:00Z'), 'Asia/Tokyo')).toBe('2026-10-20');
+  });
+});
+
+describe('occursOn', () => {
+  it('counts daily intervals from the start date', () => {
+    const rule = { frequency: 'daily', interval: 3 };
+
+    expect(occursOn(rule, '2026-10-01', '2026-10-01')).toBe(true);
+    expect(occursOn(rule, '2026-10-01', '2026-10-04')).toBe(true);
+    expect(occursOn(rule, '2026-10-01', '2026-10-05')).toBe(false);
+    expect(occursOn(rule, '2026-10-01', '2026-09-28')).toBe(false);
+  });
+
+  it('counts weekly intervals in Monday-based weeks', () => {
+    // 2026-10-15 is a Thursday; its week starts Monday 2026-10-12
+    const rule = { frequency: 'weekly', interval: 2, byDay: ['MO', 'TH'] };
+
+    expect(occursOn(rule, '2026-10-15', '2026-10-15')).toBe(true);
+    expect(occursOn(rule, '2026-10-15', '2026-10-19')).toBe(false);
+    expect(occursOn(rule, '2026-10-15', '2026-10-26')).toBe(true);
+    expect(occursOn(rule, '2026-10-15', '2026-10-12')).toBe(false);
+  });
+
+  it('uses the start date weekday when BYDAY is missing', () => {
+    const rule = { frequency: 'weekly', interval: 1, byDay: [] };
+
+    expect(occursOn(rule, '2026-10-15', '2026-10-22')).toBe(true);
+    expect(occursOn(rule, '2026-10-15', '2026-10-23')).toBe(false);
+  });
+});
+
+describe('getOccurrences', () => {
+  const schedule = {
+    recurrence: parseRecurrence('weekdays'),
+    startTime: '08:30',
+    timezone: 'America/New_York',
+    startsOn: '2026-10-01',
+    endsOn: null,
+    skippedDates: []
+  };
+
+  it('lists upcoming occurrences in order, in the schedule time zone', () => {
+    const occurrences = getOccurrences(schedule, new Date('2026-10-16T20:00:00Z'), 3);
+
+    expect(occurrences.map(({ date }) => date)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+    expect(occurrences[0].startsAt.toISOString()).toBe('2026-10-19T12:30:00.000Z');
+  });
+
+  it('includes an occurrence later today and leaves out one already started', () => {
+    const before = getOccurrences(schedule, new Date('2026-10-19T12:00:00Z'), 1);
+    const after = getOccurrences(schedule, new Date('2026-10-19T12:31:00Z'), 1);
+
+    expect(before[0].date).toBe('2026-10-19');
+    expect(after[0].date).toBe('2026-10-20');
+  });
+
+  it('leaves out skipped dates and stops at the end date', () => {
+    const occurrences = getOccurrences(
+      { ...schedule, skippedDates: ['2026-10-20'], endsOn: '2026-10-22' },
+      new Date('2026-10-19T20:00:00Z'),
+      5
+    );
+
+    expect(occurrences.map(({ date }) => date)).toEqual(['2026-10-21', '2026-10-22']);
+  });
+
+  it('keeps the local start time across a DST change', () => {
+    const occurrences = getOccurrences(
+      { ...schedule, recurrence: parseRecurrence('daily'), startsOn: '2026-10-30' },
+      new Date('2026-10-30T00:00:00Z'),
+      4
+    );
+
+    // New York moves back to UTC-5 on 2026-11-01
+    expect(occurrences.map(({ startsAt }) => startsAt.toISOString())).toEqual([
+      '2026-10-30T12:30:00.000Z',
+      '2026-10-31T12:30:00.000Z',
+      '2026-11-01T13:30:00.000Z',
+      '2026-11-02T13:30:00.000Z'
+    ]);
+  });
+
+  it('does not start before startsOn', () => {
+    const occurrences = getOccurrences(
+      { ...schedule, startsOn: '2026-11-02' },
+      new Date('2026-10-19T00:00:00Z'),
+      1
+    );
+
+    expect(occurrences[0].date).toBe('2026-11-02');
+  });
+});
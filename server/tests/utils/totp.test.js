@@ -0,0 +1,74 @@
+// File: server/tests/utils/totp.test.js
+// Purpose: Tests for time-based one-time passwords
+// Dependencies: jest, totp utils
+
+const { generateSecret, generateCode, verifyCode, getProvisioningUri } = require('../../src/utils/totp');
+
+// RFC 6238 test secret: ASCII "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  it('accepts the secret in lower case and with spaces', () => {
+    expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', 1)).toBe('287082');
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns 160 random bits as unpadded base32', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+
+  it('returns the matching step for a current code', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { time })).toBe(step);
+  });
+
+  it('allows one step of clock drift either way, but not two', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  it('rejects a replayed code at or before afterStep', () => {
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, code, { time, afterStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, code, { time, afterStep: step - 1 })).toBe(step);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).toBe(step);
+    expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('getProvisioningUri', () => {
+  it('builds an otpauth URI with the issuer, account and parameters', () => {
+    const uri = getProvisioningUri(RFC_SECRET, 'ana@example.com', 'Community Circle');
+
+    expect(uri.startsWith('otpauth://totp/Community%20Circle%3Aana%40example.com?')).toBe(true);
+
+    const params = new URL(uri).searchParams;
+    expect(params.get('secret')).toBe(RFC_SECRET);
+    expect(params.get('issuer')).toBe('Community Circle');
+    expect(params.get('digits')).toBe('6');
+    expect(params.get('period')).toBe('30');
+  });
+});